@@ -0,0 +1,41 @@
+/**
+ * 配置校验测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatIssue, validateConfig, validateConfigText } from '../configValidator.js';
+
+const FIXTURE_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'invalid-config.yaml');
+
+test('校验问题带有配置项路径和所在行号', () => {
+  const { errors, warnings } = validateConfigText(fs.readFileSync(FIXTURE_FILE, 'utf8'));
+  assert.deepEqual(errors, [
+    { path: 'retentionDays', line: 2, message: 'retentionDays 必须是一个非负整数' },
+    { path: 'folders[1]', line: 8, message: '文件夹配置项必须是路径字符串或包含 path 的对象' },
+    { path: 'folders[2].retentionDays', line: 10, message: 'retentionDays 必须是一个非负整数' },
+    { path: 'folders[3]', line: 11, message: '文件夹配置项缺少 path' }
+  ]);
+  // 未知的嵌套配置项只是警告，并提示最接近的配置项
+  assert.deepEqual(warnings, [
+    { path: 'logConfig.maxSzie', line: 5, message: '未知的配置项: maxSzie（是否为 maxSize？）' }
+  ]);
+  assert.equal(formatIssue(warnings[0]), '第 5 行 logConfig.maxSzie: 未知的配置项: maxSzie（是否为 maxSize？）');
+});
+
+test('YAML 格式错误报告所在行号', () => {
+  const { errors } = validateConfigText('retentionDays: 7\nfolders: [/data/logs\n');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, '');
+  assert.equal(errors[0].line, 3);
+  assert.match(errors[0].message, /^YAML 格式错误/);
+});
+
+test('没有相近的配置项时不提示，值为 null 的配置项视为未设置', () => {
+  const { errors, warnings } = validateConfig({ retentionDays: null, folders: ['/data/logs'], somethingElse: 1 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [{ keyPath: ['somethingElse'], message: '未知的配置项: somethingElse' }]);
+});
@@ -0,0 +1,62 @@
+/**
+ * 文件年龄计算测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { compileFilenameDatePattern, createFileTimeResolver, parseFilenameDate } from '../fileAge.js';
+import { createCleaner } from '../index.js';
+
+test('解析文件名中的日期，拒绝会被自动进位的无效日期', () => {
+  const dayRegex = compileFilenameDatePattern('YYYY-MM-DD');
+  assert.equal(parseFilenameDate('app-2026-01-05.log', dayRegex), new Date(2026, 0, 5).getTime());
+  assert.equal(parseFilenameDate('app-2026-02-30.log', dayRegex), null);
+  assert.equal(parseFilenameDate('app-2026-13-01.log', dayRegex), null);
+  assert.equal(parseFilenameDate('app.log', dayRegex), null);
+
+  const timeRegex = compileFilenameDatePattern('YYYYMMDD_HHmmss');
+  assert.equal(parseFilenameDate('backup-20260105_230000.tar.gz', timeRegex), new Date(2026, 0, 5, 23, 0, 0).getTime());
+  assert.equal(parseFilenameDate('backup-20260105_246000.tar.gz', timeRegex), null);
+
+  assert.throws(() => compileFilenameDatePattern('YYYY-MM'), /必须包含 YYYY、MM、DD/);
+});
+
+test('文件系统不支持创建时间时 birthtime、oldest、newest 回退为修改时间', () => {
+  const stats = { mtimeMs: 3000, atimeMs: 5000, ctimeMs: 4000, birthtimeMs: 0 };
+  assert.equal(createFileTimeResolver('birthtime')('a.log', stats), 3000);
+  assert.equal(createFileTimeResolver('oldest')('a.log', stats), 3000);
+  assert.equal(createFileTimeResolver('newest')('a.log', stats), 5000);
+
+  const withBirthtime = { ...stats, birthtimeMs: 1000 };
+  assert.equal(createFileTimeResolver('birthtime')('a.log', withBirthtime), 1000);
+  assert.equal(createFileTimeResolver('oldest')('a.log', withBirthtime), 1000);
+  assert.equal(createFileTimeResolver('mtime')('a.log', withBirthtime), 3000);
+  assert.throws(() => createFileTimeResolver('size'), /ageBasis/);
+});
+
+test('按文件名日期计算年龄时，文件名中没有有效日期的文件被跳过', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    fs.ensureDirSync(sourceDir);
+    ['app-2020-01-05.log', 'app-2020-02-30.log', 'app.log'].forEach(name => fs.writeFileSync(path.join(sourceDir, name), 'x'));
+    const cleaner = createCleaner({
+      config: { folders: [sourceDir], retentionDays: 30, allowedExtensions: ['log'], ageBasis: 'filename' },
+      baseDir: tempDir
+    });
+
+    const result = await cleaner.scan({ includeFiles: true });
+    const actions = Object.fromEntries(result.files.map(file => [path.basename(file.sourcePath), file.reason ?? file.action]));
+    assert.deepEqual(actions, {
+      'app-2020-01-05.log': 'move',
+      'app-2020-02-30.log': 'no-filename-date',
+      'app.log': 'no-filename-date'
+    });
+    assert.deepEqual(result.summary.skipReasons, { 'no-filename-date': 2 });
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
@@ -0,0 +1,227 @@
+/**
+ * 运行日志测试：运行日志的位置、中断后从检查点继续，以及未完成的移动的核对
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+import { executeCleanup } from '../cleaner.js';
+import { runWithConfig } from '../config.js';
+import { reconcileInterruptedRuns } from '../journal.js';
+import { loadTrashRecords } from '../recycleBin.js';
+
+/**
+ * 将用户状态目录指向临时目录后执行函数，结束后恢复环境变量
+ * @param {string} stateHome - 临时的用户状态目录
+ * @param {Function} fn - 要执行的函数
+ * @returns {Promise<*>} - 函数的返回值
+ */
+const withStateHome = async (stateHome, fn) => {
+  const previous = process.env.XDG_STATE_HOME;
+  process.env.XDG_STATE_HOME = stateHome;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.XDG_STATE_HOME;
+    } else {
+      process.env.XDG_STATE_HOME = previous;
+    }
+  }
+};
+
+/**
+ * 在临时目录中创建清理器并执行一次被中止的清理（运行日志会被保留）
+ * @param {string} tempDir - 临时目录
+ * @param {Object} options - 额外的清理器选项
+ * @returns {Promise<Object>} - 清理结果
+ */
+const runAbortedClean = async (tempDir, options = {}) => {
+  const sourceDir = path.join(tempDir, 'src');
+  fs.ensureDirSync(sourceDir);
+  fs.writeFileSync(path.join(sourceDir, 'old.log'), 'x');
+  const cleaner = createCleaner({
+    config: { folders: [sourceDir], retentionDays: 0, allowedExtensions: ['log'] },
+    baseDir: tempDir,
+    ...options
+  });
+  return cleaner.clean({ signal: AbortSignal.abort() });
+};
+
+test('程序接口默认将运行日志保存在用户状态目录中按配置区分的目录', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const stateHome = path.join(tempDir, 'state');
+    const result = await withStateHome(stateHome, () => runAbortedClean(tempDir));
+    assert.equal(result.aborted, true);
+    assert.equal(fs.existsSync(path.join(tempDir, 'trash')), false);
+    const configDirs = fs.readdirSync(path.join(stateHome, 'file-cleanup', 'configs'));
+    assert.equal(configDirs.length, 1);
+    assert.match(configDirs[0], /^file-cleanup_[0-9a-f]{8}$/);
+    assert.ok(fs.existsSync(path.join(stateHome, 'file-cleanup', 'configs', configDirs[0], 'journal', `${result.runId}.jsonl`)));
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('回收站不可用时直接删除的清理不受影响，运行日志无法创建时继续清理', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    fs.ensureDirSync(sourceDir);
+    fs.writeFileSync(path.join(sourceDir, 'a.log'), 'x');
+    fs.writeFileSync(path.join(sourceDir, 'b.log'), 'x');
+    // 回收站路径和运行日志目录都是文件
+    fs.writeFileSync(path.join(tempDir, 'trash'), '');
+    fs.writeFileSync(path.join(tempDir, 'journal'), '');
+    const config = { folders: [sourceDir], retentionDays: 0, allowedExtensions: ['log'], action: 'delete' };
+
+    const stateHome = path.join(tempDir, 'state');
+    const result = await withStateHome(stateHome, () => createCleaner({ config, baseDir: tempDir }).clean());
+    assert.equal(result.summary.deletedFiles, 2);
+    assert.deepEqual(fs.readdirSync(sourceDir), []);
+
+    fs.writeFileSync(path.join(sourceDir, 'c.log'), 'x');
+    const unjournaled = await createCleaner({ config, baseDir: tempDir, journalDirectory: 'journal' }).clean();
+    assert.equal(unjournaled.summary.deletedFiles, 1);
+    assert.deepEqual(fs.readdirSync(sourceDir), []);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('journalDirectory 为 false 时不记录运行日志', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const result = await runAbortedClean(tempDir, { journalDirectory: false });
+    assert.equal(result.aborted, true);
+    assert.equal(fs.existsSync(path.join(tempDir, 'journal')), false);
+    assert.equal(fs.existsSync(path.join(tempDir, 'trash')), false);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+/**
+ * 写入一个中断的运行留下的运行日志：开始记录中的进程已经退出
+ * @param {string} journalDir - 运行日志目录
+ * @param {string} runId - 运行ID
+ * @param {Array<Object>} records - 开始记录之后的记录
+ * @param {string} tail - 追加在最后的内容（如写入一半的记录）
+ * @returns {string} - 运行日志文件路径
+ */
+const writeInterruptedJournal = (journalDir, runId, records, tail = '') => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  const lines = [{ type: 'start', runId, pid, startedAt: new Date().toISOString(), profile: null, folders: [], parameters: {} }, ...records]
+    .map(record => `${JSON.stringify(record)}\n`);
+  const filePath = path.join(journalDir, `${runId}.jsonl`);
+  fs.ensureDirSync(journalDir);
+  fs.writeFileSync(filePath, lines.join('') + tail);
+  return filePath;
+};
+
+test('继续中断的运行时跳过已记录检查点的文件夹和目录', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const doneFolder = path.join(tempDir, 'done');
+    const sourceDir = path.join(tempDir, 'src');
+    for (const filePath of [
+      path.join(doneFolder, 'a.log'),
+      path.join(sourceDir, 'root.log'),
+      path.join(sourceDir, 'finished', 'b.log'),
+      path.join(sourceDir, 'pending', 'c.log')
+    ]) {
+      fs.outputFileSync(filePath, 'x');
+    }
+    const journalDir = path.join(tempDir, 'journal');
+    const runId = '20260101-000000-abcd';
+    const journalPath = writeInterruptedJournal(journalDir, runId, [
+      { type: 'folder', path: doneFolder },
+      { type: 'dir', path: path.join(sourceDir, 'finished') }
+    ]);
+    const config = { folders: [doneFolder, sourceDir], allowedExtensions: ['log'], moveConfig: { targetDirectory: 'trash' } };
+
+    const result = await runWithConfig({ config, baseDir: tempDir, journalDirectory: journalDir }, () => (
+      executeCleanup(config.folders, 0, false, { resume: runId, collectFiles: true })
+    ));
+    assert.equal(result.runId, runId);
+    assert.deepEqual(result.movedFilesList.map(file => path.relative(sourceDir, file.sourcePath)).sort(), [path.join('pending', 'c.log'), 'root.log']);
+    assert.ok(fs.existsSync(path.join(doneFolder, 'a.log')));
+    assert.ok(fs.existsSync(path.join(sourceDir, 'finished', 'b.log')));
+    assert.equal(fs.existsSync(path.join(sourceDir, 'pending', 'c.log')), false);
+    // 继续的运行正常结束后删除运行日志
+    assert.equal(fs.existsSync(journalPath), false);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('核对中断时未完成的移动：回滚、补全、不完整和缺失', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    const trashDir = path.join(tempDir, 'trash');
+    const content = '0123456789';
+    const intents = {};
+    for (const name of ['rolled-back', 'completed', 'partial', 'missing']) {
+      intents[name] = {
+        type: 'move',
+        sourcePath: path.join(sourceDir, `${name}.log`),
+        trashPath: path.join(trashDir, 'src', `${name}.log`),
+        trashDir,
+        size: content.length,
+        mtimeMs: 1767225600000
+      };
+    }
+    // 移动没有开始：源文件仍在原位置，回收站中残留了部分副本
+    fs.outputFileSync(intents['rolled-back'].sourcePath, content);
+    fs.utimesSync(intents['rolled-back'].sourcePath, new Date(1767225600000), new Date(1767225600000));
+    fs.outputFileSync(intents['rolled-back'].trashPath, content.slice(0, 4));
+    // 移动已完成但没有来得及记录
+    fs.outputFileSync(intents.completed.trashPath, content);
+    // 跨文件系统复制到一半时中断，源文件已被删除
+    fs.outputFileSync(intents.partial.trashPath, content.slice(0, 6));
+
+    const journalDir = path.join(tempDir, 'journal');
+    const runId = '20260101-000000-ef01';
+    // 最后一行是写入一半的 moved 记录
+    const journalPath = writeInterruptedJournal(journalDir, runId, Object.values(intents),
+      `{"type":"moved","sourcePath":${JSON.stringify(intents.partial.sourcePath)},"tra`);
+
+    const config = { moveConfig: { targetDirectory: 'trash' } };
+    const reconciled = await runWithConfig({ config, baseDir: tempDir, journalDirectory: journalDir }, () => reconcileInterruptedRuns());
+    assert.deepEqual(
+      reconciled.map(({ sourcePath, status }) => [path.basename(sourcePath, '.log'), status]),
+      [['rolled-back', 'rolled-back'], ['completed', 'completed'], ['partial', 'partial'], ['missing', 'missing']]
+    );
+
+    // 回滚：源文件保留，回收站中的部分副本被删除
+    assert.equal(fs.readFileSync(intents['rolled-back'].sourcePath, 'utf8'), content);
+    assert.equal(fs.existsSync(intents['rolled-back'].trashPath), false);
+    // 补全和不完整的文件保留在回收站中，并补充回收站记录以便恢复
+    assert.equal(fs.readFileSync(intents.completed.trashPath, 'utf8'), content);
+    assert.equal(fs.readFileSync(intents.partial.trashPath, 'utf8'), content.slice(0, 6));
+    const records = loadTrashRecords(trashDir);
+    assert.deepEqual(records.map(({ sourcePath, size, partial }) => [path.basename(sourcePath), size, partial]), [
+      ['completed.log', content.length, undefined],
+      ['partial.log', 6, true]
+    ]);
+    assert.ok(records.every(record => record.runId === runId));
+
+    // 核对结果追加在运行日志中，写入一半的行之后另起一行
+    const lines = fs.readFileSync(journalPath, 'utf8').trimEnd().split('\n');
+    const reconciledLines = lines.slice(-4).map(line => JSON.parse(line));
+    assert.deepEqual(reconciledLines.map(record => [record.type, record.status]), [
+      ['reconciled', 'rolled-back'],
+      ['reconciled', 'completed'],
+      ['reconciled', 'partial'],
+      ['reconciled', 'missing']
+    ]);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * keepLatest 测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+
+test('keepLatest 按整个配置文件夹计数，每个日期目录中只有一个文件时也保留最新的 N 个', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const backupDir = path.join(tempDir, 'backups');
+    const dates = ['2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04', '2026-10-05'];
+    dates.forEach((date, index) => {
+      const filePath = path.join(backupDir, date, 'db.bak');
+      fs.outputFileSync(filePath, 'x'.repeat(100));
+      const time = new Date(Date.now() - (dates.length - index) * 24 * 60 * 60 * 1000);
+      fs.utimesSync(filePath, time, time);
+    });
+    const config = { folders: [{ path: backupDir, keepLatest: [{ pattern: 'db.bak', count: 2 }] }], retentionDays: 0, allowedExtensions: ['bak'] };
+    const getDates = (files, predicate) => files.filter(predicate).map(file => path.basename(path.dirname(file.sourcePath))).sort();
+
+    const result = await createCleaner({ config, baseDir: tempDir }).scan({ includeFiles: true });
+    assert.deepEqual(getDates(result.files, file => file.action === 'move'), dates.slice(0, 3));
+    assert.deepEqual(getDates(result.files, file => file.reason === 'keep-latest'), dates.slice(3));
+
+    // 配额模式同样只从不在保留范围内的文件中挑选
+    const quotaResult = await createCleaner({ config, baseDir: tempDir }).scan({ includeFiles: true, maxTotalSize: '1B' });
+    assert.deepEqual(getDates(quotaResult.files, file => file.action === 'move'), dates.slice(0, 3));
+    assert.deepEqual(getDates(quotaResult.files, file => file.reason === 'keep-latest'), dates.slice(3));
+    assert.equal(quotaResult.folders[0].quota.finalSize, 200);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
@@ -0,0 +1,25 @@
+/**
+ * 关键路径保护测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { createPathGuard } from '../pathGuard.js';
+
+test('isProtected 覆盖文件系统根目录、exact 目录和主目录', { skip: process.platform === 'win32' }, () => {
+  const guard = createPathGuard([], 'linux');
+  assert.equal(guard.isProtected('/'), true);
+  assert.equal(guard.isProtected('/root'), true);
+  assert.equal(guard.isProtected('/home'), true);
+  assert.equal(guard.isProtected(os.homedir()), true);
+  assert.equal(guard.isProtected('/etc/passwd'), true);
+  assert.equal(guard.isProtected('/srv/app/cache'), false);
+});
+
+test('isProtected 匹配 protectedPaths', () => {
+  const guard = createPathGuard(['/data/archive', '**/*.key'], 'linux');
+  assert.equal(guard.isProtected('/data/archive/2026/a.log'), true);
+  assert.equal(guard.isProtected('/data/tmp/server.key'), true);
+  assert.equal(guard.isProtected('/data/tmp/a.log'), false);
+});
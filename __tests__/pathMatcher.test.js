@@ -0,0 +1,95 @@
+/**
+ * include / exclude 模式匹配测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compilePattern, createPatternMatcher, globToRegExp } from '../pathMatcher.js';
+
+/**
+ * 逐条检查模式的匹配结果
+ * @param {string} pattern - 模式
+ * @param {Array<[string, boolean, boolean]>} cases - [相对路径, 是否为目录, 期望结果]
+ */
+const assertMatches = (pattern, cases) => {
+  const matches = compilePattern(pattern);
+  cases.forEach(([relativePath, isDirectory, expected]) => {
+    assert.equal(matches(relativePath, isDirectory), expected, `${pattern} 匹配 ${relativePath}${isDirectory ? '/' : ''}`);
+  });
+};
+
+test('* 和 ? 不跨目录，** 跨任意层目录', () => {
+  assert.equal(globToRegExp('logs/*.log').test('logs/a.log'), true);
+  assert.equal(globToRegExp('logs/*.log').test('logs/sub/a.log'), false);
+  assert.equal(globToRegExp('logs/?.log').test('logs/a.log'), true);
+  assert.equal(globToRegExp('logs/?.log').test('logs/ab.log'), false);
+  assert.equal(globToRegExp('logs/**').test('logs/sub/deep/a.log'), true);
+  // "**/" 也匹配零层目录
+  assert.equal(globToRegExp('**/a.log').test('a.log'), true);
+  assert.equal(globToRegExp('**/a.log').test('x/y/a.log'), true);
+});
+
+test('字符类 [abc]、[!abc] 和 {a,b} 分组', () => {
+  assert.equal(globToRegExp('file[12].log').test('file1.log'), true);
+  assert.equal(globToRegExp('file[12].log').test('file3.log'), false);
+  assert.equal(globToRegExp('file[!12].log').test('file3.log'), true);
+  assert.equal(globToRegExp('file[!12].log').test('file1.log'), false);
+  assert.equal(globToRegExp('*.{log,tmp}').test('a.tmp'), true);
+  assert.equal(globToRegExp('*.{log,tmp}').test('a.bak'), false);
+  // 分组外的逗号按原样匹配，未闭合的分组和字符类不会生成非法的正则表达式
+  assert.equal(globToRegExp('a,b').test('a,b'), true);
+  assert.equal(globToRegExp('{a,b').test('a'), true);
+  assert.equal(globToRegExp('[ab').test('[ab'), true);
+});
+
+test('不含 / 的模式匹配任意层级的名称，含 / 的模式匹配相对于配置文件夹根部的路径', () => {
+  assertMatches('*.tmp', [
+    ['a.tmp', false, true],
+    ['sub/deep/a.tmp', false, true],
+    ['a.tmp.bak', false, false]
+  ]);
+  assertMatches('sub/*.tmp', [
+    ['sub/a.tmp', false, true],
+    ['other/sub/a.tmp', false, false],
+    ['a.tmp', false, false]
+  ]);
+  // 开头的 / 表示从配置文件夹根部开始
+  assertMatches('/cache/*.bin', [
+    ['cache/a.bin', false, true],
+    ['sub/cache/a.bin', false, false]
+  ]);
+  assertMatches('**/cache/**', [
+    ['cache', true, true],
+    ['a/b/cache', true, true],
+    ['a/cache/x.bin', false, true],
+    ['cachex/x.bin', false, false]
+  ]);
+});
+
+test('以 / 结尾的模式只匹配目录', () => {
+  assertMatches('node_modules/', [
+    ['node_modules', true, true],
+    ['app/node_modules', true, true],
+    ['node_modules', false, false]
+  ]);
+});
+
+test('通配符不区分大小写，re: 开头的正则表达式区分大小写并匹配完整相对路径', () => {
+  assertMatches('keep-*.log', [['KEEP-1.LOG', false, true]]);
+  assertMatches('re:^logs/\\d+\\.log$', [
+    ['logs/12.log', false, true],
+    ['logs/ab.log', false, false],
+    ['Logs/12.log', false, false],
+    ['sub/logs/12.log', false, false]
+  ]);
+  assert.throws(() => compilePattern('re:('), /无效的正则表达式/);
+  assert.throws(() => compilePattern('  '), /无效的匹配模式/);
+});
+
+test('模式列表中任一模式匹配即匹配，Windows 路径分隔符按 / 处理', () => {
+  const matches = createPatternMatcher(['*.tmp', 'build/']);
+  assert.equal(matches('a\\b\\c.tmp'), true);
+  assert.equal(matches('x\\build', true), true);
+  assert.equal(matches('x\\build.log'), false);
+  assert.equal(createPatternMatcher([])('a.tmp'), false);
+});
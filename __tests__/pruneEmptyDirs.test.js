@@ -0,0 +1,47 @@
+/**
+ * 删除空目录测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+
+test('只删除本次清理移走文件后变空的目录及其上级目录，保留之前遗留的空目录', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    fs.outputFileSync(path.join(sourceDir, 'a', 'b', 'old.log'), 'x');
+    fs.outputFileSync(path.join(sourceDir, 'c', 'old.log'), 'x');
+    fs.outputFileSync(path.join(sourceDir, 'c', 'notes.txt'), 'x');
+    fs.ensureDirSync(path.join(sourceDir, 'leftover', 'empty'));
+    const cleaner = createCleaner({
+      config: {
+        folders: [sourceDir],
+        retentionDays: 0,
+        allowedExtensions: ['log'],
+        pruneEmptyDirs: true,
+        moveConfig: { targetDirectory: 'trash' }
+      },
+      baseDir: tempDir,
+      journalDirectory: 'journal'
+    });
+
+    const expected = [path.join('a', 'b'), 'a'];
+    const preview = await cleaner.scan({ includeFiles: true });
+    assert.equal(preview.summary.removedDirs, 2);
+    assert.deepEqual(preview.files.filter(file => file.action === 'rmdir').map(file => path.relative(sourceDir, file.sourcePath)), expected);
+    assert.ok(fs.existsSync(path.join(sourceDir, 'a', 'b', 'old.log')));
+
+    const result = await cleaner.clean();
+    assert.equal(result.summary.movedFiles, 2);
+    assert.equal(result.summary.removedDirs, 2);
+    assert.deepEqual(fs.readdirSync(sourceDir).sort(), ['c', 'leftover']);
+    assert.deepEqual(fs.readdirSync(path.join(sourceDir, 'c')), ['notes.txt']);
+    assert.ok(fs.existsSync(path.join(sourceDir, 'leftover', 'empty')));
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
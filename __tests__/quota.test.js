@@ -0,0 +1,87 @@
+/**
+ * 配额模式测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+
+/**
+ * 在临时目录中创建 count 个 100 字节的文件，file1 最旧
+ * @param {string} dirPath - 目录路径
+ * @param {number} count - 文件数
+ */
+const createFiles = (dirPath, count) => {
+  fs.ensureDirSync(dirPath);
+  for (let index = 1; index <= count; index++) {
+    const filePath = path.join(dirPath, `file${index}.log`);
+    fs.writeFileSync(filePath, 'x'.repeat(100));
+    const time = new Date(Date.now() - (count - index + 1) * 24 * 60 * 60 * 1000);
+    fs.utimesSync(filePath, time, time);
+  }
+};
+
+test('配额模式从最旧的文件开始处理，其余候选文件记录为未超过配额', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    createFiles(sourceDir, 6);
+    const cleaner = createCleaner({
+      config: { folders: [{ path: sourceDir, maxTotalSize: '350B' }], allowedExtensions: ['log'] },
+      baseDir: tempDir
+    });
+
+    const result = await cleaner.scan({ includeFiles: true });
+    const moved = result.files.filter(file => file.action === 'move').map(file => path.basename(file.sourcePath)).sort();
+    assert.deepEqual(moved, ['file1.log', 'file2.log', 'file3.log']);
+    assert.equal(result.files.filter(file => file.reason === 'within-quota').length, 3);
+    assert.deepEqual(result.summary.skipReasons, { 'within-quota': 3 });
+    assert.equal(result.folders[0].quota.finalSize, 300);
+
+    // 不返回文件记录时只统计数量
+    const summaryOnly = await cleaner.scan();
+    assert.equal(summaryOnly.files, null);
+    assert.deepEqual(summaryOnly.summary, result.summary);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('配额模式中处理失败的文件不计入释放的空间，继续处理更新的文件', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    createFiles(sourceDir, 6);
+    // 回收站路径是一个文件，所有移动都会失败
+    fs.writeFileSync(path.join(tempDir, 'trash'), '');
+    const cleaner = createCleaner({
+      config: {
+        folders: [{ path: sourceDir, maxTotalSize: '350B' }],
+        allowedExtensions: ['log'],
+        moveConfig: { targetDirectory: 'trash' }
+      },
+      baseDir: tempDir
+    });
+
+    // 运行日志保存在用户状态目录中，不受回收站不可用的影响
+    const previousStateHome = process.env.XDG_STATE_HOME;
+    process.env.XDG_STATE_HOME = path.join(tempDir, 'state');
+    const result = await cleaner.clean({ includeFiles: true }).finally(() => {
+      if (previousStateHome === undefined) {
+        delete process.env.XDG_STATE_HOME;
+      } else {
+        process.env.XDG_STATE_HOME = previousStateHome;
+      }
+    });
+    assert.equal(result.summary.movedFiles, 0);
+    assert.equal(result.summary.skipReasons['move-failed'], 6);
+    assert.equal(result.files.length, 6);
+    assert.equal(result.folders[0].quota.finalSize, 600);
+    assert.equal(fs.readdirSync(sourceDir).length, 6);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * 回收站测试：恢复时的冲突处理、回收站记录的维护，以及按保留策略清理回收站
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+import { appendTrashRecord, loadTrashRecords } from '../recycleBin.js';
+
+/**
+ * 在临时目录中创建文件，并用清理器将它们全部移动到回收站
+ * @param {string} tempDir - 临时目录
+ * @param {Array<string>} fileNames - src 目录中的文件名
+ * @returns {Promise<Object>} - { cleaner, sourceDir, trashDir, runId }
+ */
+const moveToTrash = async (tempDir, fileNames) => {
+  const sourceDir = path.join(tempDir, 'src');
+  fileNames.forEach(fileName => fs.outputFileSync(path.join(sourceDir, fileName), `original ${fileName}`));
+  const cleaner = createCleaner({
+    config: { folders: [sourceDir], retentionDays: 0, allowedExtensions: ['log'], moveConfig: { targetDirectory: 'trash' } },
+    baseDir: tempDir,
+    journalDirectory: 'journal'
+  });
+  const result = await cleaner.clean();
+  assert.equal(result.summary.movedFiles, fileNames.length);
+  return { cleaner, sourceDir, trashDir: path.join(tempDir, 'trash'), runId: result.runId };
+};
+
+test('恢复时按 skip、rename、overwrite 处理原始位置已存在的文件', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const { cleaner, sourceDir, trashDir } = await moveToTrash(tempDir, ['a.log', 'b.log', 'c.log']);
+    ['a.log', 'b.log', 'c.log'].forEach(fileName => fs.writeFileSync(path.join(sourceDir, fileName), `new ${fileName}`));
+
+    const skipped = await cleaner.restore({ target: path.join(sourceDir, 'a.log') });
+    assert.equal(skipped.skippedFiles, 1);
+    assert.equal(fs.readFileSync(path.join(sourceDir, 'a.log'), 'utf8'), 'new a.log');
+    assert.ok(fs.existsSync(skipped.fileList[0].trashPath));
+
+    const renamed = await cleaner.restore({ target: path.join(sourceDir, 'b.log'), onConflict: 'rename' });
+    assert.equal(renamed.restoredFiles, 1);
+    assert.equal(renamed.fileList[0].restoredPath, path.join(sourceDir, 'b_1.log'));
+    assert.equal(fs.readFileSync(path.join(sourceDir, 'b.log'), 'utf8'), 'new b.log');
+    assert.equal(fs.readFileSync(path.join(sourceDir, 'b_1.log'), 'utf8'), 'original b.log');
+
+    const overwritten = await cleaner.restore({ target: path.join(sourceDir, 'c.log'), onConflict: 'overwrite' });
+    assert.equal(overwritten.restoredFiles, 1);
+    assert.equal(fs.readFileSync(path.join(sourceDir, 'c.log'), 'utf8'), 'original c.log');
+
+    // 跳过的文件保留回收站记录，恢复成功的文件移除记录
+    assert.deepEqual(loadTrashRecords(trashDir).map(record => path.basename(record.sourcePath)), ['a.log']);
+
+    await assert.rejects(cleaner.restore({ target: path.join(sourceDir, 'a.log'), onConflict: 'merge' }), { code: 'INVALID_ARGUMENT' });
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('恢复后移除回收站记录和变空的回收站目录，回收站中已不存在的文件只报告一次', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const { cleaner, sourceDir, trashDir, runId } = await moveToTrash(tempDir, [path.join('logs', 'a.log'), path.join('logs', 'b.log')]);
+    const [missingRecord] = loadTrashRecords(trashDir).filter(record => path.basename(record.sourcePath) === 'b.log');
+    fs.removeSync(missingRecord.trashPath);
+
+    const result = await cleaner.restore({ runId });
+    assert.equal(result.matchedFiles, 2);
+    assert.equal(result.restoredFiles, 1);
+    assert.equal(result.failedFiles, 1);
+    assert.equal(fs.readFileSync(path.join(sourceDir, 'logs', 'a.log'), 'utf8'), `original ${path.join('logs', 'a.log')}`);
+    assert.deepEqual(loadTrashRecords(trashDir), []);
+    // 回收站中只剩下元数据目录
+    assert.deepEqual(fs.readdirSync(trashDir), ['.file-cleanup']);
+
+    const again = await cleaner.restore({ runId });
+    assert.equal(again.matchedFiles, 0);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
+
+test('按进入回收站的时间（而不是修改时间）清理回收站，先按 maxAgeDays 再按 maxTotalSize', async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const trashDir = path.join(tempDir, 'trash');
+    const dayMs = 24 * 60 * 60 * 1000;
+    // 进入回收站的顺序与修改时间的顺序相反
+    const files = [
+      { name: 'first.bin', trashedDaysAgo: 10, modifiedDaysAgo: 1 },
+      { name: 'second.bin', trashedDaysAgo: 5, modifiedDaysAgo: 20 },
+      { name: 'third.bin', trashedDaysAgo: 1, modifiedDaysAgo: 30 }
+    ];
+    files.forEach(({ name, trashedDaysAgo, modifiedDaysAgo }) => {
+      const trashPath = path.join(trashDir, 'src_00000000', name);
+      fs.outputFileSync(trashPath, 'x'.repeat(100));
+      const mtime = new Date(Date.now() - modifiedDaysAgo * dayMs);
+      fs.utimesSync(trashPath, mtime, mtime);
+      appendTrashRecord({
+        runId: 'test',
+        sourcePath: path.join(tempDir, 'src', name),
+        trashPath,
+        size: 100,
+        mtimeMs: mtime.getTime(),
+        trashedAt: Date.now() - trashedDaysAgo * dayMs
+      }, trashDir);
+    });
+    const cleaner = createCleaner({
+      config: { folders: [], moveConfig: { targetDirectory: 'trash', maxAgeDays: 7, maxTotalSize: '150B' } },
+      baseDir: tempDir,
+      journalDirectory: 'journal'
+    });
+    const getPurged = result => result.fileList.map(file => [path.basename(file.trashPath), file.reason]);
+
+    // 只按总大小：从最早进入回收站的文件开始删除，直到不超过 150 字节
+    const bySize = await cleaner.purgeTrash({ maxAgeDays: null, dryRun: true });
+    assert.deepEqual(getPurged(bySize), [['first.bin', 'size'], ['second.bin', 'size']]);
+    assert.equal(bySize.totalSize, 300);
+    assert.equal(bySize.purgedSize, 200);
+
+    // 只按天数：进入回收站超过 3 天的文件
+    const byAge = await cleaner.purgeTrash({ maxAgeDays: 3, maxTotalSize: null, dryRun: true });
+    assert.deepEqual(getPurged(byAge), [['first.bin', 'age'], ['second.bin', 'age']]);
+    assert.equal(fs.readdirSync(path.join(trashDir, 'src_00000000')).length, 3);
+
+    // 使用配置中的策略：超过 7 天的文件按天数删除，其余按总大小删除
+    const result = await cleaner.purgeTrash();
+    assert.deepEqual(getPurged(result), [['first.bin', 'age'], ['second.bin', 'size']]);
+    assert.deepEqual(fs.readdirSync(path.join(trashDir, 'src_00000000')), ['third.bin']);
+    assert.deepEqual(loadTrashRecords(trashDir).map(record => path.basename(record.trashPath)), ['third.bin']);
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
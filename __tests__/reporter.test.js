@@ -0,0 +1,61 @@
+/**
+ * 运行报告测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { writeReport } from '../reporter.js';
+
+/**
+ * 生成只包含一个文件夹、一个移动文件的清理结果
+ * @param {string} fileName - 被移动的文件名
+ * @returns {Object} - 与 executeCleanup 返回结构相同的结果
+ */
+const createResult = (fileName) => ({
+  runId: '20260105-030000-a1b2',
+  dryRun: true,
+  aborted: false,
+  startedAt: '2026-01-05T03:00:00.000Z',
+  finishedAt: '2026-01-05T03:00:01.000Z',
+  parameters: {},
+  folderResults: [{
+    path: 'logs', action: 'trash', retentionDays: 7, maxTotalSize: null,
+    totalFiles: 3, movedFiles: 1, deletedFiles: 0, skippedFiles: 2, reclaimedSize: 10, removedDirs: 0
+  }],
+  totalFiles: 3,
+  movedFiles: 1,
+  deletedFiles: 0,
+  skippedFiles: 2,
+  skipReasons: { 'not-expired': 2 },
+  movedFilesList: [{ folder: 'logs', sourcePath: fileName, action: 'move', targetPath: null, size: 10, ageDays: -1 }],
+  skippedFilesList: [],
+  reclaimedSize: 10,
+  quotaList: [],
+  removedDirs: 0,
+  removedDirsList: []
+});
+
+test('CSV 报告包含文件夹汇总行，并转义可能被当作公式的单元格', () => {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-'));
+  try {
+    const reportPath = path.join(tempDir, 'report.csv');
+    const written = writeReport(createResult('=HYPERLINK("http://example.com")'), reportPath);
+    assert.equal(written.success, true);
+
+    const [header, folderRow, fileRow] = fs.readFileSync(reportPath, 'utf8').replace(/^\uFEFF/, '').trim().split('\r\n');
+    const columns = header.split(',');
+    const folderCells = folderRow.split(',');
+    assert.equal(folderCells[columns.indexOf('action')], 'folder');
+    assert.equal(folderCells[columns.indexOf('folder')], 'logs');
+    assert.equal(folderCells[columns.indexOf('skippedFiles')], '2');
+    assert.equal(folderCells[columns.indexOf('reclaimedSize')], '10');
+    assert.ok(fileRow.includes(`"'=HYPERLINK(""http://example.com"")"`));
+    // 数值单元格不加前缀
+    assert.ok(fileRow.includes(',10,-1,'));
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
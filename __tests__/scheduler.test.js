@@ -0,0 +1,50 @@
+/**
+ * cron 表达式解析与下一次运行时间测试（按本地时间）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNextRunTime, parseCronExpression } from '../scheduler.js';
+
+// 2026-01-05 是星期一
+const NEXT_RUN_CASES = [
+  { expression: '@daily', after: [2026, 0, 5, 10, 7], expected: [2026, 0, 6, 0, 0] },
+  { expression: '@hourly', after: [2026, 0, 5, 10, 7], expected: [2026, 0, 5, 11, 0] },
+  { expression: '@MONTHLY', after: [2026, 0, 5, 10, 7], expected: [2026, 1, 1, 0, 0] },
+  { expression: '*/15 * * * *', after: [2026, 0, 5, 10, 7], expected: [2026, 0, 5, 10, 15] },
+  { expression: '*/15 * * * *', after: [2026, 0, 5, 10, 45], expected: [2026, 0, 5, 11, 0] },
+  // 起始时间本身不算
+  { expression: '*/15 * * * *', after: [2026, 0, 5, 10, 15], expected: [2026, 0, 5, 10, 30] },
+  { expression: '5/20 * * * *', after: [2026, 0, 5, 10, 30], expected: [2026, 0, 5, 10, 45] },
+  // 2 月 31 日永远不会出现
+  { expression: '0 0 31 2 *', after: [2026, 0, 5, 10, 7], expected: null },
+  // 日和星期都有限制时满足其一即可：13 日或星期五
+  { expression: '0 9 13 * 5', after: [2026, 0, 5, 10, 7], expected: [2026, 0, 9, 9, 0] },
+  { expression: '0 9 13 * 5', after: [2026, 0, 9, 9, 0], expected: [2026, 0, 13, 9, 0] },
+  // 只限制星期时日字段不参与判断
+  { expression: '0 12 * * 1-5', after: [2026, 0, 9, 13, 0], expected: [2026, 0, 12, 12, 0] },
+  // 星期 7 与 0 都表示星期日，支持英文缩写
+  { expression: '0 0 * * 7', after: [2026, 0, 5, 10, 7], expected: [2026, 0, 11, 0, 0] },
+  { expression: '30 8 * feb-mar Mon', after: [2026, 0, 5, 10, 7], expected: [2026, 1, 2, 8, 30] }
+];
+
+test('按表达式计算下一次运行时间', () => {
+  NEXT_RUN_CASES.forEach(({ expression, after, expected }) => {
+    const nextRun = getNextRunTime(parseCronExpression(expression), new Date(...after));
+    assert.deepEqual(nextRun, expected && new Date(...expected), `${expression} 在 ${new Date(...after).toLocaleString()} 之后`);
+  });
+});
+
+test('星期 7 折叠为 0，日和星期的限制按字段是否为 * 判断', () => {
+  const schedule = parseCronExpression('0 0 1,15 * 5-7');
+  assert.deepEqual([...schedule.weekdays].sort(), [0, 5, 6]);
+  assert.equal(schedule.dayRestricted, true);
+  assert.equal(schedule.weekdayRestricted, true);
+  assert.equal(parseCronExpression('@weekly').dayRestricted, false);
+});
+
+test('无效的表达式抛出错误', () => {
+  ['', '* * * *', '60 * * * *', '*/0 * * * *', '0 0 5-1 * *', '0 0 * foo *', '0 0 32 * *'].forEach((expression) => {
+    assert.throws(() => parseCronExpression(expression), undefined, expression);
+  });
+});
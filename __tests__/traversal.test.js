@@ -0,0 +1,36 @@
+/**
+ * 目录遍历的符号链接策略测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { createCleaner } from '../index.js';
+
+test('followSymlinks 启用时不跟随指向文件系统根目录的链接', { skip: process.platform === 'win32' }, async () => {
+  const tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'file-cleanup-test-')));
+  try {
+    const sourceDir = path.join(tempDir, 'src');
+    fs.ensureDirSync(sourceDir);
+    fs.writeFileSync(path.join(sourceDir, 'old.log'), 'x');
+    fs.symlinkSync('/', path.join(sourceDir, 'root'));
+
+    const cleaner = createCleaner({
+      config: { folders: [sourceDir], retentionDays: 0, followSymlinks: true },
+      baseDir: tempDir
+    });
+    const result = await cleaner.scan({ includeFiles: true, signal: AbortSignal.timeout(30000) });
+
+    assert.equal(result.aborted, false);
+    const outsideFiles = result.files.filter(file => !file.sourcePath.startsWith(sourceDir + path.sep));
+    assert.deepEqual(outsideFiles, []);
+    const linkRecord = result.files.find(file => file.sourcePath === path.join(sourceDir, 'root'));
+    assert.equal(linkRecord?.action, 'skip');
+    assert.equal(linkRecord?.reason, 'unsafe-symlink');
+    assert.ok(result.files.some(file => file.sourcePath === path.join(sourceDir, 'old.log') && file.action === 'move'));
+  } finally {
+    fs.removeSync(tempDir);
+  }
+});
@@ -0,0 +1,38 @@
+/**
+ * YAML 文档编辑测试
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYamlDocument } from '../yamlEditor.js';
+
+test('修改行内格式的列表和映射时保持行内格式和行尾注释', () => {
+  const document = parseYamlDocument([
+    'exclude: [cache, "*.tmp"]  # 排除项',
+    'folders:',
+    '  - path: /data/logs',
+    '    allowedExtensions: ["log", "txt"]',
+    'logConfig: { level: info, maxFiles: 5 }',
+    ''
+  ].join('\n'));
+
+  document.set(['exclude', 2], 'tmp');
+  document.set(['folders', 0, 'allowedExtensions', 2], 'gz');
+  document.set(['logConfig', 'level'], 'debug');
+  document.delete(['exclude', 0]);
+
+  assert.equal(document.toString(), [
+    'exclude: ["*.tmp", tmp]  # 排除项',
+    'folders:',
+    '  - path: /data/logs',
+    '    allowedExtensions: ["log", "txt", "gz"]',
+    'logConfig: { level: debug, maxFiles: 5 }',
+    ''
+  ].join('\n'));
+});
+
+test('空列表添加项时使用块格式', () => {
+  const document = parseYamlDocument('exclude: []\n');
+  document.set(['exclude', 0], 'cache');
+  assert.equal(document.toString(), 'exclude:\n  - "cache"\n');
+});
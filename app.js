@@ -1,14 +1,30 @@
 /**
- * 主入口文件
+ * 命令行程序模块
  * 支持命令行参数指定多个文件夹进行清理
+ * 导入本模块不会执行任何操作，由 bin/cli.js 调用 runCli 启动（嵌入其他程序时请使用 index.js 的 createCleaner）
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
-import logger from './logger.js';
-import { executeCleanup } from './cleaner.js';
+import logger, { configureLogger } from './logger.js';
+import {
+  setConfigPath,
+  getConfigPath,
+  getConfigSource,
+  getProfileNames,
+  setActiveProfile,
+  getActiveProfile,
+  getConfig,
+  reloadConfig
+} from './config.js';
+import { SKIP_REASONS, resolveFolderRules } from './cleaner.js';
+import { CONFLICT_MODES, listTrashRuns, getTrashRetention } from './recycleBin.js';
+import { runCleanup, runRestore, runPurgeTrash } from './runner.js';
+import { formatFileSize, parseSize } from './utils.js';
+import { REPORT_FORMATS, buildReport, writeReport } from './reporter.js';
+import { validateConfigFile, formatIssue } from './configValidator.js';
+import { ERROR_CODES, isJsonOutput, enableJsonOutput, printJsonResult } from './output.js';
 import {
   addFolder,
   removeFolder,
@@ -17,9 +33,18 @@ import {
   clearAllFolders,
   validateFolderPath,
   getRecycleBinDir,
-  updateRecycleBinDir
+  updateRecycleBinDir,
+  FOLDER_RULE_KEYS,
+  getFolderPath,
+  getFolderRules
 } from './configManager.js';
+import { getSetting, setSetting, addSettingItem, removeSettingItem } from './configSettings.js';
+import { getNextRunTime } from './scheduler.js';
+import { getScheduleJobs, runDaemon } from './daemon.js';
+import { DEFAULT_RESCAN_INTERVAL_MINUTES, runWatch } from './watcher.js';
+import { RECONCILE_STATUSES, findInterruptedRun } from './journal.js';
 import readline from 'readline';
+import yaml from 'js-yaml';
 
 /**
  * 获取当前模块的目录路径
@@ -27,23 +52,46 @@ import readline from 'readline';
  */
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-/**
- * 加载YAML配置文件
- * @returns {Object} - 配置对象
- */
-const loadConfig = () => {
-  try {
-    const configPath = path.join(__dirname, 'config.yaml');
-    const fileContents = fs.readFileSync(configPath, 'utf8');
-    const data = yaml.load(fileContents);
-    return data;
-  } catch (e) {
-    logger.error(`加载配置文件失败: ${e.message}`);
-    throw e;
-  }
+// 配置文件来源的说明
+const CONFIG_SOURCE_LABELS = {
+  option: '--config 参数',
+  env: 'FILE_CLEANUP_CONFIG 环境变量',
+  local: '当前目录',
+  user: '用户配置目录',
+  default: '默认配置（首次修改配置时创建该文件）'
 };
 
-const config = loadConfig();
+// 不带值或单独解析的命令行选项（大小类和并发类选项见下方的对应关系），其他以 - 开头的参数视为未知选项
+const KNOWN_OPTIONS = new Set([
+  '--add', '-a', '--remove', '-rm', '--update', '-u', '--rule', '--list', '-l', '--clear', '-c',
+  '--days', '-d', '--force', '-f', '-y', '--dry-run', '--prune-empty-dirs', '--resume',
+  '--report', '--report-format', '--config', '--profile', '--all-profiles', '--json',
+  '--recycle-bin', '-rb', '--list-recycle-bin', '-lrb', '--restore', '-rs', '--restore-run', '--conflict',
+  '--list-runs', '--purge-trash', '--daemon', '--watch', '--rescan-interval',
+  '--validate-config', '--configclear', '-cfc', '--help', '-h', '--version', '-v'
+]);
+
+// 大小类命令行选项与参数字段的对应关系
+const SIZE_OPTIONS = {
+  '--min-size': 'minSize',
+  '--max-size': 'maxSize',
+  '--max-total-size': 'maxTotalSize'
+};
+
+// 并发类命令行选项与参数字段的对应关系
+const CONCURRENCY_OPTIONS = {
+  '--concurrency': 'concurrency',
+  '--parallel-folders': 'parallelFolders'
+};
+
+// config 子命令及其参数个数
+const CONFIG_COMMANDS = {
+  get: 1,
+  set: 2,
+  add: 2,
+  remove: 2,
+  show: 0
+};
 
 /**
  * 解析命令行参数
@@ -52,19 +100,53 @@ const config = loadConfig();
 const parseArguments = () => {
   const args = process.argv.slice(2);
   const result = {
-    retentionDays: config.retentionDays,
+    retentionDays: null,
     action: 'help',
     configPath: null,
     configNewPath: null,
+    folderRules: {},
     recycleBinPath: null,
+    restoreTarget: null,
+    restoreRunId: null,
+    resume: false,
+    resumeRunId: null,
+    conflictMode: 'skip',
     error: null,
     force: false,
-    yes: false
+    yes: false,
+    dryRun: false,
+    minSize: null,
+    maxSize: null,
+    maxTotalSize: null,
+    pruneEmptyDirs: false,
+    concurrency: null,
+    parallelFolders: null,
+    reportPath: null,
+    reportFormat: null,
+    configFile: null,
+    profile: null,
+    allProfiles: false,
+    rescanInterval: null,
+    configCommand: null,
+    settingKey: null,
+    settingValue: null,
+    // 提前识别 --json，使参数错误也能以 JSON 格式输出
+    json: args.includes('--json')
   };
   
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
+    // 未知选项（如拼写错误的 --dry-rn）直接报错，避免被忽略后按不同于预期的方式执行
+    if (arg.startsWith('-') && !KNOWN_OPTIONS.has(arg) && !SIZE_OPTIONS[arg] && !CONCURRENCY_OPTIONS[arg]) {
+      result.error = {
+        type: 'unknown',
+        option: arg,
+        message: `未知的选项: ${arg}`
+      };
+      return result;
+    }
+    
     // 解析 --days 参数
     if (arg === '--days' || arg === '-d') {
       const nextArg = args[i + 1];
@@ -91,6 +173,63 @@ const parseArguments = () => {
       }
     }
     
+    // 解析 --min-size / --max-size / --max-total-size 参数（支持 KB、MB、GB 单位）
+    if (SIZE_OPTIONS[arg]) {
+      const key = SIZE_OPTIONS[arg];
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        const size = parseSize(nextArg);
+        if (size === null) {
+          result.error = {
+            type: 'invalid',
+            option: arg,
+            message: `${arg} 参数格式无效，示例: 0、500KB、1.5GB`
+          };
+          return result;
+        }
+        result[key] = size;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: arg,
+          message: `${arg} 选项需要提供一个文件大小参数（如 500MB）`
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --concurrency / --parallel-folders 参数（同时进行的文件操作数 / 同时清理的文件夹数）
+    if (CONCURRENCY_OPTIONS[arg]) {
+      const key = CONCURRENCY_OPTIONS[arg];
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        const value = Number(nextArg);
+        if (!Number.isInteger(value) || value <= 0) {
+          result.error = {
+            type: 'invalid',
+            option: arg,
+            message: `${arg} 参数必须是一个正整数`
+          };
+          return result;
+        }
+        result[key] = value;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: arg,
+          message: `${arg} 选项需要提供一个正整数参数`
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --prune-empty-dirs 参数（删除清理后留下的空目录）
+    if (arg === '--prune-empty-dirs') {
+      result.pruneEmptyDirs = true;
+    }
+    
     // 解析 --add 参数（添加文件夹到配置）
     if (arg === '--add' || arg === '-a') {
       result.action = 'add';
@@ -154,6 +293,31 @@ const parseArguments = () => {
       }
     }
     
+    // 解析 --rule 参数（为 --add / --update 的文件夹设置单独规则，可重复使用）
+    if (arg === '--rule') {
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        const rule = parseRuleArgument(nextArg);
+        if (rule.error) {
+          result.error = {
+            type: 'invalid',
+            option: '--rule',
+            message: rule.error
+          };
+          return result;
+        }
+        result.folderRules[rule.key] = rule.value;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--rule',
+          message: '--rule 选项需要提供一个 键=值 参数'
+        };
+        return result;
+      }
+    }
+    
     // 解析 --list 参数（列出所有配置的文件夹）
     if (arg === '--list' || arg === '-l') {
       result.action = 'list';
@@ -164,6 +328,120 @@ const parseArguments = () => {
       result.action = 'clear';
     }
     
+    // 解析 --resume 参数（继续中断的运行，可指定运行ID，默认为最近一次中断的运行）
+    if (arg === '--resume') {
+      result.resume = true;
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.resumeRunId = nextArg;
+        i++;
+      }
+    }
+    
+    // 解析 --config 参数（指定配置文件）
+    if (arg === '--config') {
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.configFile = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--config',
+          message: '--config 选项需要提供一个配置文件路径'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --profile 参数（选择配置方案）
+    if (arg === '--profile') {
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.profile = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--profile',
+          message: '--profile 选项需要提供一个配置方案名称'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --all-profiles 参数（依次处理所有配置方案）
+    if (arg === '--all-profiles') {
+      result.allProfiles = true;
+    }
+    
+    // 解析 config 子命令（读取和修改配置项）：config get <键>、config set <键> <值>、config add/remove <键> <值>、config show
+    if (arg === 'config' && result.configCommand === null) {
+      result.action = 'config';
+      const subcommand = args[i + 1];
+      if (!Object.hasOwn(CONFIG_COMMANDS, subcommand ?? '')) {
+        result.error = {
+          type: subcommand ? 'invalid' : 'missing',
+          option: 'config',
+          message: `config 需要提供一个子命令: ${Object.keys(CONFIG_COMMANDS).join('、')}`
+        };
+        return result;
+      }
+      // 参数按位置读取，配置项不能以 - 开头，值可以（如排除模式）
+      const operands = args.slice(i + 2, i + 2 + CONFIG_COMMANDS[subcommand]);
+      if (operands.length < CONFIG_COMMANDS[subcommand] || operands[0]?.startsWith('-')) {
+        result.error = {
+          type: 'missing',
+          option: 'config',
+          message: subcommand === 'get' ? 'config get 需要提供一个配置项参数' : `config ${subcommand} 需要提供配置项和值两个参数`
+        };
+        return result;
+      }
+      result.configCommand = subcommand;
+      [result.settingKey = null, result.settingValue = null] = operands;
+      i += 1 + operands.length;
+    }
+    
+    // 解析 --daemon 参数（按配置文件中的 schedule 定时执行清理）
+    if (arg === '--daemon') {
+      result.action = 'daemon';
+    }
+    
+    // 解析 --watch 参数（持续监视文件夹，文件到期时立即清理）
+    if (arg === '--watch') {
+      result.action = 'watch';
+    }
+    
+    // 解析 --rescan-interval 参数（监视模式的完整扫描间隔，单位：分钟）
+    if (arg === '--rescan-interval') {
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        const minutes = Number(nextArg);
+        if (!Number.isFinite(minutes) || minutes <= 0) {
+          result.error = {
+            type: 'invalid',
+            option: '--rescan-interval',
+            message: '--rescan-interval 参数必须是一个正数（单位：分钟）'
+          };
+          return result;
+        }
+        result.rescanInterval = minutes;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--rescan-interval',
+          message: '--rescan-interval 选项需要提供一个分钟数参数'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --validate-config 参数（校验配置文件）
+    if (arg === '--validate-config') {
+      result.action = 'validate-config';
+    }
+    
     // 解析 --configclear 参数（清空所有配置）
     if (arg === '--configclear' || arg === '-cfc') {
       result.action = 'configclear';
@@ -191,6 +469,11 @@ const parseArguments = () => {
       result.yes = true;
     }
     
+    // 解析 --dry-run 参数（预演模式，不改动文件系统）
+    if (arg === '--dry-run') {
+      result.dryRun = true;
+    }
+    
     // 解析 --recycle-bin 参数（设置回收站目录）
     if (arg === '--recycle-bin' || arg === '-rb') {
       result.action = 'recycle-bin';
@@ -212,6 +495,145 @@ const parseArguments = () => {
     if (arg === '--list-recycle-bin' || arg === '-lrb') {
       result.action = 'list-recycle-bin';
     }
+    
+    // 解析 --restore 参数（按路径或通配符从回收站恢复文件）
+    if (arg === '--restore' || arg === '-rs') {
+      result.action = 'restore';
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.restoreTarget = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--restore',
+          message: '--restore 选项需要提供一个文件路径或通配符参数'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --restore-run 参数（恢复某次清理运行移动的全部文件）
+    if (arg === '--restore-run') {
+      result.action = 'restore';
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.restoreRunId = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--restore-run',
+          message: '--restore-run 选项需要提供一个运行ID参数'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --conflict 参数（恢复时原始位置已存在文件的处理方式）
+    if (arg === '--conflict') {
+      const nextArg = args[i + 1];
+      if (nextArg && CONFLICT_MODES.includes(nextArg)) {
+        result.conflictMode = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'invalid',
+          option: '--conflict',
+          message: `--conflict 选项的值必须是 ${CONFLICT_MODES.join('、')} 之一`
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --list-runs 参数（列出回收站中可恢复的清理运行）
+    if (arg === '--list-runs') {
+      result.action = 'list-runs';
+    }
+    
+    // 解析 --purge-trash 参数（按保留策略清理回收站）
+    if (arg === '--purge-trash') {
+      result.action = 'purge-trash';
+    }
+    
+    // 解析 --report 参数（将本次清理的完整记录写入报告文件）
+    if (arg === '--report') {
+      const nextArg = args[i + 1];
+      if (nextArg && !nextArg.startsWith('-')) {
+        result.reportPath = nextArg;
+        i++;
+      } else {
+        result.error = {
+          type: 'missing',
+          option: '--report',
+          message: '--report 选项需要提供一个报告文件路径'
+        };
+        return result;
+      }
+    }
+    
+    // 解析 --report-format 参数（报告格式）
+    if (arg === '--report-format') {
+      const nextArg = args[i + 1];
+      if (nextArg && REPORT_FORMATS.includes(nextArg.toLowerCase())) {
+        result.reportFormat = nextArg.toLowerCase();
+        i++;
+      } else {
+        result.error = {
+          type: 'invalid',
+          option: '--report-format',
+          message: `--report-format 选项的值必须是 ${REPORT_FORMATS.join('、')} 之一`
+        };
+        return result;
+      }
+    }
+  }
+  
+  if (result.reportFormat && !result.reportPath) {
+    result.error = {
+      type: 'invalid',
+      option: '--report-format',
+      message: '--report-format 需要与 --report 搭配使用'
+    };
+  }
+  
+  if (result.rescanInterval !== null && result.action !== 'watch') {
+    result.error = {
+      type: 'invalid',
+      option: '--rescan-interval',
+      message: '--rescan-interval 需要与 --watch 搭配使用'
+    };
+  } else if (result.action === 'daemon' && result.profile) {
+    result.error = {
+      type: 'invalid',
+      option: '--daemon',
+      message: '--daemon 不能与 --profile 同时使用，请在 schedule 的计划任务中设置 profile'
+    };
+  } else if (result.allProfiles && result.profile) {
+    result.error = {
+      type: 'invalid',
+      option: '--all-profiles',
+      message: '--all-profiles 不能与 --profile 同时使用'
+    };
+  } else if (result.allProfiles && !['clear', 'list'].includes(result.action)) {
+    result.error = {
+      type: 'invalid',
+      option: '--all-profiles',
+      message: '--all-profiles 只能与 --clear 或 --list 搭配使用'
+    };
+  } else if (result.resume && result.action !== 'clear') {
+    result.error = {
+      type: 'invalid',
+      option: '--resume',
+      message: '--resume 需要与 --clear 搭配使用'
+    };
+  } else if (result.resume && (result.retentionDays !== null || result.force || result.minSize !== null || result.maxSize !== null
+    || result.maxTotalSize !== null || result.pruneEmptyDirs || result.profile || result.allProfiles || result.dryRun)) {
+    result.error = {
+      type: 'invalid',
+      option: '--resume',
+      message: '--resume 沿用中断运行的清理参数和配置方案，不能与 --days、-f、--min-size、--max-size、--max-total-size、--prune-empty-dirs、--profile、--all-profiles、--dry-run 同时使用'
+    };
   }
   
   return result;
@@ -234,11 +656,12 @@ const showHelp = () => {
   console.log('');
   console.log('用法:');
   console.log('  file-cleanup [选项]');
+  console.log('  file-cleanup config <子命令> [参数] [选项]');
   console.log('');
   console.log('清理操作选项:');
   console.log('  --clear               执行文件清理操作');
-  console.log('  -d, --days <天数>     指定文件保留天数（默认: 0天），必须与--clear参数搭配使用才能生效');
-  console.log('  -f, --force           强制删除文件（跳过回收站），但会触发确认提示');
+  console.log('  -d, --days <天数>     指定文件保留天数（覆盖全局和文件夹单独配置的保留天数），必须与--clear参数搭配使用才能生效');
+  console.log('  -f, --force           强制删除文件（跳过回收站，覆盖文件夹配置的 action），但会触发确认提示');
   console.log('                        与--clear参数搭配使用时，将直接删除符合条件的文件，而不执行移动操作');
   console.log('                        注意: 直接删除的文件不可恢复，请谨慎使用');
   console.log('                        示例: file-cleanup --clear -f （直接删除文件，需要确认）');
@@ -249,11 +672,68 @@ const showHelp = () => {
   console.log('                        示例: file-cleanup --clear -y （自动确认并执行清理操作）');
   console.log('                        示例: file-cleanup --clear -f -y （自动确认并执行强制删除操作）');
   console.log('                        示例: file-cleanup --configclear -y （自动确认并清空配置）');
+  console.log('  --min-size <大小>     只处理不小于指定大小的文件（支持 B、KB、MB、GB、TB 单位），覆盖配置中的 minSize');
+  console.log('  --max-size <大小>     只处理不大于指定大小的文件（支持 B、KB、MB、GB、TB 单位），覆盖配置中的 maxSize');
+  console.log('                        示例: file-cleanup --clear --days 7 --min-size 500MB （清理超过7天且不小于500MB的文件）');
+  console.log('                        示例: file-cleanup --clear --min-size 1B （忽略空文件）');
+  console.log('  --max-total-size <大小> 配额模式：文件夹总大小超过指定大小时，从最旧的文件开始清理直到低于该大小');
+  console.log('                        不检查保留天数，其余检查（系统保护、扩展名、包含/排除、文件占用）照常生效');
+  console.log('                        覆盖文件夹配置中的 maxTotalSize，并对所有文件夹启用配额模式');
+  console.log('                        示例: file-cleanup --clear --max-total-size 50GB');
+  console.log('  --prune-empty-dirs    清理后自底向上删除因本次清理而变空的目录（从不删除配置的文件夹本身和受保护的目录）');
+  console.log('                        覆盖配置中的 pruneEmptyDirs，空目录的最小年龄由 pruneMinAgeDays 配置');
+  console.log('  --concurrency <数量>  同时进行的文件检查和移动、删除操作数（默认: 8），覆盖配置中的 concurrency');
+  console.log('                        目录以流的方式逐项读取，内存占用不随文件数量增长；网络文件系统或机械硬盘上可适当调小');
+  console.log('  --parallel-folders <数量> 同时清理的配置文件夹数（默认: 1），覆盖配置中的 parallelFolders');
+  console.log('                        各文件夹共用 --concurrency 的限制，结果仍按配置顺序汇总');
+  console.log('                        示例: file-cleanup --clear -y --concurrency 32 --parallel-folders 4');
+  console.log('  --report <文件>       将本次清理的完整记录写入报告文件（参数、起止时间、各文件夹统计、释放空间、每个文件的处理结果）');
+  console.log('  --report-format <格式> 报告格式: json、csv、html，默认按报告文件扩展名推断（无法推断时为 json）');
+  console.log('                        示例: file-cleanup --clear -y --report reports/cleanup.json');
+  console.log('                        示例: file-cleanup --clear --dry-run --report preview.html');
+  console.log('  --dry-run             预演模式，执行完整的判断流程但不移动或删除任何文件');
+  console.log('                        显示每个候选文件的大小、年龄和将执行的操作，以及每个被跳过的文件及原因');
+  console.log('                        示例: file-cleanup --clear --dry-run');
+  console.log('                        示例: file-cleanup --clear --days 30 -f --dry-run （预览强制删除，不需要确认）');
+  console.log('  --resume [运行ID]     继续被中断（进程被终止或收到 SIGTERM）的清理运行，默认为最近一次中断的运行');
+  console.log('                        沿用该运行的配置方案、文件夹和清理参数，跳过已处理完成的文件夹和目录，运行ID保持不变');
+  console.log('                        运行进度记录在用户状态目录的 journal 目录中，运行正常结束后自动删除');
+  console.log('                        每次清理启动时会核对中断运行中未完成的移动：源文件仍在时删除回收站中不完整的副本，');
+  console.log('                        源文件已不存在时为回收站中的文件补充记录（不完整的文件标记为 partial）');
+  console.log('                        示例: file-cleanup --clear --resume');
+  console.log('                        示例: file-cleanup --clear --resume 20260105-030000-a1b2 -y');
+  console.log('');
+  console.log('监视模式选项:');
+  console.log('  --watch               持续监视配置的文件夹，文件超过保留天数时立即清理（适用于上传临时目录、队列目录等变化频繁的目录）');
+  console.log('                        启动时完整扫描一次，之后通过文件系统事件跟踪新增和修改的文件，按每个文件的到期时间处理');
+  console.log('                        配额模式（maxTotalSize）的文件夹只在完整扫描时清理；可与 --profile、--days、-f、-y、--dry-run 等清理选项搭配');
+  console.log('  --rescan-interval <分钟> 监视模式下完整扫描的间隔（默认: 60），用于纠正重启或遗漏的文件系统事件造成的偏差');
+  console.log('                        示例: file-cleanup --watch -y --rescan-interval 30');
+  console.log('');
+  console.log('计划任务选项:');
+  console.log('  --daemon              守护进程模式：按配置文件 schedule 中的 cron 表达式定时清理，进程保持运行');
+  console.log('                        每个计划任务可指定 profile（配置方案）和 folder（只清理该文件夹），自动确认（相当于 -y）');
+  console.log('                        上一次清理尚未结束时跳过到期的计划任务；停机期间错过的运行在启动后补运行一次（catchUp: false 时不补运行）');
+  console.log('                        收到 SIGTERM 或 Ctrl+C 时处理完当前文件后停止，运行状态保存在状态目录（~/.local/state/file-cleanup）的 daemon-state.json');
+  console.log('                        可与 --days、-f、--dry-run 等清理选项搭配，这些选项应用于每次运行');
+  console.log('                        示例: file-cleanup --daemon');
+  console.log('                        示例: file-cleanup --daemon --config /etc/file-cleanup/config.yaml');
   console.log('');
   console.log('配置管理选项:');
   console.log('  --add <路径>          添加文件夹到配置（支持绝对路径和相对路径）');
   console.log('  --remove <路径>       从配置中删除文件夹（支持绝对路径和相对路径）');
-  console.log('  --update <旧路径> <新路径>  修改配置中的文件夹路径（支持绝对路径和相对路径）');
+  console.log('  --update <旧路径> <新路径>  修改配置中的文件夹路径（支持绝对路径和相对路径），原有的文件夹规则会被保留');
+  console.log('  --rule <键=值>        与 --add / --update 搭配，为文件夹设置单独的清理规则（可重复使用）');
+  console.log('                        支持的键: retentionDays、allowedExtensions、include、exclude、maxDepth、minSize、maxSize、maxTotalSize、keepLatest、ageBasis、filenameDatePattern、pruneEmptyDirs、pruneMinAgeDays、followSymlinks、oneFileSystem、action');
+  console.log('                        include / exclude 支持通配符（如 *.tmp、**/cache/**）和 re: 开头的正则表达式');
+  console.log('                        列表值使用逗号分隔，值为空时删除该规则（恢复使用全局配置）');
+  console.log('                        示例: file-cleanup --add ./build-cache --rule retentionDays=3 --rule allowedExtensions=o');
+  console.log('                        示例: file-cleanup --add ./reports --rule retentionDays=90 --rule action=delete');
+  console.log('                        keepLatest 为数字时文件夹（包括子目录）中始终保留最新的 N 个文件，也可按模式分组，如 keepLatest=db-*.bak:7,*.log:3');
+  console.log('                        示例: file-cleanup --add ./backups --rule retentionDays=30 --rule keepLatest=7');
+  console.log('                        ageBasis 指定计算文件年龄的时间: mtime（默认）、atime、ctime、birthtime、oldest、newest、filename');
+  console.log('                        示例: file-cleanup --add ./logs --rule ageBasis=filename --rule filenameDatePattern=YYYY-MM-DD');
+  console.log('                        符号链接默认不跟随；followSymlinks=true 时进入指向目录的链接，oneFileSystem=true 时不进入其他文件系统');
   console.log('  --list                列出所有配置的文件夹');
   console.log('  --configclear         清空所有文件夹配置（保留其他配置项）');
   console.log('  --recycle-bin <路径>  设置回收站目录（支持绝对路径和相对路径）');
@@ -261,15 +741,65 @@ const showHelp = () => {
   console.log('  -rb <路径>            设置回收站目录（简写）');
   console.log('  -lrb                  列出当前回收站目录设置（简写）');
   console.log('');
+  console.log('配置项命令:');
+  console.log('  config get <键>       显示配置项当前生效的值（与 --profile 搭配时为配置方案与全局配置合并后的值）');
+  console.log('  config set <键> <值>  设置配置项，值为 "" 时删除该配置项（恢复默认值）');
+  console.log('                        键使用 . 和 [序号] 表示层级，如 retentionDays、moveConfig.targetDirectory、logConfig.level、folders[0].keepLatest');
+  console.log('                        值按 YAML 解析（7 为数字、true 为布尔值、[a, b] 为列表），列表也可以写成逗号分隔');
+  console.log('                        保存前按配置结构检查类型和取值，类型错误或未知的配置项不会被保存');
+  console.log('  config add <键> <值>  向列表类配置项添加一项（如 protectedFiles、allowedExtensions、folders[0].exclude）');
+  console.log('  config remove <键> <值>  从列表类配置项中删除一项');
+  console.log('                        键为 folders 时等同于 --add / --remove（文件夹路径只能通过这些命令和 --update 修改）');
+  console.log('  config show           显示当前生效的完整配置');
+  console.log('                        与 --profile 搭配时读写该配置方案中的配置项，config set / config add 会自动创建不存在的配置方案');
+  console.log('                        配置文件存在错误时 config 命令仍可运行，可用 config set 修正');
+  console.log('                        示例: file-cleanup config set retentionDays 14');
+  console.log('                        示例: file-cleanup config set allowedExtensions log,tmp');
+  console.log('                        示例: file-cleanup config add protectedFiles "*.keep"');
+  console.log('                        示例: file-cleanup --profile weekly config set moveConfig.maxAgeDays 60');
+  console.log('');
+  console.log('回收站恢复选项:');
+  console.log('  --restore <路径>      将回收站中的文件恢复到原始位置');
+  console.log('                        路径可以是原始路径、回收站中的路径或通配符（如 "E:/temp/logs/*.log"）');
+  console.log('  --restore-run <运行ID>  恢复某次清理运行移动的全部文件（运行ID在清理完成时显示）');
+  console.log('  --conflict <方式>     原始位置已存在同名文件时的处理方式（默认: skip）');
+  console.log('                        skip: 跳过该文件；rename: 恢复为新文件名；overwrite: 覆盖现有文件');
+  console.log('  --list-runs           列出回收站中可恢复的清理运行');
+  console.log('  -rs <路径>            将回收站中的文件恢复到原始位置（简写）');
+  console.log('  --purge-trash         按 moveConfig 中的保留策略清理回收站（maxAgeDays、maxTotalSize）');
+  console.log('                        按文件进入回收站的时间从旧到新删除，可与 --dry-run 搭配预览');
+  console.log('');
   console.log('其他选项:');
+  console.log('  --config <文件>       指定配置文件（支持相对路径和 ~），文件不存在时在首次修改配置时按默认配置创建');
+  console.log('                        未指定时依次查找: FILE_CLEANUP_CONFIG 环境变量、当前目录的 .file-cleanup.yaml、');
+  console.log('                        ~/.config/file-cleanup/config.yaml（遵循 XDG_CONFIG_HOME），都不存在时使用安装目录中的默认配置');
+  console.log('                        示例: file-cleanup --config ./cleanup.yaml --add ./logs');
+  console.log('  --validate-config     校验配置文件，列出每个问题的配置项路径和行号');
+  console.log('                        类型或取值错误时其他命令会拒绝运行，未知的配置项（如拼写错误）只输出警告');
+  console.log('                        示例: file-cleanup --validate-config --config ./cleanup.yaml');
+  console.log('  --profile <名称>      使用配置文件 profiles 中的配置方案，适用于所有命令（--clear、--list、--add、--recycle-bin 等）');
+  console.log('                        配置方案有自己的文件夹列表，并可覆盖全局规则和回收站设置；--add 和 --recycle-bin 会自动创建不存在的配置方案');
+  console.log('                        示例: file-cleanup --profile nightly --add ./logs');
+  console.log('  --all-profiles        与 --clear 或 --list 搭配，依次处理顶层 folders 和所有配置方案，最后输出合并的汇总');
+  console.log('                        与 --report 搭配时每个配置方案单独写入报告，文件名中加入配置方案名称（如 report.nightly.json）');
+  console.log('                        示例: file-cleanup --clear --all-profiles -y');
+  console.log('  --json                JSON 输出模式：向 stdout 输出一个 JSON 文档 { command, success, code, message, data }');
+  console.log('                        人类可读的输出和控制台日志改为输出到 stderr，适用于脚本和自动化调用');
+  console.log('                        支持 --list、--validate-config、config、--list-recycle-bin、--recycle-bin、--list-runs、--add、--remove、--update、--configclear、--clear、--watch、--daemon、--purge-trash、--restore');
+  console.log('                        示例: file-cleanup --list --json');
+  console.log('                        示例: file-cleanup --clear -y --json > result.json');
   console.log('  -h, --help            显示帮助信息');
   console.log('  -v, --version         显示版本信息');
   console.log('');
   console.log('功能说明:');
   console.log('  回收站功能:');
   console.log('    - 支持将文件移动到指定的回收站目录而非直接删除');
+  console.log('    - 回收站中按配置的文件夹分子目录存放，并保留文件相对于该文件夹的目录结构');
   console.log('    - 配置文件中moveConfig部分可自定义回收站行为');
-  console.log('    - 移动后的文件可以在回收站中查看和恢复');
+  console.log('    - 移动后的文件可以在回收站中查看，并通过 --restore 或 --restore-run 恢复到原始位置');
+  console.log('    - 恢复时会自动重新创建缺失的父目录');
+  console.log('    - moveConfig.maxAgeDays / maxTotalSize 控制回收站的保留天数和总大小上限');
+  console.log('    - moveConfig.purgeAfterClear 为 true 时，每次 --clear 结束后自动清理回收站');
   console.log('');
   console.log('相对路径使用说明:');
   console.log('  - 支持当前目录相对路径: ./subfolder, ./file.txt');
@@ -299,6 +829,12 @@ const showHelp = () => {
   console.log('  file-cleanup --clear --force （直接删除文件，不可恢复）');
   console.log('  file-cleanup --clear --days 30 --force （直接删除超过指定天数的文件，不可恢复）');
   console.log('');
+  console.log('  # 从回收站恢复文件');
+  console.log('  file-cleanup --list-runs');
+  console.log('  file-cleanup --restore-run 20260105-030000-a1b2 （撤销一次清理运行）');
+  console.log('  file-cleanup --restore "E:/temp/logs/report.txt"');
+  console.log('  file-cleanup --restore "E:/temp/logs/**/*.log" --conflict rename');
+  console.log('');
   console.log('注意事项:');
   console.log('  - 当未指定任何选项时，默认显示此帮助文档');
   console.log('  - 清理操作仅在配置了文件夹且使用了相关选项时执行');
@@ -311,22 +847,783 @@ const showHelp = () => {
   console.log('');
 };
 
+/**
+ * 输出预演模式的结果
+ * @param {Object} result - executeCleanup 的返回结果
+ */
+const printDryRunResult = (result) => {
+  console.log('\n候选文件:');
+  if (result.movedFilesList.length === 0) {
+    console.log('  (无)');
+  }
+  result.movedFilesList.forEach((file) => {
+    const actionLabel = file.action === 'delete' ? '[DELETE]' : '[MOVE]  ';
+    console.log(`  ${actionLabel} ${file.sourcePath}  大小: ${file.fileSize}  年龄: ${file.ageDays}天`);
+  });
+  
+  console.log('\n跳过的文件:');
+  if (result.skippedFilesList.length === 0) {
+    console.log('  (无)');
+  }
+  result.skippedFilesList.forEach((file) => {
+    console.log(`  [SKIP]   ${file.sourcePath}  原因: ${SKIP_REASONS[file.reason] || file.reason}`);
+  });
+  
+  if (result.removedDirsList.length > 0) {
+    console.log('\n将删除的空目录:');
+    result.removedDirsList.forEach((dir) => {
+      console.log(`  [RMDIR]  ${dir.path}`);
+    });
+  }
+};
+
+/**
+ * 输出回收站清理结果
+ * @param {Object} result - purgeTrash 的返回结果
+ */
+const printPurgeResult = (result) => {
+  result.fileList.forEach((file) => {
+    const reasonLabel = file.reason === 'age' ? '超过保留天数' : '超过总大小上限';
+    console.log(`   [PURGE] ${file.trashPath}  大小: ${formatFileSize(file.size)}  原因: ${reasonLabel}`);
+  });
+  console.log(`   回收站文件总数: ${result.totalFiles}个（${formatFileSize(result.totalSize)}）`);
+  console.log(`   ${result.dryRun ? '将删除' : '已删除'}文件: ${result.purgedFiles}个（${formatFileSize(result.purgedSize)}）`);
+  if (result.failedFiles > 0) {
+    console.log(`   删除失败: ${result.failedFiles}个`);
+  }
+};
+
+/**
+ * 打印配额模式文件夹的清理结果
+ * @param {Object} result - executeCleanup 返回的结果
+ * @param {boolean} dryRun - 是否为预演结果
+ */
+const printQuotaResult = (result, dryRun = false) => {
+  if (result.quotaList.length === 0) {
+    return;
+  }
+  
+  console.log('\n配额清理:');
+  result.quotaList.forEach((quota) => {
+    const status = quota.finalSize <= quota.maxTotalSize ? '已低于配额' : '仍超过配额（没有更多可清理的文件）';
+    console.log(`  ${quota.path}`);
+    console.log(`     配额: ${formatFileSize(quota.maxTotalSize)}  清理前: ${formatFileSize(quota.totalSize)}  清理后: ${formatFileSize(quota.finalSize)}  ${status}`);
+    console.log(`     ${dryRun ? '预计释放' : '已释放'}: ${formatFileSize(quota.reclaimedSize)}`);
+  });
+};
+
+/**
+ * 打印启动时核对的中断运行中未完成的移动
+ * @param {Object} result - executeCleanup 返回的结果
+ */
+const printReconciledMoves = (result) => {
+  if (result.reconciledMoves.length === 0) {
+    return;
+  }
+  
+  console.log('\n核对中断运行中未完成的移动:');
+  result.reconciledMoves.forEach((move) => {
+    console.log(`  [${move.status}] ${move.sourcePath}`);
+    console.log(`     ${RECONCILE_STATUSES[move.status]}（运行ID: ${move.runId}，回收站路径: ${move.trashPath}）`);
+  });
+};
+
+/**
+ * 按 --report 参数写入运行报告
+ * @param {Object} result - executeCleanup 返回的结果
+ * @param {Object} params - 命令行参数
+ * @returns {Object|null} - writeReport 的写入结果，未指定报告时返回 null
+ */
+const saveRunReport = (result, params) => {
+  if (!params.reportPath) {
+    return null;
+  }
+  
+  const reportResult = writeReport(result, params.reportPath, params.reportFormat);
+  if (!reportResult.success) {
+    console.log(`[ERROR] 写入运行报告失败: ${reportResult.error}`);
+    logger.error(`写入运行报告失败: ${reportResult.filePath}`, { error: reportResult.error });
+    return reportResult;
+  }
+  
+  console.log(`[SUCCESS] 运行报告已保存: ${reportResult.filePath}（格式: ${reportResult.format}）`);
+  logger.info(`运行报告已保存: ${reportResult.filePath}`, { format: reportResult.format, runId: result.runId });
+  return reportResult;
+};
+
+/**
+ * 生成清理命令的结果（用于 JSON 输出），数据结构与 JSON 运行报告相同
+ * @param {Object} result - executeCleanup 返回的结果
+ * @param {Object|null} reportResult - saveRunReport 的返回值
+ * @param {Object|null} trashPurge - 清理后自动清理回收站的结果
+ * @returns {Object} - 命令结果 { success, code, message, data }
+ */
+const buildClearResult = (result, reportResult, trashPurge = null) => {
+  const reportFailed = reportResult !== null && !reportResult.success;
+  return {
+    success: !reportFailed,
+    code: reportFailed ? 'REPORT_FAILED' : 'OK',
+    message: reportFailed ? `写入运行报告失败: ${reportResult.error}` : null,
+    data: {
+      profile: getActiveProfile(),
+      ...buildReport(result),
+      report: reportResult,
+      trashPurge
+    }
+  };
+};
+
+/**
+ * 结束命令：JSON 输出模式下先向 stdout 输出命令结果，然后退出进程
+ * @param {string} command - 命令名称
+ * @param {Object} result - 命令结果 { success, code, message, data }
+ * @param {number} exitCode - 退出状态码，默认成功为 0、失败为 1
+ */
+const exitWithResult = (command, { success, code = success ? 'OK' : 'INTERNAL_ERROR', message = null, data = null }, exitCode = success ? 0 : 1) => {
+  printJsonResult({ command, success, code, message, data });
+  process.exit(exitCode);
+};
+
+/**
+ * 执行清理任务并输出结果
+ * @param {Array<string|Object>} configFolders - 文件夹配置项列表
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data }（运行报告写入失败时 success 为 false）
+ */
+const runClearTask = async (configFolders, params) => {
+  console.log(params.force ? '\n[TRASH]  正在执行强制删除任务...' : '\n[BOX]  正在执行清理任务...');
+  
+  const { result, trashPurge } = await runCleanup(configFolders, {
+    retentionDays: params.retentionDays,
+    force: params.force,
+    minSize: params.minSize,
+    maxSize: params.maxSize,
+    maxTotalSize: params.maxTotalSize,
+    pruneEmptyDirs: params.pruneEmptyDirs,
+    concurrency: params.concurrency,
+    parallelFolders: params.parallelFolders,
+    signal: params.signal,
+    // 只有写入运行报告时才需要每个文件的记录
+    collectFiles: Boolean(params.reportPath),
+    resume: params.resumeRun?.runId ?? null
+  });
+  const deletedCount = result.deletedFiles;
+  const movedCount = result.movedFiles - deletedCount;
+  
+  printReconciledMoves(result);
+  if (result.aborted) {
+    console.log('\n[WARNING]  清理已中止，剩余的文件将在下次清理时处理');
+    console.log(`   也可使用 --clear --resume ${result.runId} 从中断处继续本次运行`);
+  } else {
+    console.log('\n[SUCCESS] 文件清理任务完成!');
+  }
+  if (result.resumed) {
+    console.log(`   继续中断的运行: 之前已移动 ${result.resumed.movedFiles}个、删除 ${result.resumed.deletedFiles}个文件，以下为本次继续后的统计`);
+  }
+  console.log(`   总计检查文件: ${result.totalFiles}个`);
+  console.log(`   成功移动文件: ${movedCount}个`);
+  console.log(`   成功删除文件: ${deletedCount}个`);
+  console.log(`   跳过文件: ${result.skippedFiles}个`);
+  console.log(`   释放空间: ${formatFileSize(result.reclaimedSize)}`);
+  console.log(`   删除空目录: ${result.removedDirs}个`);
+  if (movedCount > 0) {
+    console.log(`   运行ID: ${result.runId}（可使用 --restore-run ${result.runId} 撤销本次清理）`);
+  }
+  console.log(`   结束时间: ${new Date().toLocaleString()}`);
+  printQuotaResult(result);
+  const reportResult = saveRunReport(result, params);
+  console.log('=== 文件清理操作完成 ===');
+  // 清理结束后按配置自动清理回收站（moveConfig.purgeAfterClear）
+  if (trashPurge) {
+    console.log('\n[TRASH]  已按保留策略清理回收站');
+    printPurgeResult(trashPurge);
+  }
+  return buildClearResult(result, reportResult, trashPurge);
+};
+
+/**
+ * 执行监视模式，停止后输出汇总
+ * @param {Array<string|Object>} configFolders - 文件夹配置项列表
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data }
+ */
+const runWatchTask = async (configFolders, params) => {
+  const rescanIntervalMinutes = params.rescanInterval ?? DEFAULT_RESCAN_INTERVAL_MINUTES;
+  if (params.dryRun) {
+    console.log('\n[DRY-RUN] 预演模式：仅显示将要执行的操作，不会移动或删除任何文件');
+  }
+  console.log(`\n[WATCH] 正在监视文件夹：文件超过保留天数时立即清理，每 ${rescanIntervalMinutes} 分钟完整扫描一次`);
+  console.log('   收到 SIGTERM 或按 Ctrl+C 时，处理完当前文件后停止');
+  
+  const { signal, ...result } = await runWatch(configFolders, params.retentionDays, params.force, {
+    dryRun: params.dryRun,
+    minSize: params.minSize,
+    maxSize: params.maxSize,
+    maxTotalSize: params.maxTotalSize,
+    pruneEmptyDirs: params.pruneEmptyDirs,
+    concurrency: params.concurrency,
+    parallelFolders: params.parallelFolders,
+    rescanIntervalMinutes
+  });
+  
+  console.log(`\n=== 监视模式已停止（${signal}） ===`);
+  console.log(`   完整扫描: ${result.rescans}次`);
+  console.log(`   ${params.dryRun ? '将移动' : '成功移动'}文件: ${result.movedFiles}个`);
+  console.log(`   ${params.dryRun ? '将删除' : '成功删除'}文件: ${result.deletedFiles}个`);
+  console.log(`   ${params.dryRun ? '预计释放' : '释放'}空间: ${formatFileSize(result.reclaimedSize)}`);
+  if (result.runIds.length > 0) {
+    console.log(`   运行ID: ${result.runIds.join(', ')}（可使用 --restore-run <运行ID> 撤销）`);
+  }
+  return { success: true, data: { profile: getActiveProfile(), dryRun: params.dryRun, ...result } };
+};
+
+/**
+ * 询问用户是否继续，输入 y 表示确认
+ * @returns {Promise<boolean>} - 是否确认
+ */
+const askConfirmation = () => new Promise((resolve) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: isJsonOutput() ? process.stderr : process.stdout
+  });
+  
+  rl.question('', (answer) => {
+    rl.close();
+    console.log('');
+    resolve(answer.toLowerCase() === 'y');
+  });
+});
+
+/**
+ * 清理当前配置方案中的文件夹：显示清理参数，预演或在必要时确认后执行清理
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data }
+ */
+const runClear = async (params) => {
+  console.log('=== 文件清理操作 ===');
+  console.log('正在准备清理任务...');
+
+  // 从配置文件读取文件夹（计划任务指定了文件夹时只清理该文件夹，继续中断的运行时只清理该运行的文件夹）
+  const configFolders = getAllFolders().filter((entry) => {
+    const folderPath = path.resolve(getFolderPath(entry));
+    if (params.resumeRun) {
+      return params.resumeRun.folders.includes(folderPath);
+    }
+    return !params.onlyFolder || folderPath === path.resolve(params.onlyFolder);
+  });
+  if (configFolders.length === 0) {
+    logger.error('配置文件中没有配置任何文件夹');
+    console.log('');
+    console.log('[ERROR] 错误: 配置文件中没有配置任何文件夹');
+    console.log('');
+    console.log('请使用以下方式之一:');
+    console.log('  1. 使用 --add 参数添加文件夹到配置');
+    console.log('  2. 使用 --list 查看已配置的文件夹');
+    console.log('');
+    console.log('=== 文件清理操作终止 ===');
+    return { success: false, code: 'NO_FOLDERS', message: '配置文件中没有配置任何文件夹' };
+  }
+
+  // 解析每个文件夹的最终规则（命令行参数 > 文件夹配置 > 全局配置）
+  const folderRulesList = configFolders.map(entry => resolveFolderRules(entry, {
+    retentionDays: params.retentionDays,
+    forceDelete: params.force,
+    minSize: params.minSize,
+    maxSize: params.maxSize,
+    maxTotalSize: params.maxTotalSize,
+    pruneEmptyDirs: params.pruneEmptyDirs
+  }));
+  const deleteFolders = folderRulesList.filter(rules => rules.action === 'delete');
+
+  console.log(`\n[SEARCH] 清理参数:`);
+  if (getActiveProfile() !== null) {
+    console.log(`   配置方案: ${getActiveProfile()}`);
+  }
+  console.log('   目标文件夹:');
+  folderRulesList.forEach((rules) => {
+    const actionLabel = rules.action === 'delete' ? '直接删除' : '移动到回收站';
+    const sizeLabel = rules.minSize === null && rules.maxSize === null
+      ? ''
+      : `，文件大小: ${rules.minSize === null ? '不限' : formatFileSize(rules.minSize)} ~ ${rules.maxSize === null ? '不限' : formatFileSize(rules.maxSize)}`;
+    const policyLabel = rules.maxTotalSize === null
+      ? `保留天数: ${rules.retentionDays}天，时间依据: ${rules.ageBasis === 'filename' ? `文件名日期 ${rules.filenameDatePattern}` : rules.ageBasis}`
+      : `配额: ${formatFileSize(rules.maxTotalSize)}，从最旧的文件开始清理`;
+    const pruneLabel = rules.pruneEmptyDirs
+      ? `，删除空目录${rules.pruneMinAgeDays > 0 ? `（至少${rules.pruneMinAgeDays}天）` : ''}`
+      : '';
+    console.log(`     - ${rules.path}（${policyLabel}${sizeLabel}，操作: ${actionLabel}${pruneLabel}）`);
+  });
+  console.log(`   开始时间: ${new Date().toLocaleString()}`);
+
+  logger.info(`清理参数: 配置方案=${getActiveProfile() ?? '无'}, 文件夹=${folderRulesList.map(rules => rules.path).join(', ')}, 保留天数=${params.retentionDays ?? '按配置'}`);
+
+  // 预演模式：不改动文件系统，因此无需确认（监视模式的预演由 runWatchTask 处理）
+  if (params.dryRun && params.action !== 'watch') {
+    console.log('\n[DRY-RUN] 预演模式：仅显示将要执行的操作，不会移动或删除任何文件');
+    const { result } = await runCleanup(configFolders, {
+      retentionDays: params.retentionDays,
+      force: params.force,
+      dryRun: true,
+      minSize: params.minSize,
+      maxSize: params.maxSize,
+      maxTotalSize: params.maxTotalSize,
+      pruneEmptyDirs: params.pruneEmptyDirs,
+      concurrency: params.concurrency,
+      parallelFolders: params.parallelFolders,
+      signal: params.signal,
+      collectFiles: true
+    });
+    printDryRunResult(result);
+    printQuotaResult(result, true);
+    
+    console.log('\n[SUCCESS] 预演完成!');
+    console.log(`   总计检查文件: ${result.totalFiles}个`);
+    console.log(`   将移动文件: ${result.movedFiles - result.deletedFiles}个`);
+    console.log(`   将删除文件: ${result.deletedFiles}个`);
+    console.log(`   跳过文件: ${result.skippedFiles}个`);
+    console.log(`   预计释放空间: ${formatFileSize(result.reclaimedSize)}`);
+    console.log(`   将删除空目录: ${result.removedDirs}个`);
+    console.log(`   结束时间: ${new Date().toLocaleString()}`);
+    const reportResult = saveRunReport(result, params);
+    console.log('=== 文件清理预演完成 ===');
+    return buildClearResult(result, reportResult);
+  }
+
+  // 直接删除操作的确认机制（--force 或文件夹配置了 action: delete）
+  if (deleteFolders.length > 0 && !params.yes) {
+    if (params.force) {
+      console.log('\n[WARNING]  警告: 检测到 --force 参数，将直接删除符合条件的文件，不可恢复！');
+    } else {
+      console.log('\n[WARNING]  警告: 以下文件夹配置为直接删除（action: delete），符合条件的文件将不可恢复！');
+      deleteFolders.forEach(rules => console.log(`     - ${rules.path}`));
+    }
+    console.log('   请确认是否继续执行？(y/n)');
+    
+    if (!(await askConfirmation())) {
+      console.log('[ERROR] 操作已取消');
+      console.log('=== 文件清理操作终止 ===');
+      logger.info('清理操作已被用户取消');
+      return { success: false, code: 'CANCELLED', message: '操作已取消' };
+    }
+  }
+
+  return params.action === 'watch' ? runWatchTask(configFolders, params) : runClearTask(configFolders, params);
+};
+
+/**
+ * 继续中断的运行：沿用中断运行记录的配置方案、文件夹和清理参数，跳过已处理完成的文件夹和目录
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data }
+ */
+const runResumeClear = async (params) => {
+  const run = await findInterruptedRun(params.resumeRunId);
+  if (!run) {
+    const message = params.resumeRunId
+      ? `没有找到可以继续的中断运行: ${params.resumeRunId}（运行已完成、仍在进行或运行ID无效）`
+      : '没有可以继续的中断运行';
+    console.log(`[ERROR] ${message}`);
+    logger.error(message);
+    return { success: false, code: 'RUN_NOT_FOUND', message, data: { runId: params.resumeRunId } };
+  }
+  if (run.profile !== null && !getProfileNames().includes(run.profile)) {
+    const message = `中断运行的配置方案已不存在: ${run.profile}`;
+    console.log(`[ERROR] ${message}`);
+    logger.error(message);
+    return { success: false, code: 'PROFILE_NOT_FOUND', message, data: { runId: run.runId, profile: run.profile } };
+  }
+  
+  setActiveProfile(run.profile);
+  console.log(`[RESUME] 继续中断的运行: ${run.runId}`);
+  console.log(`   开始时间: ${new Date(run.startedAt).toLocaleString()}`);
+  console.log(`   已处理: 移动 ${run.movedFiles}个、删除 ${run.deletedFiles}个文件，完成 ${run.completedFolders.size}/${run.folders.length} 个文件夹`);
+  const configuredPaths = getAllFolders().map(entry => path.resolve(getFolderPath(entry)));
+  run.folders.filter(folderPath => !configuredPaths.includes(folderPath)).forEach((folderPath) => {
+    console.log(`[WARNING]  文件夹已不在配置中，将跳过: ${folderPath}`);
+    logger.warn(`继续中断的运行时文件夹已不在配置中，跳过: ${folderPath}`, { runId: run.runId });
+  });
+  
+  const { parameters } = run;
+  return runClear({
+    ...params,
+    retentionDays: parameters.retentionDays ?? null,
+    force: parameters.forceDelete === true,
+    minSize: parameters.minSize ?? null,
+    maxSize: parameters.maxSize ?? null,
+    maxTotalSize: parameters.maxTotalSize ?? null,
+    pruneEmptyDirs: parameters.pruneEmptyDirs === true,
+    resumeRun: run
+  });
+};
+
+/**
+ * 生成配置方案的报告文件路径：在扩展名前加入配置方案名称，如 report.json -> report.nightly.json
+ * @param {string} reportPath - --report 指定的报告文件路径
+ * @param {string|null} profileName - 配置方案名称，null 表示顶层 folders（使用原路径）
+ * @returns {string} - 报告文件路径
+ */
+const getProfileReportPath = (reportPath, profileName) => {
+  if (profileName === null) {
+    return reportPath;
+  }
+  const extension = path.extname(reportPath);
+  return `${reportPath.slice(0, reportPath.length - extension.length)}.${profileName}${extension}`;
+};
+
+/**
+ * 依次清理顶层 folders（已配置时）和所有配置方案，并输出合并的汇总
+ * 单个配置方案失败或被取消时继续清理后续的配置方案
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data: { profiles, summary } }
+ */
+const runAllProfilesClear = async (params) => {
+  setActiveProfile(null);
+  const profileNames = [...(getAllFolders().length > 0 ? [null] : []), ...getProfileNames()];
+  if (profileNames.length === 0) {
+    console.log('[ERROR] 错误: 配置文件中没有配置任何文件夹或配置方案');
+    return { success: false, code: 'NO_FOLDERS', message: '配置文件中没有配置任何文件夹或配置方案' };
+  }
+
+  const profileResults = [];
+  for (const profileName of profileNames) {
+    setActiveProfile(profileName);
+    console.log(`\n##### 配置方案: ${profileName ?? '顶层配置'} #####`);
+    const profileParams = params.reportPath
+      ? { ...params, reportPath: getProfileReportPath(params.reportPath, profileName) }
+      : params;
+    try {
+      profileResults.push({ profile: profileName, ...(await runClear(profileParams)) });
+    } catch (error) {
+      console.log(`[ERROR] 配置方案清理失败: ${error.message}`);
+      logger.error(`配置方案清理失败: ${profileName ?? '顶层配置'}`, { error: error.message });
+      profileResults.push({
+        profile: profileName,
+        success: false,
+        code: ERROR_CODES[error.code] ? error.code : 'INTERNAL_ERROR',
+        message: error.message,
+        data: null
+      });
+    }
+  }
+  setActiveProfile(null);
+
+  // 合并各配置方案的清理汇总（没有文件夹或被取消的配置方案没有汇总数据）
+  const summaryKeys = ['totalFiles', 'movedFiles', 'deletedFiles', 'skippedFiles', 'reclaimedSize', 'removedDirs'];
+  const summary = Object.fromEntries(summaryKeys.map(key => [
+    key,
+    profileResults.reduce((total, profileResult) => total + (profileResult.data?.summary?.[key] ?? 0), 0)
+  ]));
+  const failedResults = profileResults.filter(profileResult => !profileResult.success && !['NO_FOLDERS', 'CANCELLED'].includes(profileResult.code));
+
+  console.log(`\n=== 全部配置方案${params.dryRun ? '预演' : '清理'}汇总 ===`);
+  profileResults.forEach((profileResult) => {
+    const label = profileResult.profile ?? '顶层配置';
+    if (profileResult.data?.summary) {
+      const profileSummary = profileResult.data.summary;
+      const status = profileResult.success ? '' : `（${profileResult.message}）`;
+      console.log(`   ${label}: 检查 ${profileSummary.totalFiles}个，移动 ${profileSummary.movedFiles}个，删除 ${profileSummary.deletedFiles}个，跳过 ${profileSummary.skippedFiles}个，释放 ${formatFileSize(profileSummary.reclaimedSize)}${status}`);
+    } else {
+      console.log(`   ${label}: ${profileResult.code === 'NO_FOLDERS' ? '没有配置任何文件夹，已跳过' : profileResult.message}`);
+    }
+  });
+  console.log(`   合计: 检查 ${summary.totalFiles}个，移动 ${summary.movedFiles}个，删除 ${summary.deletedFiles}个，跳过 ${summary.skippedFiles}个，释放 ${formatFileSize(summary.reclaimedSize)}，删除空目录 ${summary.removedDirs}个`);
+  logger.info('全部配置方案清理完成', { profiles: profileResults.length, failed: failedResults.length, ...summary });
+
+  return {
+    success: failedResults.length === 0,
+    code: failedResults.length === 0 ? 'OK' : 'PROFILE_FAILED',
+    message: failedResults.length === 0
+      ? null
+      : `以下配置方案清理失败: ${failedResults.map(profileResult => profileResult.profile ?? '顶层配置').join(', ')}`,
+    data: { profiles: profileResults, summary }
+  };
+};
+
+/**
+ * 执行一次计划任务：重新加载配置文件，选择计划任务的配置方案后清理（自动确认）
+ * 配置文件存在错误、配置方案或文件夹不存在时跳过本次运行
+ * @param {Object} params - 命令行参数
+ * @param {Object} job - 计划任务（见 daemon.js 中的 getScheduleJobs）
+ * @param {AbortSignal} signal - 中止信号，守护进程停止时中止清理
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data }
+ */
+const runScheduledJob = async (params, job, signal) => {
+  reloadConfig();
+  const validation = validateConfigFile();
+  if (!validation.valid) {
+    const message = `配置文件存在 ${validation.errors.length} 个错误，已跳过本次运行: ${validation.filePath}`;
+    console.log(`[ERROR] ${message}`);
+    validation.errors.forEach(issue => console.log(`  - ${formatIssue(issue)}`));
+    return { success: false, code: 'INVALID_CONFIG', message, data: null };
+  }
+
+  try {
+    setActiveProfile(job.profile);
+    if (job.profile !== null && !getProfileNames().includes(job.profile)) {
+      const message = `配置方案不存在: ${job.profile}`;
+      console.log(`[ERROR] ${message}`);
+      return { success: false, code: 'PROFILE_NOT_FOUND', message, data: null };
+    }
+    if (job.folder !== null && !getAllFolders().some(entry => path.resolve(getFolderPath(entry)) === path.resolve(job.folder))) {
+      const message = `文件夹不存在于${job.profile === null ? '顶层配置' : `配置方案 ${job.profile} `}中: ${job.folder}`;
+      console.log(`[ERROR] ${message}`);
+      return { success: false, code: 'FOLDER_NOT_FOUND', message, data: null };
+    }
+    return await runClear({ ...params, yes: true, signal, onlyFolder: job.folder });
+  } finally {
+    setActiveProfile(null);
+  }
+};
+
+/**
+ * 守护进程模式：按配置文件中的 schedule 定时执行清理，直到收到 SIGTERM / SIGINT
+ * @param {Object} params - 命令行参数
+ * @returns {Promise<Object>} - 命令结果 { success, code, message, data: { runs, skipped } }
+ */
+const runDaemonCommand = async (params) => {
+  const jobs = getScheduleJobs();
+  if (jobs.length === 0) {
+    console.log('[ERROR] 错误: 配置文件中没有配置任何计划任务（schedule）');
+    return { success: false, code: 'NO_SCHEDULE', message: '配置文件中没有配置任何计划任务（schedule）' };
+  }
+
+  console.log('=== 文件清理守护进程 ===');
+  console.log(`配置文件: ${getConfigPath()}`);
+  console.log(`进程ID: ${process.pid}`);
+  console.log('计划任务:');
+  jobs.forEach((job) => {
+    const nextRun = getNextRunTime(job.schedule, new Date());
+    console.log(`  - ${job.name}  cron: ${job.cron}  下次运行: ${nextRun === null ? '不会运行' : nextRun.toLocaleString()}`);
+  });
+  console.log('收到 SIGTERM 或按 Ctrl+C 时，处理完当前文件后停止');
+  logger.info('守护进程已启动', { pid: process.pid, jobs: jobs.map(job => job.name) });
+
+  const { runs, skipped, signal } = await runDaemon(jobs, (job, abortSignal) => runScheduledJob(params, job, abortSignal));
+  console.log(`\n=== 文件清理守护进程已停止（${signal}） ===`);
+  console.log(`   运行次数: ${runs}次`);
+  console.log(`   跳过次数: ${skipped}次（上一次清理尚未结束）`);
+  return { success: true, data: { runs, skipped } };
+};
+
+/**
+ * 格式化配置项的值，用于 config get 显示
+ * @param {*} value - 配置项的值
+ * @returns {string} - 标量直接显示，列表和对象显示为 YAML
+ */
+const formatSettingValue = (value) => {
+  if (value === null) {
+    return '(未设置)';
+  }
+  return typeof value === 'object' ? yaml.dump(value).trimEnd() : String(value);
+};
+
+/**
+ * 执行 config 子命令（读取、修改和显示配置项）
+ * @param {Object} params - 解析后的参数
+ * @returns {Object} - 命令结果 { success, code, message, data }
+ */
+const runConfigCommand = (params) => {
+  const { configCommand, settingKey, settingValue } = params;
+  const profile = getActiveProfile();
+
+  if (configCommand === 'show') {
+    console.log(`# 配置文件: ${getConfigPath()}（${CONFIG_SOURCE_LABELS[getConfigSource()]}）`);
+    if (profile !== null) {
+      console.log(`# 配置方案: ${profile}（已与全局配置合并）`);
+    }
+    console.log(yaml.dump(getConfig()).trimEnd());
+    return {
+      success: true,
+      code: 'OK',
+      data: { configFile: getConfigPath(), configSource: getConfigSource(), profile, config: getConfig() }
+    };
+  }
+
+  if (configCommand === 'get') {
+    const getResult = getSetting(settingKey);
+    if (!getResult.success) {
+      console.error(getResult.message);
+      return getResult;
+    }
+    console.log(formatSettingValue(getResult.value));
+    return { success: true, code: 'OK', data: { key: settingKey, profile, value: getResult.value } };
+  }
+
+  const operations = { set: setSetting, add: addSettingItem, remove: removeSettingItem };
+  const result = operations[configCommand](settingKey, settingValue);
+  console.log(result.message);
+  return {
+    ...result,
+    // 键为 folders 时由 addFolder / removeFolder 处理，结果中为文件夹的绝对路径
+    data: result.success ? { key: settingKey, profile, value: result.value ?? result.path ?? null } : null
+  };
+};
+
+/**
+ * 格式化文件夹单独配置的规则，用于列表显示
+ * @param {Object} rules - 文件夹规则
+ * @returns {string} - 规则说明，没有单独规则时返回空字符串
+ */
+const formatFolderRules = (rules) => {
+  const parts = [];
+  if (rules.retentionDays !== undefined) parts.push(`保留天数: ${rules.retentionDays}天`);
+  if (rules.allowedExtensions !== undefined) parts.push(`扩展名: ${rules.allowedExtensions.join(', ')}`);
+  if (rules.include !== undefined) parts.push(`包含: ${rules.include.join(', ')}`);
+  if (rules.exclude !== undefined) parts.push(`排除: ${rules.exclude.join(', ')}`);
+  if (rules.maxDepth !== undefined) parts.push(`最大递归深度: ${rules.maxDepth}`);
+  if (rules.minSize !== undefined) parts.push(`最小大小: ${rules.minSize}`);
+  if (rules.maxSize !== undefined) parts.push(`最大大小: ${rules.maxSize}`);
+  if (rules.maxTotalSize !== undefined) parts.push(`配额: ${rules.maxTotalSize}`);
+  if (rules.keepLatest !== undefined) {
+    const keepLatest = Array.isArray(rules.keepLatest)
+      ? rules.keepLatest.map(group => `${group.pattern} ${group.count}个`).join(', ')
+      : `${rules.keepLatest}个`;
+    parts.push(`保留最新: ${keepLatest}`);
+  }
+  if (rules.ageBasis !== undefined) parts.push(`时间依据: ${rules.ageBasis}`);
+  if (rules.filenameDatePattern !== undefined) parts.push(`文件名日期格式: ${rules.filenameDatePattern}`);
+  if (rules.pruneEmptyDirs !== undefined) parts.push(`删除空目录: ${rules.pruneEmptyDirs ? '是' : '否'}`);
+  if (rules.pruneMinAgeDays !== undefined) parts.push(`空目录最小年龄: ${rules.pruneMinAgeDays}天`);
+  if (rules.followSymlinks !== undefined) parts.push(`跟随符号链接: ${rules.followSymlinks ? '是' : '否'}`);
+  if (rules.oneFileSystem !== undefined) parts.push(`不跨文件系统: ${rules.oneFileSystem ? '是' : '否'}`);
+  if (rules.action !== undefined) parts.push(`操作: ${rules.action === 'delete' ? '直接删除' : '移动到回收站'}`);
+  return parts.join('，');
+};
+
+/**
+ * 解析 --rule 参数的值（key=value）
+ * @param {string} ruleArg - 规则参数，如 retentionDays=3、allowedExtensions=o,obj
+ * @returns {Object} - 解析结果 { key, value, error }
+ */
+const parseRuleArgument = (ruleArg) => {
+  const separatorIndex = ruleArg.indexOf('=');
+  if (separatorIndex <= 0) {
+    return { error: `--rule 参数格式无效: ${ruleArg}（应为 键=值）` };
+  }
+  const key = ruleArg.slice(0, separatorIndex).trim();
+  const rawValue = ruleArg.slice(separatorIndex + 1).trim();
+  if (!FOLDER_RULE_KEYS.includes(key)) {
+    return { error: `未知的文件夹规则: ${key}（支持: ${FOLDER_RULE_KEYS.join('、')}）` };
+  }
+  
+  // 值为空表示删除该规则，恢复使用全局配置
+  if (rawValue === '') {
+    return { key, value: null };
+  }
+  
+  switch (key) {
+    case 'retentionDays':
+    case 'maxDepth':
+    case 'pruneMinAgeDays': {
+      const value = Number(rawValue);
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: `${key} 必须是一个非负整数` };
+      }
+      return { key, value };
+    }
+    case 'allowedExtensions':
+    case 'include':
+    case 'exclude':
+      return { key, value: rawValue.split(',').map(item => item.trim()).filter(Boolean) };
+    case 'pruneEmptyDirs':
+    case 'followSymlinks':
+    case 'oneFileSystem':
+      if (rawValue !== 'true' && rawValue !== 'false') {
+        return { error: `${key} 必须是 true 或 false` };
+      }
+      return { key, value: rawValue === 'true' };
+    case 'keepLatest': {
+      // 纯数字表示所有文件共用一个分组，否则为 "模式:数量" 的逗号分隔列表，如 db-*.bak:7,*.log:3
+      if (/^\d+$/.test(rawValue)) {
+        return { key, value: Number(rawValue) };
+      }
+      const groups = [];
+      for (const item of rawValue.split(',').map(part => part.trim()).filter(Boolean)) {
+        const countIndex = item.lastIndexOf(':');
+        const count = item.slice(countIndex + 1);
+        if (countIndex <= 0 || !/^\d+$/.test(count)) {
+          return { error: `keepLatest 格式无效: ${item}（应为 数量 或 模式:数量）` };
+        }
+        groups.push({ pattern: item.slice(0, countIndex), count: Number(count) });
+      }
+      return { key, value: groups };
+    }
+    default:
+      return { key, value: rawValue };
+  }
+};
+
 /**
  * 主函数
  */
 const main = async () => {
-  logger.info('=== 文件清理脚本启动 ===');
-  
   // 解析命令行参数
   const params = parseArguments();
   
+  // JSON 输出模式：stdout 只输出 JSON 结果，其余输出改为 stderr
+  if (params.json) {
+    enableJsonOutput();
+  }
+  
+  // 确定配置文件：--config > FILE_CLEANUP_CONFIG > ./.file-cleanup.yaml > 用户配置目录 > 默认配置
+  if (params.configFile) {
+    setConfigPath(params.configFile);
+  }
+  
+  // 校验配置文件：存在错误时拒绝运行，此时日志只输出到控制台（logConfig 本身可能有误）
+  // config 子命令不受影响，以便通过 config set 修正有误的配置项
+  const validation = validateConfigFile();
+  if (validation.valid) {
+    configureLogger();
+  } else if (!params.error && !['help', 'validate-config', 'config'].includes(params.action)) {
+    console.error(`[ERROR] 配置文件存在错误，已拒绝运行: ${validation.filePath}`);
+    validation.errors.forEach(issue => console.error(`  - ${formatIssue(issue)}`));
+    console.log('');
+    console.log('请修正配置文件后重试，使用 --validate-config 查看所有问题');
+    exitWithResult(params.action, {
+      success: false,
+      code: 'INVALID_CONFIG',
+      message: `配置文件存在 ${validation.errors.length} 个错误: ${validation.filePath}`,
+      data: validation
+    });
+  }
+  
+  logger.info('=== 文件清理脚本启动 ===', { config: getConfigPath(), source: getConfigSource() });
+  if (params.action !== 'validate-config') {
+    validation.warnings.forEach(issue => logger.warn(`配置文件警告: ${formatIssue(issue)}`));
+  }
+  
   // 检查参数解析错误
   if (params.error) {
     console.error('[ERROR] ' + params.error.message);
     console.log('');
     console.log('使用 --help 查看详细用法');
     logger.error(params.error.message);
-    process.exit(1);
+    exitWithResult(params.action, {
+      success: false,
+      code: 'INVALID_ARGUMENT',
+      message: params.error.message,
+      data: { option: params.error.option }
+    });
+  }
+  
+  // 选择配置方案：--add、--recycle-bin、config set 和 config add 可以创建新的配置方案，其余命令要求配置方案已存在
+  if (params.profile) {
+    try {
+      setActiveProfile(params.profile);
+    } catch (error) {
+      console.error('[ERROR] ' + error.message);
+      logger.error(error.message);
+      exitWithResult(params.action, { success: false, code: 'INVALID_ARGUMENT', message: error.message, data: { option: '--profile' } });
+    }
+    const createsProfile = ['add', 'recycle-bin'].includes(params.action)
+      || (params.action === 'config' && ['set', 'add'].includes(params.configCommand));
+    if (!createsProfile && !getProfileNames().includes(params.profile)) {
+      const profileNames = getProfileNames();
+      const message = `配置方案不存在: ${params.profile}（已定义: ${profileNames.length > 0 ? profileNames.join(', ') : '无'}）`;
+      console.error('[ERROR] ' + message);
+      logger.error(message);
+      exitWithResult(params.action, { success: false, code: 'PROFILE_NOT_FOUND', message, data: { profile: params.profile, profiles: profileNames } });
+    }
   }
   
   // 根据操作类型执行不同功能
@@ -342,11 +1639,14 @@ const main = async () => {
         console.error('[ERROR] 错误: --add 选项需要提供一个文件夹路径参数');
         console.log('用法: file-cleanup --add <路径>');
         logger.error('--add 选项缺少文件夹路径参数');
-        process.exit(1);
+        exitWithResult('add', { success: false, code: 'INVALID_ARGUMENT', message: '--add 选项缺少文件夹路径参数' });
       }
-      const addResult = addFolder(params.configPath);
+      const addResult = addFolder(params.configPath, params.folderRules);
       console.log(addResult.message);
-      process.exit(addResult.success ? 0 : 1);
+      exitWithResult('add', {
+        ...addResult,
+        data: addResult.success ? { path: addResult.path, rules: params.folderRules } : null
+      });
       
     case 'remove':
       // 从配置中删除文件夹
@@ -355,11 +1655,11 @@ const main = async () => {
         console.error('[ERROR] 错误: --remove 选项需要提供一个文件夹路径参数');
         console.log('用法: file-cleanup --remove <路径>');
         logger.error('--remove 选项缺少文件夹路径参数');
-        process.exit(1);
+        exitWithResult('remove', { success: false, code: 'INVALID_ARGUMENT', message: '--remove 选项缺少文件夹路径参数' });
       }
       const removeResult = removeFolder(params.configPath);
       console.log(removeResult.message);
-      process.exit(removeResult.success ? 0 : 1);
+      exitWithResult('remove', { ...removeResult, data: removeResult.success ? { path: removeResult.path } : null });
       
     case 'update':
       // 修改配置中的文件夹路径
@@ -368,31 +1668,64 @@ const main = async () => {
         console.error('[ERROR] 错误: --update 选项需要提供两个文件夹路径参数：旧路径和新路径');
         console.log('用法: file-cleanup --update <旧路径> <新路径>');
         logger.error('--update 选项缺少必要的路径参数');
-        process.exit(1);
+        exitWithResult('update', { success: false, code: 'INVALID_ARGUMENT', message: '--update 选项缺少必要的路径参数' });
       }
-      const updateResult = updateFolder(params.configPath, params.configNewPath);
+      const updateResult = updateFolder(params.configPath, params.configNewPath, params.folderRules);
       console.log(updateResult.message);
-      process.exit(updateResult.success ? 0 : 1);
+      exitWithResult('update', {
+        ...updateResult,
+        data: updateResult.success
+          ? { oldPath: updateResult.oldPath, newPath: updateResult.newPath, rules: params.folderRules }
+          : null
+      });
       
     case 'list':
-      // 列出所有配置的文件夹
-      const folders = getAllFolders();
-      console.log('已配置的文件夹路径:');
-      if (folders.length === 0) {
-        console.log('  (无)');
-      } else {
-        folders.forEach((folder, index) => {
-          console.log(`  ${index + 1}. ${folder}`);
-        });
+      // 列出所有配置的文件夹（--all-profiles 时列出顶层 folders 和所有配置方案的文件夹）
+      const configNote = getConfigSource() !== 'default' && !fs.existsSync(getConfigPath()) ? '，文件尚不存在，使用默认配置' : '';
+      console.log(`配置文件: ${getConfigPath()}（${CONFIG_SOURCE_LABELS[getConfigSource()]}${configNote}）`);
+      const listedProfiles = params.allProfiles ? [null, ...getProfileNames()] : [getActiveProfile()];
+      const profileFolders = listedProfiles.map((profileName) => {
+        setActiveProfile(profileName);
+        const folders = getAllFolders();
+        if (profileName !== null || params.allProfiles) {
+          console.log(`${params.allProfiles ? '\n' : ''}配置方案: ${profileName ?? '顶层配置'}`);
+        }
+        console.log('已配置的文件夹路径:');
+        if (folders.length === 0) {
+          console.log('  (无)');
+        } else {
+          folders.forEach((folder, index) => {
+            const rulesText = formatFolderRules(getFolderRules(folder));
+            console.log(`  ${index + 1}. ${getFolderPath(folder)}${rulesText ? `  [${rulesText}]` : ''}`);
+          });
+        }
+        return {
+          profile: profileName,
+          folders: folders.map(folder => ({ path: getFolderPath(folder), rules: getFolderRules(folder) }))
+        };
+      });
+      if (!params.allProfiles && !params.profile && getProfileNames().length > 0) {
+        console.log(`可用的配置方案: ${getProfileNames().join(', ')}（使用 --profile <名称> 或 --all-profiles 查看）`);
       }
-      process.exit(0);
+      exitWithResult('list', {
+        success: true,
+        data: params.allProfiles
+          ? { configFile: getConfigPath(), configSource: getConfigSource(), profiles: profileFolders }
+          : {
+            configFile: getConfigPath(),
+            configSource: getConfigSource(),
+            profile: profileFolders[0].profile,
+            profiles: getProfileNames(),
+            folders: profileFolders[0].folders
+          }
+      });
       
     case 'list-recycle-bin':
       // 列出当前回收站目录设置
       const currentRecycleBinDir = getRecycleBinDir();
       console.log('当前回收站目录设置:');
       console.log(`  ${currentRecycleBinDir}`);
-      process.exit(0);
+      exitWithResult('list-recycle-bin', { success: true, data: { recycleBinDir: currentRecycleBinDir } });
       
     case 'recycle-bin':
       // 设置回收站目录
@@ -401,11 +1734,101 @@ const main = async () => {
         console.error('[ERROR] 错误: --recycle-bin 选项需要提供一个目录路径参数');
         console.log('用法: file-cleanup --recycle-bin <路径>');
         logger.error('--recycle-bin 选项缺少目录路径参数');
-        process.exit(1);
+        exitWithResult('recycle-bin', { success: false, code: 'INVALID_ARGUMENT', message: '--recycle-bin 选项缺少目录路径参数' });
       }
       const recycleBinResult = updateRecycleBinDir(params.recycleBinPath);
       console.log(recycleBinResult.message);
-      process.exit(recycleBinResult.success ? 0 : 1);
+      exitWithResult('recycle-bin', {
+        ...recycleBinResult,
+        data: recycleBinResult.success ? { recycleBinDir: recycleBinResult.path } : null
+      });
+      
+    case 'list-runs':
+      // 列出回收站中可恢复的清理运行
+      const runs = listTrashRuns();
+      console.log('回收站中可恢复的清理运行:');
+      if (runs.length === 0) {
+        console.log('  (无)');
+      } else {
+        runs.forEach((run, index) => {
+          console.log(`  ${index + 1}. ${run.runId}  文件数: ${run.fileCount}  总大小: ${run.totalSize}字节  时间: ${new Date(run.trashedAt).toLocaleString()}`);
+        });
+      }
+      exitWithResult('list-runs', { success: true, data: { runs } });
+      
+    case 'purge-trash':
+      // 按保留策略清理回收站
+      console.log('=== 回收站清理操作 ===');
+      const retention = getTrashRetention();
+      console.log(`   最长保留天数: ${retention.maxAgeDays ?? '不限'}`);
+      console.log(`   最大总大小: ${retention.maxTotalSize === null ? '不限' : formatFileSize(retention.maxTotalSize)}`);
+      if (retention.maxAgeDays === null && retention.maxTotalSize === null) {
+        console.log('\n[ERROR] 未配置回收站保留策略，请在配置文件的 moveConfig 中设置 maxAgeDays 或 maxTotalSize');
+        console.log('=== 回收站清理操作终止 ===');
+        exitWithResult('purge-trash', {
+          success: false,
+          code: 'NO_TRASH_RETENTION',
+          message: '未配置回收站保留策略，请在配置文件的 moveConfig 中设置 maxAgeDays 或 maxTotalSize'
+        });
+      }
+      if (params.dryRun) {
+        console.log('\n[DRY-RUN] 预演模式：仅显示将要删除的文件，不会删除任何文件');
+      }
+      console.log('');
+      const purgeResult = await runPurgeTrash({ dryRun: params.dryRun });
+      printPurgeResult(purgeResult);
+      console.log('=== 回收站清理操作完成 ===');
+      exitWithResult('purge-trash', {
+        success: purgeResult.failedFiles === 0,
+        code: purgeResult.failedFiles > 0 ? 'PARTIAL_FAILURE' : 'OK',
+        data: purgeResult
+      });
+      
+    case 'restore':
+      // 从回收站恢复文件
+      console.log('=== 文件恢复操作 ===');
+      if (params.restoreRunId) {
+        console.log(`   运行ID: ${params.restoreRunId}`);
+      }
+      if (params.restoreTarget) {
+        console.log(`   恢复目标: ${params.restoreTarget}`);
+      }
+      console.log(`   冲突处理: ${params.conflictMode}`);
+      
+      const restoreResult = await runRestore({
+        target: params.restoreTarget,
+        runId: params.restoreRunId,
+        onConflict: params.conflictMode
+      });
+      
+      if (restoreResult.matchedFiles === 0) {
+        console.log('\n[ERROR] 回收站记录中没有找到匹配的文件');
+        console.log('=== 文件恢复操作终止 ===');
+        exitWithResult('restore', { success: false, code: 'NO_MATCH', message: '回收站记录中没有找到匹配的文件', data: restoreResult });
+      }
+      
+      console.log('');
+      restoreResult.fileList.forEach((file) => {
+        if (file.status === 'restored') {
+          console.log(`   [RESTORED] ${file.trashPath} -> ${file.restoredPath}`);
+        } else if (file.status === 'skipped') {
+          console.log(`   [SKIPPED]  ${file.sourcePath} (${file.error})`);
+        } else {
+          console.log(`   [FAILED]   ${file.sourcePath} (${file.error})`);
+        }
+      });
+      
+      console.log('\n[SUCCESS] 文件恢复任务完成!');
+      console.log(`   匹配文件: ${restoreResult.matchedFiles}个`);
+      console.log(`   成功恢复: ${restoreResult.restoredFiles}个`);
+      console.log(`   跳过文件: ${restoreResult.skippedFiles}个`);
+      console.log(`   恢复失败: ${restoreResult.failedFiles}个`);
+      console.log('=== 文件恢复操作完成 ===');
+      exitWithResult('restore', {
+        success: restoreResult.failedFiles === 0,
+        code: restoreResult.failedFiles > 0 ? 'PARTIAL_FAILURE' : 'OK',
+        data: restoreResult
+      });
       
     case 'configclear':
       // 清空所有配置
@@ -420,18 +1843,17 @@ const main = async () => {
         if (clearResult.success) {
           console.log('[SUCCESS] ' + clearResult.message);
           console.log('=== 清空配置操作完成 ===');
-          process.exit(0);
         } else {
           console.log('[ERROR] ' + clearResult.message);
           console.log('=== 清空配置操作失败 ===');
-          process.exit(1);
         }
+        exitWithResult('configclear', clearResult);
       } else {
         // 显示确认提示
         console.log('确定要清空所有文件夹配置吗？(y/n)');
         const rl = readline.createInterface({
           input: process.stdin,
-          output: process.stdout
+          output: isJsonOutput() ? process.stderr : process.stdout
         });
         rl.question('', (answer) => {
           rl.close();
@@ -443,117 +1865,64 @@ const main = async () => {
             if (clearResult.success) {
               console.log('[SUCCESS] ' + clearResult.message);
               console.log('=== 清空配置操作完成 ===');
-              process.exit(0);
             } else {
               console.log('[ERROR] ' + clearResult.message);
               console.log('=== 清空配置操作失败 ===');
-              process.exit(1);
             }
+            exitWithResult('configclear', clearResult);
           } else {
             console.log('[ERROR] 操作已取消');
             console.log('=== 清空配置操作终止 ===');
-            process.exit(0);
+            exitWithResult('configclear', { success: false, code: 'CANCELLED', message: '操作已取消' }, 0);
           }
         });
         return;
       }
       
+    case 'config':
+      // 读取、修改和显示配置项
+      exitWithResult(`config ${params.configCommand}`, runConfigCommand(params));
+      
+    case 'validate-config':
+      // 校验配置文件
+      console.log('=== 配置文件校验 ===');
+      console.log(`配置文件: ${validation.filePath}`);
+      validation.errors.forEach(issue => console.log(`[ERROR] ${formatIssue(issue)}`));
+      validation.warnings.forEach(issue => console.log(`[WARNING] ${formatIssue(issue)}`));
+      console.log(`校验结果: ${validation.errors.length} 个错误，${validation.warnings.length} 个警告`);
+      exitWithResult('validate-config', {
+        success: validation.valid,
+        code: validation.valid ? 'OK' : 'INVALID_CONFIG',
+        message: validation.valid ? null : `配置文件存在 ${validation.errors.length} 个错误: ${validation.filePath}`,
+        data: validation
+      });
+      
+    case 'daemon':
+      // 守护进程模式：按 schedule 定时清理
+      const daemonResult = await runDaemonCommand(params);
+      logger.info('=== 文件清理脚本结束 ===');
+      exitWithResult('daemon', daemonResult);
+      break;
+      
+    case 'watch':
+      // 监视模式：持续清理，文件到期时立即处理
+      const watchResult = await runClear(params);
+      logger.info('=== 文件清理脚本结束 ===');
+      exitWithResult('watch', watchResult, watchResult.code === 'CANCELLED' ? 0 : undefined);
+      break;
+      
     case 'clear':
-      // 清理操作
-      console.log('=== 文件清理操作 ===');
-      console.log('正在准备清理任务...');
-
-      // 从配置文件读取文件夹
-      const configFolders = getAllFolders();
-      if (configFolders.length === 0) {
-        logger.error('配置文件中没有配置任何文件夹');
-        console.log('');
-        console.log('[ERROR] 错误: 配置文件中没有配置任何文件夹');
-        console.log('');
-        console.log('请使用以下方式之一:');
-        console.log('  1. 使用 --add 参数添加文件夹到配置');
-        console.log('  2. 使用 --list 查看已配置的文件夹');
-        console.log('');
-        console.log('=== 文件清理操作终止 ===');
-        process.exit(1);
-      }
-
-      // 更新配置中的保留天数
-      config.retentionDays = params.retentionDays;
-
-      console.log(`\n[SEARCH] 清理参数:`);
-      console.log(`   目标文件夹: ${configFolders.join(', ')}`);
-      console.log(`   保留天数: ${params.retentionDays}天`);
-      console.log(`   开始时间: ${new Date().toLocaleString()}`);
-
-      logger.info(`清理参数: 文件夹=${configFolders.join(', ')}, 保留天数=${params.retentionDays}`);
-
-      // 强制删除操作的确认机制
-      if (params.force && !params.yes) {
-        console.log('\n[WARNING]  警告: 检测到 --force 参数，将直接删除符合条件的文件，不可恢复！');
-        console.log('   请确认是否继续执行？(y/n)');
-        
-        const rl = readline.createInterface({
-          input: process.stdin,
-          output: process.stdout
-        });
-        
-        rl.question('', async (answer) => {
-          rl.close();
-          console.log('');
-          
-          if (answer.toLowerCase() === 'y') {
-            console.log('[TRASH]  正在执行强制删除任务...');
-            // 执行强制删除任务
-            const result = await executeCleanup(configFolders, params.retentionDays, true);
-
-            console.log('\n[SUCCESS] 文件删除任务完成!');
-            console.log(`   总计检查文件: ${result.totalFiles}个`);
-            console.log(`   成功删除文件: ${result.movedFiles}个`);
-            console.log(`   跳过文件: ${result.skippedFiles}个`);
-            console.log(`   结束时间: ${new Date().toLocaleString()}`);
-            console.log('=== 文件删除操作完成 ===');
-            
-            logger.info('=== 文件清理脚本结束 ===');
-            process.exit(0);
-          } else {
-            console.log('[ERROR] 操作已取消');
-            console.log('=== 文件清理操作终止 ===');
-            logger.info('清理操作已被用户取消');
-            process.exit(0);
-          }
-        });
-        
-        return;
-      }
-
-      if (params.force) {
-        console.log('\n[TRASH]  正在执行强制删除任务...');
-        // 执行强制删除任务
-        const result = await executeCleanup(configFolders, params.retentionDays, true);
-
-        console.log('\n[SUCCESS] 文件删除任务完成!');
-        console.log(`   总计检查文件: ${result.totalFiles}个`);
-        console.log(`   成功删除文件: ${result.movedFiles}个`);
-        console.log(`   跳过文件: ${result.skippedFiles}个`);
-        console.log(`   结束时间: ${new Date().toLocaleString()}`);
-        console.log('=== 文件删除操作完成 ===');
+      // 清理操作（--all-profiles 时依次清理所有配置方案，--resume 时继续中断的运行）
+      let clearResult;
+      if (params.allProfiles) {
+        clearResult = await runAllProfilesClear(params);
+      } else if (params.resume) {
+        clearResult = await runResumeClear(params);
       } else {
-        console.log('\n[BOX]  正在执行清理任务...');
-
-        // 执行清理任务
-        const result = await executeCleanup(configFolders, params.retentionDays);
-
-        console.log('\n[SUCCESS] 文件清理任务完成!');
-        console.log(`   总计检查文件: ${result.totalFiles}个`);
-        console.log(`   成功移动文件: ${result.movedFiles}个`);
-        console.log(`   跳过文件: ${result.skippedFiles}个`);
-        
-        console.log(`   结束时间: ${new Date().toLocaleString()}`);
-        console.log('=== 文件清理操作完成 ===');
+        clearResult = await runClear(params);
       }
-
       logger.info('=== 文件清理脚本结束 ===');
+      exitWithResult('clear', clearResult, clearResult.code === 'CANCELLED' ? 0 : undefined);
       break;
 
     default:
@@ -563,9 +1932,19 @@ const main = async () => {
   }
 };
 
-// 启动脚本
-main().catch(error => {
+/**
+ * 运行命令行程序：执行主函数，未处理的错误输出后以状态码 1 退出进程
+ * @returns {Promise<void>}
+ */
+const runCli = () => main().catch(error => {
   logger.error(`程序执行错误: ${error.message}`);
   console.error('程序执行错误:', error.message);
+  printJsonResult({
+    command: null,
+    success: false,
+    code: ERROR_CODES[error.code] ? error.code : 'INTERNAL_ERROR',
+    message: error.message
+  });
   process.exit(1);
-});
\ No newline at end of file
+});
+export { main, runCli };
@@ -5,4 +5,6 @@
  * 全局安装后可通过 'file-cleanup' 命令调用
  */
 
-import '../app.js';
+import { runCli } from '../app.js';
+
+runCli();
@@ -2,121 +2,298 @@
  * 核心清理逻辑模块
  * 实现文件夹遍历、文件检查和文件移动功能
  * 支持将清理的文件移动到指定目录
+ * 目录通过 fs.promises.opendir 逐项读取，文件的检查和移动、删除按 concurrency 并发执行，
+ * 遍历的内存占用与目录中的文件数量无关；配置了多个文件夹时可按 parallelFolders 同时清理
+ * 清理过程中的进度写入运行日志（见 journal.js），被中断的运行可以从最后的检查点继续
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
 import logger from './logger.js';
+import { getActiveProfile, getConfig } from './config.js';
+import { formatFileSize, parseSize, createLimiter, createTaskGroup } from './utils.js';
+import {
+  getMoveTargetDirectory,
+  getUniqueFileName,
+  getMirroredTrashDir,
+  generateRunId,
+  appendTrashRecord
+} from './recycleBin.js';
+import { getFolderPath, getFolderRules } from './configManager.js';
+import { createPatternMatcher } from './pathMatcher.js';
+import { createPathGuard, checkFolderSafety, resolveRealPath } from './pathGuard.js';
+import { DEFAULT_AGE_BASIS, DEFAULT_FILENAME_DATE_PATTERN, createFileTimeResolver } from './fileAge.js';
+import { createRunJournal, reconcileInterruptedRuns, resumeRunJournal } from './journal.js';
+
+// 文件被跳过的原因代码及说明
+const SKIP_REASONS = {
+  protected: '系统保护文件',
+  extension: '文件扩展名不在允许列表中',
+  'not-expired': '文件未超过保留天数',
+  'in-use': '文件正在使用',
+  excluded: '文件或目录匹配排除模式',
+  'not-included': '文件不匹配任何包含模式',
+  'below-min-size': '文件小于最小大小',
+  'above-max-size': '文件大于最大大小',
+  'within-quota': '文件夹已低于配额上限，无需处理',
+  'keep-latest': '文件属于最新的若干个文件（keepLatest），始终保留',
+  'no-filename-date': '文件名中没有符合 filenameDatePattern 的日期',
+  'symlink': '符号链接不会被处理（指向目录的链接需启用 followSymlinks）',
+  'unsafe-symlink': '符号链接指向文件系统根目录、系统关键目录或受保护路径，不会跟随',
+  'visited': '目录已访问过（符号链接循环或重复链接）',
+  'other-filesystem': '目录位于其他文件系统（oneFileSystem）',
+  'special-file': '特殊文件（设备、管道、套接字等）不会被处理',
+  'protected-path': '位于系统关键路径或 protectedPaths 配置的受保护路径中',
+  'max-depth': '目录超过最大递归深度',
+  'move-failed': '移动文件失败',
+  'delete-failed': '删除文件失败',
+  error: '处理文件时出错'
+};
+
+// 默认同时进行的文件检查（stat）和移动、删除操作数
+const DEFAULT_CONCURRENCY = 8;
+
+// 默认同时清理的配置文件夹数
+const DEFAULT_PARALLEL_FOLDERS = 1;
+
+// 一天的毫秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * 获取当前模块的目录路径
- * @returns {string} - 当前模块的目录路径
+ * 确定并发数：优先使用命令行或调用方指定的值，其次使用配置中的值
+ * @param {number|null|undefined} value - 指定的并发数
+ * @param {string} key - 配置项名称（concurrency 或 parallelFolders）
+ * @param {number} defaultValue - 默认值
+ * @returns {number} - 并发数
  */
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const resolveConcurrency = (value, key, defaultValue) => value ?? getConfig()[key] ?? defaultValue;
 
 /**
- * 加载YAML配置文件
- * @returns {Object} - 配置对象
+ * 检查文件是否为系统保护文件
+ * @param {string} fileName - 文件名
+ * @returns {boolean} - 是否为保护文件
  */
-const loadConfig = () => {
-  try {
-    const configPath = path.join(__dirname, 'config.yaml');
-    const fileContents = fs.readFileSync(configPath, 'utf8');
-    const data = yaml.load(fileContents);
-    return data;
-  } catch (e) {
-    logger.error(`加载配置文件失败: ${e.message}`);
-    throw e;
-  }
+const isProtectedFile = (fileName) => {
+  const lowerFileName = fileName.toLowerCase();
+  return (getConfig().protectedFiles ?? []).some(protectedFile => 
+    lowerFileName === protectedFile.toLowerCase()
+  );
 };
 
-const config = loadConfig();
-
 /**
- * 获取移动目标目录的绝对路径
- * @returns {string} - 目标目录的绝对路径
+ * 检查文件扩展名是否在允许删除的列表中
+ * @param {string} fileName - 要检查的文件名（包含扩展名）
+ * @param {Array<string>} allowedExtensions - 允许的扩展名列表（默认使用全局配置）
+ * @returns {boolean} - 如果文件扩展名在允许列表中返回 true，否则返回 false
  */
-const getMoveTargetDirectory = () => {
-  const moveConfig = config.moveConfig || {};
-  let targetDirectory = moveConfig.targetDirectory || 'trash';
-  
-  if (!path.isAbsolute(targetDirectory)) {
-    targetDirectory = path.resolve(__dirname, targetDirectory);
+const isAllowedExtension = (fileName, allowedExtensions = getConfig().allowedExtensions ?? ['*']) => {
+  if (allowedExtensions.includes('*')) {
+    return true;
   }
   
-  return targetDirectory;
+  const ext = path.extname(fileName).slice(1);
+  return allowedExtensions.includes(ext);
 };
 
 /**
- * 格式化文件大小为人类可读格式
- * @param {number} bytes - 文件大小（字节）
- * @returns {string} - 格式化后的文件大小字符串
+ * 解析大小限制配置
+ * @param {number|string|null|undefined} value - 大小配置，如 1024、"500MB"
+ * @param {string} key - 配置项名称（用于错误信息）
+ * @returns {number|null} - 字节数，未配置时返回 null
  */
-const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-  
-  // 确保bytes大于0，避免Math.log(0)问题
-  const safeBytes = Math.max(bytes, 1);
-  const i = Math.min(Math.floor(Math.log(safeBytes) / Math.log(k)), sizes.length - 1);
-  
-  // 对于小于1KB的文件，直接显示字节数
-  if (i === 0) {
-    return `${bytes} B`;
+const resolveSizeLimit = (value, key) => {
+  if (value === undefined || value === null) {
+    return null;
   }
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const bytes = parseSize(value);
+  if (bytes === null) {
+    throw new Error(`${key} 格式无效（示例: 0、500KB、1.5GB）: ${value}`);
+  }
+  return bytes;
+};
+
+/**
+ * 解析 keepLatest 配置为分组列表
+ * 数字 N 等同于 [{ pattern: "*", count: N }]，即所有文件共用一个分组
+ * @param {number|Array<Object>|null|undefined} value - keepLatest 配置
+ * @returns {Array<Object>} - 分组列表 [{ pattern, count, matches }]，未配置时返回空数组
+ */
+const resolveKeepLatest = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const groups = typeof value === 'number' ? [{ pattern: '*', count: value }] : value;
+  if (!Array.isArray(groups)) {
+    throw new Error(`keepLatest 必须是非负整数或 { pattern, count } 列表: ${JSON.stringify(value)}`);
+  }
+  return groups.map((group) => {
+    if (!group || typeof group.pattern !== 'string' || !Number.isInteger(group.count) || group.count < 0) {
+      throw new Error(`keepLatest 分组配置无效: ${JSON.stringify(group)}`);
+    }
+    return { pattern: group.pattern, count: group.count, matches: createPatternMatcher([group.pattern]) };
+  });
 };
 
+/**
+ * 解析文件夹的最终清理规则
+ * 优先级：命令行参数 > 文件夹单独配置 > 全局配置
+ * @param {string|Object} entry - 文件夹配置项（路径字符串或规则对象）
+ * @param {Object} overrides - 命令行覆盖项
+ * @param {number|null} overrides.retentionDays - 命令行指定的保留天数
+ * @param {boolean} overrides.forceDelete - 命令行是否指定了强制删除
+ * @param {number|null} overrides.minSize - 命令行指定的最小文件大小（字节）
+ * @param {number|null} overrides.maxSize - 命令行指定的最大文件大小（字节）
+ * @param {number|null} overrides.maxTotalSize - 命令行指定的文件夹配额（字节）
+ * @param {boolean} overrides.pruneEmptyDirs - 命令行是否指定了删除空目录
+ * @returns {Object} - 规则 { path, retentionDays, allowedExtensions, include, exclude, maxDepth, minSize, maxSize, maxTotalSize, keepLatest, ageBasis, filenameDatePattern, pruneEmptyDirs, pruneMinAgeDays, followSymlinks, oneFileSystem, action, isIncluded, isExcluded, getFileTime, isProtectedPath, checkSymlinkTarget }
+ */
+const resolveFolderRules = (entry, overrides = {}) => {
+  const config = getConfig();
+  const folderRules = getFolderRules(entry);
+  const retentionDays = overrides.retentionDays ?? folderRules.retentionDays ?? config.retentionDays ?? 0;
+  const action = overrides.forceDelete ? 'delete' : (folderRules.action ?? config.action ?? 'trash');
+  const include = folderRules.include ?? config.include ?? [];
+  const exclude = folderRules.exclude ?? config.exclude ?? [];
+  const includeMatcher = createPatternMatcher(include);
+  const ageBasis = folderRules.ageBasis ?? config.ageBasis ?? DEFAULT_AGE_BASIS;
+  const filenameDatePattern = folderRules.filenameDatePattern ?? config.filenameDatePattern ?? DEFAULT_FILENAME_DATE_PATTERN;
+  const pathGuard = createPathGuard(config.protectedPaths ?? []);
+  
+  return {
+    path: getFolderPath(entry),
+    retentionDays,
+    allowedExtensions: folderRules.allowedExtensions ?? config.allowedExtensions ?? ['*'],
+    include,
+    exclude,
+    maxDepth: folderRules.maxDepth ?? config.maxDepth ?? null,
+    minSize: overrides.minSize ?? resolveSizeLimit(folderRules.minSize ?? config.minSize, 'minSize'),
+    maxSize: overrides.maxSize ?? resolveSizeLimit(folderRules.maxSize ?? config.maxSize, 'maxSize'),
+    // 配额只按文件夹配置，设置后该文件夹改为配额模式（不再按保留天数判断）
+    maxTotalSize: overrides.maxTotalSize ?? resolveSizeLimit(folderRules.maxTotalSize, 'maxTotalSize'),
+    keepLatest: resolveKeepLatest(folderRules.keepLatest ?? config.keepLatest),
+    ageBasis,
+    filenameDatePattern,
+    pruneEmptyDirs: overrides.pruneEmptyDirs || (folderRules.pruneEmptyDirs ?? config.pruneEmptyDirs ?? false),
+    pruneMinAgeDays: folderRules.pruneMinAgeDays ?? config.pruneMinAgeDays ?? 0,
+    followSymlinks: folderRules.followSymlinks ?? config.followSymlinks ?? false,
+    oneFileSystem: folderRules.oneFileSystem ?? config.oneFileSystem ?? false,
+    action,
+    // 未配置 include 时所有文件都视为被包含
+    isIncluded: include.length === 0 ? () => true : includeMatcher,
+    isExcluded: createPatternMatcher(exclude),
+    // 按 ageBasis 获取文件时间，用于保留天数、keepLatest 和配额排序
+    getFileTime: createFileTimeResolver(ageBasis, filenameDatePattern),
+    // 判断真实路径是否位于系统关键路径或 protectedPaths 中
+    isProtectedPath: pathGuard.isProtected,
+    // 检查跟随的符号链接目标能否作为清理文件夹，返回拒绝原因，允许时返回 null
+    checkSymlinkTarget: pathGuard.checkFolder
+  };
+};
 
+/**
+ * 获取目录项的设备号与 inode 组合键，用于识别重复访问的目录
+ * @param {fs.Stats} stats - 文件状态
+ * @returns {string|null} - 组合键，文件系统不提供 inode 时返回 null
+ */
+const getInodeKey = (stats) => (stats.ino ? `${stats.dev}:${stats.ino}` : null);
 
 /**
- * 检查文件是否为系统保护文件
- * @param {string} fileName - 文件名
- * @returns {boolean} - 是否为保护文件
+ * 创建目录遍历状态
+ * @param {string} rootPath - 配置文件夹路径
+ * @returns {Object} - 遍历状态 { rootDev, visitedDirs }
  */
-const isProtectedFile = (fileName) => {
-  const lowerFileName = fileName.toLowerCase();
-  return config.protectedFiles.some(protectedFile => 
-    lowerFileName === protectedFile.toLowerCase()
-  );
+const createTraversalState = (rootPath) => {
+  const rootStats = fs.statSync(rootPath);
+  const visitedDirs = new Set();
+  const rootKey = getInodeKey(rootStats);
+  if (rootKey) {
+    visitedDirs.add(rootKey);
+  }
+  return { rootDev: rootStats.dev, visitedDirs };
 };
 
 /**
- * 检查文件扩展名是否在允许删除的列表中
- * @param {string} fileName - 要检查的文件名（包含扩展名）
- * @returns {boolean} - 如果文件扩展名在允许列表中返回 true，否则返回 false
+ * 按符号链接与文件系统边界策略获取目录项的状态
+ * - 符号链接默认不跟随；启用 followSymlinks 后只跟随指向目录的链接，指向文件的链接始终跳过
+ * - 链接目标按配置文件夹的标准检查，指向文件系统根目录、系统关键目录（或包含它们的目录）和受保护路径的链接不跟随
+ * - 已访问过的目录（同一设备号与 inode）被跳过，避免符号链接循环
+ * - 启用 oneFileSystem 后跳过位于其他文件系统的目录（类似 find -xdev）
+ * - 设备、管道、套接字等特殊文件被跳过
+ * @param {string} entryPath - 目录项路径
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules）
+ * @param {Object} traversal - 遍历状态（见 createTraversalState）
+ * @returns {Promise<Object>} - { stats, reason }，reason 不为 null 时表示该目录项应被跳过（见 SKIP_REASONS）
  */
-const isAllowedExtension = (fileName) => {
-  if (config.allowedExtensions.includes('*')) {
-    return true;
+const getTraversalStats = async (entryPath, rules, traversal) => {
+  let stats = await fs.promises.lstat(entryPath);
+  
+  if (stats.isSymbolicLink()) {
+    if (!rules.followSymlinks) {
+      return { stats, reason: 'symlink' };
+    }
+    try {
+      stats = await fs.promises.stat(entryPath);
+    } catch (error) {
+      // 链接目标不存在（悬空链接）
+      return { stats, reason: 'symlink' };
+    }
+    if (!stats.isDirectory()) {
+      return { stats, reason: 'symlink' };
+    }
+    // 避免经由指向 / 或系统目录的链接遍历并清理整个文件系统
+    const rejection = rules.checkSymlinkTarget(resolveRealPath(entryPath));
+    if (rejection) {
+      logger.warn(`符号链接指向不安全的位置，不跟随: ${entryPath}`, { reason: rejection });
+      return { stats, reason: 'unsafe-symlink' };
+    }
   }
   
-  const ext = path.extname(fileName).slice(1);
-  return config.allowedExtensions.includes(ext);
+  if (stats.isDirectory()) {
+    if (rules.oneFileSystem && stats.dev !== traversal.rootDev) {
+      return { stats, reason: 'other-filesystem' };
+    }
+    const inodeKey = getInodeKey(stats);
+    if (inodeKey && traversal.visitedDirs.has(inodeKey)) {
+      return { stats, reason: 'visited' };
+    }
+    return { stats, reason: null };
+  }
+  
+  if (!stats.isFile()) {
+    return { stats, reason: 'special-file' };
+  }
+  
+  return { stats, reason: null };
 };
 
+// 默认按修改时间计算文件年龄
+const getDefaultFileTime = createFileTimeResolver();
+
+/**
+ * 按文件时间判断文件是否超过保留天数
+ * @param {number} fileTimeMs - 文件时间戳
+ * @param {number} retentionDays - 保留天数（0 表示处理所有文件）
+ * @returns {boolean} - 是否超过保留天数
+ */
+const isFileTimeExpired = (fileTimeMs, retentionDays) => (
+  retentionDays === 0 || Date.now() - fileTimeMs > retentionDays * DAY_MS
+);
+
 /**
  * 检查文件是否超过保留天数
  * @param {string} filePath - 文件路径
  * @param {number} retentionDays - 保留天数
- * @returns {boolean} - 是否需要处理
+ * @param {Function} getFileTime - 文件时间获取函数 (filePath, stats) => 时间戳，默认使用修改时间
+ * @returns {boolean} - 是否需要处理，无法确定文件时间时返回 false
  */
-const isExpired = (filePath, retentionDays) => {
+const isExpired = (filePath, retentionDays, getFileTime = getDefaultFileTime) => {
   try {
     const stats = fs.statSync(filePath);
-    const fileTimeMs = Math.min(stats.birthtimeMs || 0, stats.mtimeMs || 0);
-    const fileAgeMs = Date.now() - fileTimeMs;
-    const retentionMs = retentionDays * 24 * 60 * 60 * 1000;
-    
-    if (retentionDays === 0) {
-      return true;
+    const fileTimeMs = getFileTime(filePath, stats);
+    if (fileTimeMs === null) {
+      return false;
     }
-    
-    return fileAgeMs > retentionMs;
+    return isFileTimeExpired(fileTimeMs, retentionDays);
   } catch (error) {
     logger.warn(`获取文件状态失败: ${filePath}`, { error: error.message });
     return false;
@@ -126,26 +303,26 @@ const isExpired = (filePath, retentionDays) => {
 /**
  * 检查文件是否正在使用
  * @param {string} filePath - 文件路径
- * @returns {boolean} - 是否正在使用
+ * @returns {Promise<boolean>} - 是否正在使用
  */
-const isFileInUse = (filePath) => {
-  let fd = null;
+const isFileInUse = async (filePath) => {
+  let handle = null;
   
   try {
-    fd = fs.openSync(filePath, 'r');
-    fs.closeSync(fd);
-    fd = null;
+    handle = await fs.promises.open(filePath, 'r');
+    await handle.close();
+    handle = null;
     
-    fd = fs.openSync(filePath, 'r+');
-    fs.closeSync(fd);
-    fd = null;
+    handle = await fs.promises.open(filePath, 'r+');
+    await handle.close();
+    handle = null;
     
     logger.debug(`文件未被使用: ${filePath}`);
     return false;
   } catch (error) {
-    if (fd !== null) {
+    if (handle !== null) {
       try {
-        fs.closeSync(fd);
+        await handle.close();
       } catch (closeError) {
       }
     }
@@ -180,11 +357,11 @@ const isFileInUse = (filePath) => {
 /**
  * 确保目录存在，如果不存在则创建
  * @param {string} dirPath - 目录路径
- * @returns {boolean} - 目录是否已存在或成功创建
+ * @returns {Promise<boolean>} - 目录是否已存在或成功创建
  */
-const ensureDirectory = (dirPath) => {
+const ensureDirectory = async (dirPath) => {
   try {
-    fs.ensureDirSync(dirPath);
+    await fs.ensureDir(dirPath);
     logger.debug(`确保目录存在: ${dirPath}`);
     return true;
   } catch (error) {
@@ -193,81 +370,67 @@ const ensureDirectory = (dirPath) => {
   }
 };
 
-/**
- * 获取唯一的文件名，处理文件名冲突
- * @param {string} targetDir - 目标目录
- * @param {string} fileName - 原始文件名
- * @returns {string} - 唯一的文件路径
- */
-const getUniqueFileName = (targetDir, fileName) => {
-  const filePath = path.join(targetDir, fileName);
-  
-  if (!fs.existsSync(filePath)) {
-    return filePath;
-  }
-  
-  const ext = path.extname(fileName);
-  const baseName = path.basename(fileName, ext);
-  let counter = 1;
-  
-  let uniquePath;
-  do {
-    uniquePath = path.join(targetDir, `${baseName}_${counter}${ext}`);
-    counter++;
-  } while (fs.existsSync(uniquePath));
-  
-  return uniquePath;
-};
-
 /**
  * 移动单个文件到目标目录，保留完整的目录结构
  * @param {string} filePath - 源文件路径
  * @param {string} targetDir - 目标目录
  * @param {string} baseDir - 基础目录路径（用于确定相对路径）
+ * @param {string} runId - 本次清理的运行ID（用于记录文件来源，支持恢复）
+ * @param {Object|null} journal - 运行日志（见 journal.js），移动前记录移动意图，移动后记录结果
  * @returns {Promise<Object>} - 移动结果 { success: boolean, targetPath: string, error?: string }
  */
-const moveFile = async (filePath, targetDir, baseDir) => {
+const moveFile = async (filePath, targetDir, baseDir, runId = null, journal = null) => {
   let uniqueTargetPath = null;
   
   try {
     logger.info(`开始移动文件: ${filePath}`, { targetDir, baseDir });
     
     // 验证文件是否存在且可访问
-    if (!fs.existsSync(filePath)) {
+    if (!(await fs.pathExists(filePath))) {
       throw new Error(`文件不存在: ${filePath}`);
     }
     logger.debug(`文件存在: ${filePath}`);
     
     // 检查文件权限
-    const stats = fs.statSync(filePath);
+    const stats = await fs.stat(filePath);
     logger.info(`文件权限: ${stats.mode.toString(8)}`, { filePath });
     logger.info(`文件大小 (stat): ${stats.size}字节`, { filePath });
     
-    // 构建目标路径
+    // 构建目标路径：回收站/<文件夹名_哈希>/<相对于配置文件夹的路径>
     const fileName = path.basename(filePath);
+    const mirroredDir = baseDir ? getMirroredTrashDir(targetDir, baseDir, filePath) : targetDir;
     
-    // 获取唯一的目标路径
-    uniqueTargetPath = getUniqueFileName(targetDir, fileName);
+    // 获取唯一的目标路径（仅在镜像目录中已存在同名文件时添加序号）
+    uniqueTargetPath = getUniqueFileName(mirroredDir, fileName);
     logger.debug(`生成唯一目标路径: ${uniqueTargetPath}`);
     
     // 创建必要的子目录
     const targetFileDir = path.dirname(uniqueTargetPath);
-    if (!fs.existsSync(targetFileDir)) {
+    if (!(await fs.pathExists(targetFileDir))) {
       logger.debug(`创建目标文件目录: ${targetFileDir}`);
-      fs.ensureDirSync(targetFileDir);
+      await fs.ensureDir(targetFileDir);
     }
     
     // 获取源文件信息
     const fileSize = formatFileSize(stats.size);
     logger.info(`文件信息: 大小=${fileSize} (${stats.size}字节)`, { filePath });
     
+    // 先记录移动意图：进程在移动过程中退出时，下次启动可据此核对未完成的移动
+    journal?.recordMoveStart({
+      sourcePath: filePath,
+      trashPath: uniqueTargetPath,
+      trashDir: targetDir,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs
+    });
+    
     // 使用 fs-extra 的 move() 方法移动文件
     logger.info(`开始移动文件: ${filePath} -> ${uniqueTargetPath}`);
     await fs.move(filePath, uniqueTargetPath, { overwrite: false });
     logger.debug(`文件移动完成`, { sourcePath: filePath, targetPath: uniqueTargetPath });
     
     // 验证目标文件是否存在
-    if (!fs.existsSync(uniqueTargetPath)) {
+    if (!(await fs.pathExists(uniqueTargetPath))) {
       const errorMsg = `目标文件创建失败: ${uniqueTargetPath}`;
       logger.error(errorMsg);
       return { success: false, targetPath: null, fileName: path.basename(filePath), error: errorMsg };
@@ -281,20 +444,36 @@ const moveFile = async (filePath, targetDir, baseDir) => {
       sourceSize: stats.size
     });
     
+    // 记录文件来源，供 --restore 恢复使用
+    appendTrashRecord({
+      runId,
+      sourcePath: filePath,
+      trashPath: uniqueTargetPath,
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      trashedAt: Date.now()
+    }, targetDir);
+    journal?.recordMoved(filePath, uniqueTargetPath, stats.size);
+    
     return { success: true, targetPath: uniqueTargetPath, fileName: path.basename(filePath), fileSize };
   } catch (error) {
     logger.error(`移动文件失败: ${filePath}`, { error: error.message });
     
     // 清理：如果目标文件已创建，删除它
-    if (uniqueTargetPath && fs.existsSync(uniqueTargetPath)) {
+    if (uniqueTargetPath && await fs.pathExists(uniqueTargetPath)) {
       try {
-        fs.removeSync(uniqueTargetPath);
+        await fs.remove(uniqueTargetPath);
         logger.debug(`清理失败移动的目标文件: ${uniqueTargetPath}`);
       } catch (cleanupError) {
         logger.warn(`清理目标文件失败: ${uniqueTargetPath}`, { error: cleanupError.message });
       }
     }
     
+    // 回收站中没有残留的副本时移动失败已处理完毕，否则保留移动意图，由下次启动时核对
+    if (!uniqueTargetPath || !(await fs.pathExists(uniqueTargetPath))) {
+      journal?.recordMoveFailed(filePath);
+    }
+    
     return { success: false, targetPath: null, fileName: path.basename(filePath), error: error.message };
   }
 };
@@ -302,15 +481,15 @@ const moveFile = async (filePath, targetDir, baseDir) => {
 /**
  * 直接删除文件
  * @param {string} filePath - 要删除的文件路径
- * @returns {Object} - 删除结果 { success: boolean, fileName: string, fileSize: string, error?: string }
+ * @returns {Promise<Object>} - 删除结果 { success: boolean, fileName: string, fileSize: string, error?: string }
  */
-const deleteFile = (filePath) => {
+const deleteFile = async (filePath) => {
   try {
-    const stats = fs.statSync(filePath);
+    const stats = await fs.stat(filePath);
     const fileSize = formatFileSize(stats.size);
     const fileName = path.basename(filePath);
     
-    fs.removeSync(filePath);
+    await fs.remove(filePath);
     
     logger.info(`成功删除文件: ${filePath}`, {
       fileName,
@@ -327,203 +506,1303 @@ const deleteFile = (filePath) => {
 
 
 
+/**
+ * 对符合条件的文件执行清理动作（移动到回收站或直接删除）
+ * @param {string} filePath - 文件路径
+ * @param {fs.Stats} stats - 文件状态
+ * @param {boolean} forceDelete - 是否直接删除
+ * @param {string} baseDir - 基础目录，用于在回收站中保留目录结构
+ * @param {Object} options - 选项
+ * @param {string|null} options.runId - 清理运行ID
+ * @param {boolean} options.dryRun - 是否为预演模式（只记录不执行）
+ * @param {number} options.fileTimeMs - 用于计算文件年龄的时间戳，默认使用修改时间
+ * @param {Object|null} options.journal - 运行日志（见 journal.js），记录移动和删除的结果
+ * @returns {Promise<Object>} - 处理结果 { success, fileInfo, reason, error }
+ */
+const applyCleanupAction = async (filePath, stats, forceDelete, baseDir, options = {}) => {
+  const { runId = null, dryRun = false, fileTimeMs = stats.mtimeMs, journal = null } = options;
+  const fileInfo = {
+    sourcePath: filePath,
+    fileName: path.basename(filePath),
+    size: stats.size,
+    fileSize: formatFileSize(stats.size),
+    ageDays: Math.floor((Date.now() - fileTimeMs) / DAY_MS),
+    action: forceDelete ? 'delete' : 'move'
+  };
+  
+  if (dryRun) {
+    // 预演模式：只记录将要执行的操作，不改动文件系统
+    logger.info(`[预演] 文件将被${forceDelete ? '删除' : '移动到回收站'}: ${filePath}`, {
+      fileSize: fileInfo.fileSize,
+      ageDays: fileInfo.ageDays
+    });
+    return { success: true, fileInfo: { ...fileInfo, targetPath: null } };
+  }
+  
+  if (forceDelete) {
+    // 直接删除文件
+    const deleteResult = await deleteFile(filePath);
+    if (!deleteResult.success) {
+      return { success: false, reason: 'delete-failed', error: deleteResult.error };
+    }
+    journal?.recordDeleted(filePath, stats.size);
+    return { success: true, fileInfo: { ...fileInfo, targetPath: null } };
+  }
+  
+  // 移动文件到垃圾目录
+  const targetDir = getMoveTargetDirectory();
+  if (!(await ensureDirectory(targetDir))) {
+    return { success: false, reason: 'move-failed', error: `创建目录失败: ${targetDir}` };
+  }
+  
+  // 传递baseDir以保留完整的目录结构
+  const moveResult = await moveFile(filePath, targetDir, baseDir, runId, journal);
+  if (!moveResult.success) {
+    return { success: false, reason: 'move-failed', error: moveResult.error };
+  }
+  return { success: true, fileInfo: { ...fileInfo, targetPath: moveResult.targetPath } };
+};
+
+/**
+ * 逐项读取目录，不一次性读取整个目录
+ * @param {string} folderPath - 目录路径
+ * @param {Array<string>|null} fileNames - 只返回这些目录项（此时 dirent 为 null）
+ * @returns {AsyncGenerator<Object>} - 目录项 { name, dirent }
+ */
+const readDirectoryEntries = async function* (folderPath, fileNames = null) {
+  if (fileNames) {
+    for (const name of fileNames) {
+      yield { name, dirent: null };
+    }
+    return;
+  }
+  // 遍历结束或提前退出时目录句柄会自动关闭
+  for await (const dirent of await fs.promises.opendir(folderPath)) {
+    yield { name: dirent.name, dirent };
+  }
+};
+
+/**
+ * 创建二叉堆
+ * @param {Function} isAbove - isAbove(a, b) 为 true 时 a 应比 b 更靠近堆顶
+ * @returns {Object} - 堆 { push(item), pop(), peek(), size(), toArray() }，pop 和 peek 返回堆顶的元素
+ */
+const createHeap = (isAbove) => {
+  const items = [];
+  
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+  
+  const push = (item) => {
+    items.push(item);
+    for (let index = items.length - 1; index > 0;) {
+      const parent = (index - 1) >> 1;
+      if (!isAbove(items[index], items[parent])) {
+        break;
+      }
+      swap(index, parent);
+      index = parent;
+    }
+  };
+  
+  const pop = () => {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      for (let index = 0; ;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let highest = index;
+        if (left < items.length && isAbove(items[left], items[highest])) {
+          highest = left;
+        }
+        if (right < items.length && isAbove(items[right], items[highest])) {
+          highest = right;
+        }
+        if (highest === index) {
+          break;
+        }
+        swap(index, highest);
+        index = highest;
+      }
+    }
+    return top;
+  };
+  
+  return { push, pop, peek: () => items[0], size: () => items.length, toArray: () => [...items] };
+};
+
+/**
+ * 找出配置文件夹中按 keepLatest 规则需要保留的文件
+ * 按与清理相同的规则遍历整个配置文件夹（系统保护、保护路径、排除模式、最大深度、符号链接和文件系统边界），
+ * 统计其中符合包含/排除模式和扩展名的文件，每个分组按文件时间从新到旧保留前 count 个，文件归入第一个匹配的分组，
+ * 因此 backups/<日期>/db.bak 这类每个子目录只有一个文件的布局也按整个文件夹计数
+ * 每个分组用最小堆只记录目前最新的 count 个文件，内存占用与文件夹中的文件数量无关
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules）
+ * @param {Function} limit - 并发限制器（见 createLimiter）
+ * @param {number} concurrency - 并发数
+ * @returns {Promise<Set<string>>} - 需要保留的文件路径集合
+ */
+const getKeepLatestFiles = async (rules, limit, concurrency) => {
+  const keptFiles = new Set();
+  if (rules.keepLatest.length === 0 || !(await fs.pathExists(rules.path))) {
+    return keptFiles;
+  }
+  
+  // 各分组中目前最新的文件，堆顶为其中最旧的文件
+  const groupHeaps = rules.keepLatest.map(() => createHeap((a, b) => a.timeMs < b.timeMs));
+  
+  /**
+   * 将文件加入分组，分组已满时只有比其中最旧的文件更新才会替换该文件
+   * @param {number} groupIndex - 分组序号
+   * @param {Object} item - { filePath, timeMs }
+   */
+  const addToGroup = (groupIndex, item) => {
+    const heap = groupHeaps[groupIndex];
+    const { count } = rules.keepLatest[groupIndex];
+    if (heap.size() < count) {
+      heap.push(item);
+    } else if (count > 0 && item.timeMs > heap.peek().timeMs) {
+      heap.pop();
+      heap.push(item);
+    }
+  };
+  
+  const traversal = createTraversalState(rules.path);
+  const tasks = createTaskGroup(limit, concurrency);
+  
+  /**
+   * 遍历目录：符合条件的文件交给任务组获取文件时间，子目录依次进入
+   * @param {string} dirPath - 当前目录路径
+   * @param {string} realDirPath - 当前目录的真实路径
+   * @param {number} depth - 当前目录相对于配置文件夹的深度
+   */
+  const walk = async (dirPath, realDirPath, depth) => {
+    try {
+      for await (const { name, dirent } of readDirectoryEntries(dirPath)) {
+        if (isProtectedFile(name)) {
+          continue;
+        }
+        const entryPath = path.resolve(path.join(dirPath, name));
+        const relativePath = path.relative(rules.path, entryPath);
+        
+        // 目录、符号链接和特殊文件不会被清理，也不参与计数
+        if (dirent.isFile()) {
+          if (rules.isExcluded(relativePath, false) || !rules.isIncluded(relativePath, false)
+            || !isAllowedExtension(name, rules.allowedExtensions) || rules.isProtectedPath(path.join(realDirPath, name))) {
+            continue;
+          }
+          const groupIndex = rules.keepLatest.findIndex(group => group.matches(relativePath));
+          if (groupIndex === -1) {
+            continue;
+          }
+          await tasks.add(async () => {
+            let stats;
+            try {
+              stats = await fs.promises.lstat(entryPath);
+            } catch (error) {
+              logger.debug(`获取文件信息失败，不参与 keepLatest 统计: ${entryPath}`, { error: error.message });
+              return;
+            }
+            const timeMs = stats.isFile() ? rules.getFileTime(entryPath, stats) : null;
+            if (timeMs !== null) {
+              addToGroup(groupIndex, { filePath: entryPath, timeMs });
+            }
+          });
+          continue;
+        }
+        
+        if (rules.maxDepth !== null && depth >= rules.maxDepth) {
+          continue;
+        }
+        let traversalStats;
+        try {
+          traversalStats = await getTraversalStats(entryPath, rules, traversal);
+        } catch (error) {
+          logger.debug(`获取目录信息失败，不参与 keepLatest 统计: ${entryPath}`, { error: error.message });
+          continue;
+        }
+        const { stats, reason } = traversalStats;
+        if (reason || !stats.isDirectory() || rules.isExcluded(relativePath, true)) {
+          continue;
+        }
+        const realPath = resolveRealPath(entryPath);
+        if (rules.isProtectedPath(realPath)) {
+          continue;
+        }
+        const inodeKey = getInodeKey(stats);
+        if (inodeKey) {
+          traversal.visitedDirs.add(inodeKey);
+        }
+        await walk(entryPath, realPath, depth + 1);
+      }
+    } catch (error) {
+      logger.warn(`读取目录失败，keepLatest 统计时忽略: ${dirPath}`, { error: error.message });
+    }
+  };
+  
+  await walk(rules.path, resolveRealPath(rules.path), 0);
+  await tasks.wait();
+  
+  groupHeaps.forEach(heap => heap.toArray().forEach(item => keptFiles.add(item.filePath)));
+  return keptFiles;
+};
+
+/**
+ * 目录检查点中的一项（文件或子目录）处理完成
+ * 目录中的所有项都处理完成时在运行日志中记录该目录，并依次通知上级目录
+ * @param {Object} checkpoint - 目录检查点 { dirPath, pending, parent }，pending 为尚未处理完成的项数（遍历本身也算一项）
+ * @param {Object} journal - 运行日志（见 journal.js）
+ * @param {AbortSignal|null} signal - 中止信号，中止后未处理的文件也会结束任务，此时不再记录检查点
+ */
+const releaseCheckpoint = (checkpoint, journal, signal) => {
+  for (let node = checkpoint; node && --node.pending === 0; node = node.parent) {
+    if (signal?.aborted) {
+      return;
+    }
+    journal.recordDirectory(node.dirPath);
+  }
+};
+
+/**
+ * 创建清理结果
+ * 结果只累计计数；collectFiles 为 true 时（生成运行报告或预演列表）才保存每个文件的记录，否则记录只通过 onFile 逐个传出
+ * @param {boolean} collectFiles - 是否保存每个文件的记录
+ * @returns {Object} - 清理结果 { totalFiles, movedFiles, deletedFiles, skippedFiles, reclaimedSize, skipReasons, movedFileList, skippedFileList }，
+ *   movedFiles 包含直接删除的文件，不保存记录时两个列表为 null
+ */
+const createFolderResult = (collectFiles = false) => ({
+  totalFiles: 0,
+  movedFiles: 0,
+  deletedFiles: 0,
+  skippedFiles: 0,
+  reclaimedSize: 0,
+  skipReasons: {},
+  movedFileList: collectFiles ? [] : null,
+  skippedFileList: collectFiles ? [] : null
+});
+
+/**
+ * 在清理结果中记录已移动或删除（预演模式下为将要移动或删除）的文件
+ * @param {Object} result - 清理结果（见 createFolderResult）
+ * @param {Object} fileInfo - 文件记录（见 applyCleanupAction）
+ * @param {Function|null} onFile - 文件处理完成时的回调
+ */
+const recordProcessedFile = (result, fileInfo, onFile) => {
+  result.movedFiles++;
+  if (fileInfo.action === 'delete') {
+    result.deletedFiles++;
+  }
+  result.reclaimedSize += fileInfo.size;
+  result.movedFileList?.push(fileInfo);
+  onFile?.(fileInfo);
+};
+
+/**
+ * 在清理结果中记录被跳过的文件
+ * @param {Object} result - 清理结果（见 createFolderResult）
+ * @param {Object} record - 跳过记录 { sourcePath, reason, error }
+ * @param {Function|null} onFile - 文件处理完成时的回调
+ */
+const recordSkippedFile = (result, record, onFile) => {
+  result.skippedFiles++;
+  result.skipReasons[record.reason] = (result.skipReasons[record.reason] ?? 0) + 1;
+  result.skippedFileList?.push(record);
+  onFile?.(record);
+};
+
 /**
  * 清理单个文件夹
+ * 逐项读取目录：普通文件交给任务组并发检查和处理，目录及其他目录项在遍历中依次处理并递归进入子目录
+ * 子目录与配置文件夹共用同一个结果对象和任务组，最外层的调用等待所有任务完成后返回
  * @param {string} folderPath - 文件夹路径
- * @param {number} retentionDays - 保留天数
+ * @param {Object} rules - 清理规则（见 resolveFolderRules）
  * @param {string} baseDir - 基础目录路径（用于确定相对路径，默认与folderPath相同）
- * @param {boolean} forceDelete - 是否直接删除文件（默认false，即移动到垃圾目录）
- * @returns {Object} - 清理结果统计
+ * @param {Object} options - 清理选项
+ * @param {string} options.runId - 本次清理的运行ID
+ * @param {boolean} options.dryRun - 是否为预演模式（只判断不执行移动或删除）
+ * @param {AbortSignal|null} options.signal - 中止信号，中止后处理完正在处理的文件即停止
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用 onFile(file)，file 为 movedFileList 或 skippedFileList 中的记录
+ * @param {boolean} options.collectFiles - 是否在结果中保存每个文件的记录（见 createFolderResult）
+ * @param {number|null} options.concurrency - 同时进行的文件检查和移动、删除操作数（默认读取配置中的 concurrency）
+ * @param {Function|null} options.limit - 并发限制器，多个文件夹同时清理时共用（内部使用）
+ * @param {number} options.depth - 当前目录相对于配置文件夹的深度（内部使用）
+ * @param {Function|null} options.onQuotaCandidate - 配额模式下接收候选文件的回调，候选文件不按保留天数处理（内部使用，见 cleanFolderByQuota）
+ * @param {Map|null} options.directoryTimes - 记录处理前各子目录修改时间的映射，供删除空目录时判断目录年龄（内部使用）
+ * @param {Object} options.traversal - 目录遍历状态，见 createTraversalState（内部使用）
+ * @param {string} options.realPath - 当前目录的真实路径（内部使用）
+ * @param {Array<string>|null} options.fileNames - 只处理目录中的这些目录项（内部使用，见 cleanEntry）
+ * @param {Set<string>|null} options.keptFiles - 按 keepLatest 保留的文件（见 getKeepLatestFiles），未传入时在最外层调用中统计整个配置文件夹（内部使用）
+ * @param {Object} options.result - 与上级目录共用的结果对象（内部使用）
+ * @param {Object} options.tasks - 与上级目录共用的任务组（内部使用）
+ * @param {Object|null} options.journal - 运行日志（见 journal.js），记录处理结果和目录检查点，已记录检查点的目录直接跳过（内部使用）
+ * @param {Object|null} options.checkpoint - 上级目录的检查点（内部使用）
+ * @returns {Promise<Object>} - 清理结果统计（见 createFolderResult）
  */
-const cleanFolder = async (folderPath, retentionDays, baseDir = null, forceDelete = false) => {
-  let totalFiles = 0;
-  let movedFiles = 0;
-  let skippedFiles = 0;
-  const movedFileList = [];
+const cleanFolder = async (folderPath, rules, baseDir = null, options = {}) => {
+  const { runId = null, dryRun = false, signal = null, onFile = null, collectFiles = false, depth = 0, onQuotaCandidate = null, directoryTimes = null, journal = null } = options;
+  const { retentionDays, allowedExtensions, maxDepth, minSize, maxSize, isIncluded, isExcluded } = rules;
+  const forceDelete = rules.action === 'delete';
+  const concurrency = resolveConcurrency(options.concurrency, 'concurrency', DEFAULT_CONCURRENCY);
+  const limit = options.limit ?? createLimiter(concurrency);
+  const isTopLevel = !options.result;
+  const result = options.result ?? createFolderResult(collectFiles);
+  const tasks = options.tasks ?? createTaskGroup(limit, concurrency);
   
   // 如果未提供baseDir，则使用当前folderPath作为baseDir
   const currentBaseDir = baseDir || folderPath;
   
+  /**
+   * 记录被跳过的文件及原因
+   * @param {string} filePath - 文件路径
+   * @param {string} reason - 跳过原因代码（见 SKIP_REASONS）
+   * @param {string} error - 错误信息（可选）
+   */
+  const skipFile = (filePath, reason, error = null) => {
+    recordSkippedFile(result, { sourcePath: filePath, reason, error }, onFile);
+  };
+  
   try {
-    if (!fs.existsSync(folderPath)) {
+    if (!(await fs.pathExists(folderPath))) {
       logger.warn(`文件夹不存在，跳过清理: ${folderPath}`);
-      return { totalFiles, movedFiles, skippedFiles, movedFileList };
+      return result;
+    }
+    
+    if (journal?.isDirectoryDone(folderPath)) {
+      logger.info(`目录已在中断的运行中处理完成，跳过: ${folderPath}`);
+      return result;
     }
     
-    logger.info(`开始清理文件夹: ${folderPath}`, { forceDelete });
+    logger.info(`开始清理文件夹: ${folderPath}`, { forceDelete, dryRun });
     
-    const files = fs.readdirSync(folderPath);
+    const traversal = options.traversal ?? createTraversalState(folderPath);
+    const realFolderPath = options.realPath ?? resolveRealPath(folderPath);
+    const keptFiles = options.keptFiles ?? await getKeepLatestFiles(rules, limit, concurrency);
+    // 目录检查点：整个目录处理完成后记录到运行日志（只处理部分目录项时不记录，见 cleanEntry）
+    const checkpoint = journal && !options.fileNames ? { dirPath: folderPath, pending: 1, parent: options.checkpoint ?? null } : null;
+    if (checkpoint?.parent) {
+      checkpoint.parent.pending++;
+    }
     
-    for (const file of files) {
+    /**
+     * 检查并处理一个目录项：目录递归进入，文件检查后执行清理动作
+     * @param {string} file - 目录项名称
+     * @param {boolean} inTask - 是否在任务组中执行（此时不递归进入目录，避免占用并发名额等待子目录的任务）
+     */
+    const processEntry = async (file, inTask) => {
+      // 中止后不再处理已加入任务组但尚未开始的文件
+      if (signal?.aborted) {
+        return;
+      }
+      
       // 构建绝对文件路径，确保路径处理正确
       const filePath = path.resolve(path.join(folderPath, file));
       logger.debug(`处理文件: ${filePath}`, { folderPath, file });
-      totalFiles++;
+      result.totalFiles++;
       
       if (isProtectedFile(file)) {
         logger.info(`跳过系统保护文件: ${filePath}`);
-        skippedFiles++;
-        continue;
+        skipFile(filePath, 'protected');
+        return;
       }
       
       try {
-        const stats = fs.statSync(filePath);
+        const { stats, reason } = await getTraversalStats(filePath, rules, traversal);
+        if (reason) {
+          logger.info(`${SKIP_REASONS[reason]}，跳过: ${filePath}`);
+          skipFile(filePath, reason);
+          return;
+        }
+        
+        // 目录可能是跟随的符号链接，需要解析真实路径；文件的符号链接已被跳过，直接拼接即可
+        const realPath = stats.isDirectory() ? resolveRealPath(filePath) : path.join(realFolderPath, file);
+        if (rules.isProtectedPath(realPath)) {
+          logger.warn(`跳过受保护的路径: ${filePath}`, { realPath });
+          skipFile(filePath, 'protected-path');
+          return;
+        }
+        
+        // 相对于配置文件夹的路径，用于 include / exclude 模式匹配
+        const relativePath = path.relative(currentBaseDir, filePath);
+        
+        // 被排除的目录直接剪枝，不再遍历其内容
+        if (isExcluded(relativePath, stats.isDirectory())) {
+          logger.info(`跳过匹配排除模式的${stats.isDirectory() ? '目录' : '文件'}: ${filePath}`);
+          skipFile(filePath, 'excluded');
+          return;
+        }
+        
         if (stats.isDirectory()) {
-          const subFolderResult = await cleanFolder(filePath, retentionDays, currentBaseDir, forceDelete);
-          totalFiles += subFolderResult.totalFiles;
-          movedFiles += subFolderResult.movedFiles;
-          skippedFiles += subFolderResult.skippedFiles;
-          movedFileList.push(...subFolderResult.movedFileList);
-          continue;
+          if (inTask) {
+            // 读取目录后文件被替换成了目录，留到下次清理时处理
+            logger.warn(`目录项在遍历过程中变为目录，跳过: ${filePath}`);
+            skipFile(filePath, 'error', '目录项在遍历过程中发生了变化');
+            return;
+          }
+          if (maxDepth !== null && depth >= maxDepth) {
+            logger.info(`目录超过最大递归深度，跳过: ${filePath}`, { maxDepth });
+            skipFile(filePath, 'max-depth');
+            return;
+          }
+          // 处理前记录目录的修改时间，目录中的文件被移走后修改时间会变化
+          if (directoryTimes) {
+            directoryTimes.set(filePath, stats.mtimeMs);
+          }
+          const inodeKey = getInodeKey(stats);
+          if (inodeKey) {
+            traversal.visitedDirs.add(inodeKey);
+          }
+          await cleanFolder(filePath, rules, currentBaseDir, {
+            ...options,
+            fileNames: null,
+            depth: depth + 1,
+            traversal,
+            realPath,
+            limit,
+            result,
+            tasks,
+            checkpoint,
+            keptFiles
+          });
+          return;
         }
         
-        if (!isAllowedExtension(file)) {
+        if (!isIncluded(relativePath, false)) {
+          logger.info(`文件不匹配任何包含模式，跳过: ${filePath}`);
+          skipFile(filePath, 'not-included');
+          return;
+        }
+        
+        if (!isAllowedExtension(file, allowedExtensions)) {
           logger.warn(`文件扩展名不允许处理，跳过: ${filePath}`, {
             fileName: file,
             extension: path.extname(file)
           });
-          skippedFiles++;
-          continue;
+          skipFile(filePath, 'extension');
+          return;
+        }
+        
+        if (minSize !== null && stats.size < minSize) {
+          logger.info(`文件小于最小大小，跳过处理: ${filePath}`, {
+            fileSize: formatFileSize(stats.size),
+            minSize: formatFileSize(minSize)
+          });
+          skipFile(filePath, 'below-min-size');
+          return;
+        }
+        
+        if (maxSize !== null && stats.size > maxSize) {
+          logger.info(`文件大于最大大小，跳过处理: ${filePath}`, {
+            fileSize: formatFileSize(stats.size),
+            maxSize: formatFileSize(maxSize)
+          });
+          skipFile(filePath, 'above-max-size');
+          return;
+        }
+        
+        const fileTimeMs = rules.getFileTime(filePath, stats);
+        if (fileTimeMs === null) {
+          logger.warn(`文件名中没有找到日期，跳过处理: ${filePath}`, { filenameDatePattern: rules.filenameDatePattern });
+          skipFile(filePath, 'no-filename-date');
+          return;
+        }
+        
+        if (keptFiles.has(filePath)) {
+          logger.info(`文件属于最新的若干个文件，保留: ${filePath}`);
+          skipFile(filePath, 'keep-latest');
+          return;
         }
         
-        if (!isExpired(filePath, retentionDays)) {
+        // 配额模式：不按保留天数判断，交给 cleanFolderByQuota 挑选候选文件，按时间从旧到新统一处理
+        if (onQuotaCandidate) {
+          onQuotaCandidate({ filePath, stats, fileTimeMs, baseDir: currentBaseDir });
+          return;
+        }
+        
+        if (!isFileTimeExpired(fileTimeMs, retentionDays)) {
           logger.info(`文件未过期，跳过处理: ${filePath}`);
-          skippedFiles++;
-          continue;
+          skipFile(filePath, 'not-expired');
+          return;
         }
         
-        if (isFileInUse(filePath)) {
+        if (await isFileInUse(filePath)) {
           logger.warn(`文件正在使用，跳过处理: ${filePath}`);
-          skippedFiles++;
-          continue;
+          skipFile(filePath, 'in-use');
+          return;
         }
         
-        if (forceDelete) {
-          // 直接删除文件
-          const deleteResult = deleteFile(filePath);
-          if (deleteResult.success) {
-            movedFiles++;
-            movedFileList.push({
-              sourcePath: filePath,
-              targetPath: null,
-              fileName: deleteResult.fileName,
-              fileSize: deleteResult.fileSize
-            });
-          } else {
-            skippedFiles++;
-          }
+        const actionResult = await applyCleanupAction(filePath, stats, forceDelete, currentBaseDir, {
+          runId,
+          dryRun,
+          fileTimeMs,
+          journal
+        });
+        if (actionResult.success) {
+          recordProcessedFile(result, actionResult.fileInfo, onFile);
         } else {
-          // 移动文件到垃圾目录
-          const targetDir = getMoveTargetDirectory();
-          if (!ensureDirectory(targetDir)) {
-            skippedFiles++;
-            continue;
-          }
-          
-          // 传递baseDir以保留完整的目录结构
-          const moveResult = await moveFile(filePath, targetDir, currentBaseDir);
-          if (moveResult.success) {
-            movedFiles++;
-            movedFileList.push({
-              sourcePath: filePath,
-              targetPath: moveResult.targetPath,
-              fileName: moveResult.fileName,
-              fileSize: moveResult.fileSize
-            });
-          } else {
-            skippedFiles++;
-          }
+          skipFile(filePath, actionResult.reason, actionResult.error);
         }
       } catch (error) {
         logger.error(`处理文件时出错: ${filePath}`, { error: error.message });
-        skippedFiles++;
+        skipFile(filePath, 'error', error.message);
       }
-    }
+    };
     
+    for await (const { name: file, dirent } of readDirectoryEntries(folderPath, options.fileNames)) {
+      if (signal?.aborted) {
+        logger.warn(`清理已中止，停止处理文件夹: ${folderPath}`);
+        break;
+      }
+      // 任务组中积压的文件达到并发数时，add 等待其中一个处理完成，遍历随之暂停
+      if (dirent?.isFile()) {
+        if (checkpoint) {
+          checkpoint.pending++;
+        }
+        await tasks.add(async () => {
+          try {
+            await processEntry(file, true);
+          } finally {
+            if (checkpoint) {
+              releaseCheckpoint(checkpoint, journal, signal);
+            }
+          }
+        });
+      } else {
+        await processEntry(file, false);
+      }
+    }
+    // 遍历中途出错或中止时不释放，该目录及其上级目录都不会记录检查点
+    if (checkpoint && !signal?.aborted) {
+      releaseCheckpoint(checkpoint, journal, signal);
+    }
+  } catch (error) {
+    logger.error(`清理文件夹时出错: ${folderPath}`, { error: error.message });
+  }
+  
+  if (isTopLevel) {
+    await tasks.wait();
     logger.info(`文件夹清理完成: ${folderPath}`, {
-      totalFiles,
-      movedFiles,
-      skippedFiles,
-      forceDelete
+      totalFiles: result.totalFiles,
+      movedFiles: result.movedFiles,
+      skippedFiles: result.skippedFiles,
+      forceDelete,
+      dryRun
     });
+  }
+  
+  return result;
+};
+
+/**
+ * 按 cleanFolder 的规则只处理配置文件夹中的一个文件或目录（watch 模式在文件到期或发生变化时调用）
+ * 先确认清理时会遍历到该路径（各级上级目录未被保护、排除，未超过最大深度，不是未跟随的符号链接），
+ * 再对该目录项执行与 cleanFolder 相同的检查和清理，目录会被递归处理
+ * @param {string} entryPath - 文件或目录的绝对路径
+ * @param {Object} rules - 配置文件夹的清理规则（见 resolveFolderRules）
+ * @param {Object} options - 清理选项（runId、dryRun、onFile、collectFiles、concurrency，见 cleanFolder）
+ * @returns {Promise<Object>} - 清理结果统计（与 cleanFolder 相同），不会被遍历到的路径返回空结果
+ */
+const cleanEntry = async (entryPath, rules, options = {}) => {
+  const emptyResult = createFolderResult(options.collectFiles);
+  const segments = path.relative(rules.path, entryPath).split(path.sep);
+  if (segments[0] === '' || segments[0] === '..' || path.isAbsolute(segments[0]) || !(await fs.pathExists(entryPath))) {
+    return emptyResult;
+  }
+  
+  try {
+    const traversal = createTraversalState(rules.path);
+    let dirPath = rules.path;
+    for (let depth = 0; depth < segments.length - 1; depth++) {
+      const childPath = path.join(dirPath, segments[depth]);
+      if (isProtectedFile(segments[depth]) || (rules.maxDepth !== null && depth >= rules.maxDepth)) {
+        return emptyResult;
+      }
+      const { stats, reason } = await getTraversalStats(childPath, rules, traversal);
+      if (reason || !stats.isDirectory() || rules.isProtectedPath(resolveRealPath(childPath))
+        || rules.isExcluded(path.relative(rules.path, childPath), true)) {
+        return emptyResult;
+      }
+      const inodeKey = getInodeKey(stats);
+      if (inodeKey) {
+        traversal.visitedDirs.add(inodeKey);
+      }
+      dirPath = childPath;
+    }
     
+    return await cleanFolder(dirPath, rules, rules.path, {
+      ...options,
+      depth: segments.length - 1,
+      traversal,
+      fileNames: [segments[segments.length - 1]]
+    });
   } catch (error) {
-    logger.error(`清理文件夹时出错: ${folderPath}`, { error: error.message });
+    logger.error(`处理路径时出错: ${entryPath}`, { error: error.message });
+    return emptyResult;
   }
+};
+
+/**
+ * 计算目录树中所有文件的总大小（包含受保护和被排除的文件）
+ * 按与清理相同的符号链接和文件系统边界策略遍历，文件的状态通过任务组并发获取
+ * @param {string} dirPath - 目录路径
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules）
+ * @param {Function} limit - 并发限制器（见 createLimiter）
+ * @param {number} concurrency - 并发数
+ * @returns {Promise<number>} - 总大小（字节）
+ */
+const getTreeSize = async (dirPath, rules, limit, concurrency) => {
+  const traversal = createTraversalState(dirPath);
+  const tasks = createTaskGroup(limit, concurrency);
+  let totalSize = 0;
+  
+  /**
+   * 累加一个目录项的大小
+   * @param {string} entryPath - 目录项路径
+   * @returns {Promise<fs.Stats|null>} - 目录项是需要进入的目录时返回其状态，否则返回 null
+   */
+  const addEntrySize = async (entryPath) => {
+    try {
+      const { stats, reason } = await getTraversalStats(entryPath, rules, traversal);
+      if (reason) {
+        return null;
+      }
+      if (stats.isDirectory()) {
+        return stats;
+      }
+      totalSize += stats.size;
+    } catch (error) {
+      logger.warn(`获取文件信息失败，统计大小时忽略: ${entryPath}`, { error: error.message });
+    }
+    return null;
+  };
+  
+  /**
+   * 遍历目录：文件交给任务组，子目录依次进入
+   * @param {string} currentPath - 当前目录路径
+   */
+  const walk = async (currentPath) => {
+    try {
+      for await (const { name, dirent } of readDirectoryEntries(currentPath)) {
+        const entryPath = path.join(currentPath, name);
+        if (dirent.isFile()) {
+          await tasks.add(() => addEntrySize(entryPath));
+          continue;
+        }
+        const dirStats = await addEntrySize(entryPath);
+        if (dirStats) {
+          const inodeKey = getInodeKey(dirStats);
+          if (inodeKey) {
+            traversal.visitedDirs.add(inodeKey);
+          }
+          await walk(entryPath);
+        }
+      }
+    } catch (error) {
+      logger.warn(`读取目录失败，无法统计大小: ${currentPath}`, { error: error.message });
+    }
+  };
   
-  return { totalFiles, movedFiles, skippedFiles, movedFileList };
+  await walk(dirPath);
+  await tasks.wait();
+  return totalSize;
 };
 
 /**
- * 执行清理任务
- * @param {Array<string>} folders - 要清理的文件夹路径数组
- * @param {number} retentionDays - 保留天数
- * @param {boolean} forceDelete - 是否直接删除文件（默认false，即移动到垃圾目录）
- * @returns {Promise<Object>} - 总清理结果统计
+ * 创建配额模式的候选文件选择器
+ * 按文件时间维护最大堆，只保留时间最早、总大小刚好达到需要释放的大小的候选文件，更新的候选文件被挤出，
+ * 内存占用只与需要处理的文件数有关，与文件夹中的文件数量无关
+ * @param {number} excessSize - 需要释放的大小（字节），不大于 0 时不保留任何候选文件
+ * @returns {Object} - 选择器 { add(candidate), take() }，take 返回 { candidates, evicted }，candidates 按时间从旧到新排列，evicted 为被挤出的候选文件数
  */
-const executeCleanup = async (folders, retentionDays, forceDelete = false) => {
-  logger.info('开始执行清理任务', { retentionDays, forceDelete });
+const createQuotaSelector = (excessSize) => {
+  // 堆顶为最新的候选文件
+  const heap = createHeap((a, b) => a.fileTimeMs > b.fileTimeMs);
+  let selectedSize = 0;
+  let evicted = 0;
   
-  if (config.allowedExtensions.includes('*')) {
-    logger.warn('检测到通配符配置（"*"），将处理所有文件类型！', {
-      allowedExtensions: config.allowedExtensions
+  /**
+   * 加入候选文件，去掉最新的候选文件后仍能达到需要释放的大小时将其挤出
+   * @param {Object} candidate - 候选文件 { filePath, stats, fileTimeMs, baseDir }
+   */
+  const add = (candidate) => {
+    heap.push(candidate);
+    selectedSize += candidate.stats.size;
+    while (heap.size() > 0 && selectedSize - heap.peek().stats.size >= excessSize) {
+      selectedSize -= heap.pop().stats.size;
+      evicted++;
+    }
+  };
+  
+  const take = () => ({ candidates: heap.toArray().sort((a, b) => a.fileTimeMs - b.fileTimeMs), evicted });
+  
+  return { add, take };
+};
+
+/**
+ * 按配额清理单个文件夹
+ * 先统计文件夹总大小，再遍历文件夹挑选时间最早、足以使文件夹降到配额以内的候选文件（见 createQuotaSelector），按时间从旧到新处理
+ * 仍然遵守系统保护、包含/排除模式、扩展名、文件大小和文件占用检查，但不检查保留天数
+ * 候选文件按预计的剩余大小并发处理，处理失败的文件会加回预计大小，仍超过配额时重新遍历，从尚未处理的文件中继续挑选
+ * 需要逐个记录文件（onFile 或 collectFiles）时最后再遍历一次，将未处理的候选文件记录为未超过配额，否则只累计数量
+ * @param {string} folderPath - 文件夹路径
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules），maxTotalSize 为配额（字节）
+ * @param {Object} options - 清理选项
+ * @param {string|null} options.runId - 清理运行ID
+ * @param {boolean} options.dryRun - 是否为预演模式（只判断不执行移动或删除）
+ * @param {AbortSignal|null} options.signal - 中止信号，中止后处理完正在处理的文件即停止
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用（见 cleanFolder）
+ * @param {boolean} options.collectFiles - 是否在结果中保存每个文件的记录（见 createFolderResult）
+ * @param {number|null} options.concurrency - 同时进行的文件检查和移动、删除操作数（见 cleanFolder）
+ * @param {Function|null} options.limit - 并发限制器（见 cleanFolder）
+ * @param {Map|null} options.directoryTimes - 记录处理前各子目录修改时间的映射（见 cleanFolder）
+ * @param {Object|null} options.journal - 运行日志（见 journal.js），记录移动和删除的结果
+ * @returns {Promise<Object>} - 清理结果统计，quota 字段为 { path, maxTotalSize, totalSize, finalSize, reclaimedSize }
+ */
+const cleanFolderByQuota = async (folderPath, rules, options = {}) => {
+  const { runId = null, dryRun = false, signal = null, onFile = null, collectFiles = false, journal = null } = options;
+  const { maxTotalSize } = rules;
+  const forceDelete = rules.action === 'delete';
+  const concurrency = resolveConcurrency(options.concurrency, 'concurrency', DEFAULT_CONCURRENCY);
+  const limit = options.limit ?? createLimiter(concurrency);
+  
+  const totalSize = await fs.pathExists(folderPath) ? await getTreeSize(folderPath, rules, limit, concurrency) : 0;
+  // 每次遍历都使用同一份 keepLatest 统计结果
+  const keptFiles = await getKeepLatestFiles(rules, limit, concurrency);
+  // 假设已安排处理的文件都会成功时的文件夹大小
+  let projectedSize = totalSize;
+  let reclaimedSize = 0;
+  let candidateCount = 0;
+  // 已安排处理的候选文件，重新挑选时跳过
+  const attemptedFiles = new Set();
+  let result = null;
+  
+  /**
+   * 记录被跳过的候选文件及原因
+   * @param {string} filePath - 文件路径
+   * @param {string} reason - 跳过原因代码（见 SKIP_REASONS）
+   * @param {string} error - 错误信息（可选）
+   */
+  const skipFile = (filePath, reason, error = null) => {
+    recordSkippedFile(result, { sourcePath: filePath, reason, error }, onFile);
+  };
+  
+  /**
+   * 遍历文件夹挑选候选文件
+   * 收集候选文件时不记录目录检查点，配额模式的文件夹中断后整体重新处理
+   * @param {boolean} firstPass - 是否为第一次遍历：只有第一次遍历统计文件数并记录其他文件的跳过原因
+   * @returns {Promise<Object>} - 挑选结果（见 createQuotaSelector 的 take）
+   */
+  const selectCandidates = async (firstPass) => {
+    const selector = createQuotaSelector(projectedSize - maxTotalSize);
+    const passResult = await cleanFolder(folderPath, rules, null, {
+      ...options,
+      limit,
+      keptFiles,
+      journal: null,
+      onFile: firstPass ? onFile : null,
+      collectFiles: firstPass && collectFiles,
+      onQuotaCandidate: (candidate) => {
+        if (firstPass) {
+          candidateCount++;
+        }
+        if (!attemptedFiles.has(candidate.filePath)) {
+          selector.add(candidate);
+        }
+      }
     });
+    if (firstPass) {
+      result = passResult;
+    }
+    return selector.take();
+  };
+  
+  /**
+   * 处理一个候选文件，未能移走时将其大小加回预计大小
+   * @param {Object} candidate - 候选文件 { filePath, stats, fileTimeMs, baseDir }
+   */
+  const processCandidate = async ({ filePath, stats, fileTimeMs, baseDir }) => {
+    if (signal?.aborted) {
+      return;
+    }
     
-    const criticalPaths = [
-      'c:\\', 'c:\\windows', 'c:\\system32', 'c:\\program files',
-      'c:\\program files (x86)','c:\\programdata',
-      'd:\\', 'e:\\'
-    ];
-    
-    for (const folder of folders) {
-      const folderLower = folder.toLowerCase();
-      for (const criticalPath of criticalPaths) {
-        if (folderLower === criticalPath || folderLower.startsWith(criticalPath + '\\')) {
-          logger.error('安全检查失败：禁止在系统关键路径上执行全文件处理操作！', {
-            folder: folder,
-            criticalPath: criticalPath
-          });
-          throw new Error(`禁止在系统关键路径 ${folder} 上执行全文件处理操作`);
+    if (await isFileInUse(filePath)) {
+      logger.warn(`文件正在使用，跳过处理: ${filePath}`);
+      skipFile(filePath, 'in-use');
+      projectedSize += stats.size;
+      return;
+    }
+    
+    const actionResult = await applyCleanupAction(filePath, stats, forceDelete, baseDir, { runId, dryRun, fileTimeMs, journal });
+    if (actionResult.success) {
+      recordProcessedFile(result, actionResult.fileInfo, onFile);
+      reclaimedSize += stats.size;
+    } else {
+      skipFile(filePath, actionResult.reason, actionResult.error);
+      projectedSize += stats.size;
+    }
+  };
+  
+  let selection = await selectCandidates(true);
+  logger.info(`开始按配额清理文件夹: ${folderPath}`, {
+    totalSize: formatFileSize(totalSize),
+    maxTotalSize: formatFileSize(maxTotalSize),
+    candidates: candidateCount,
+    selected: selection.candidates.length
+  });
+  
+  const tasks = createTaskGroup(limit, concurrency);
+  while (!signal?.aborted) {
+    for (const candidate of selection.candidates) {
+      if (projectedSize <= maxTotalSize || signal?.aborted) {
+        break;
+      }
+      attemptedFiles.add(candidate.filePath);
+      projectedSize -= candidate.stats.size;
+      await tasks.add(() => processCandidate(candidate));
+      // 预计已低于配额时等待已安排的文件处理完，确认是否有文件处理失败
+      if (projectedSize <= maxTotalSize) {
+        await tasks.wait();
+      }
+    }
+    await tasks.wait();
+    // 有文件处理失败、仍超过配额时，从挑选时被挤出的文件中继续挑选
+    if (projectedSize <= maxTotalSize || selection.evicted === 0 || signal?.aborted) {
+      break;
+    }
+    selection = await selectCandidates(false);
+  }
+  
+  if (signal?.aborted) {
+    logger.warn(`清理已中止，停止按配额清理文件夹: ${folderPath}`);
+  } else if (onFile || collectFiles) {
+    await cleanFolder(folderPath, rules, null, {
+      ...options,
+      limit,
+      keptFiles,
+      journal: null,
+      onFile: null,
+      collectFiles: false,
+      onQuotaCandidate: ({ filePath }) => {
+        if (!attemptedFiles.has(filePath)) {
+          skipFile(filePath, 'within-quota');
+        }
+      }
+    });
+  } else {
+    const withinQuotaFiles = Math.max(candidateCount - attemptedFiles.size, 0);
+    if (withinQuotaFiles > 0) {
+      result.skippedFiles += withinQuotaFiles;
+      result.skipReasons['within-quota'] = withinQuotaFiles;
+    }
+  }
+  
+  const currentSize = totalSize - reclaimedSize;
+  if (currentSize > maxTotalSize) {
+    logger.warn(`已处理所有符合条件的文件，文件夹仍超过配额: ${folderPath}`, {
+      currentSize: formatFileSize(currentSize),
+      maxTotalSize: formatFileSize(maxTotalSize)
+    });
+  }
+  
+  logger.info(`文件夹配额清理完成: ${folderPath}`, {
+    totalSize: formatFileSize(totalSize),
+    finalSize: formatFileSize(currentSize),
+    reclaimedSize: formatFileSize(reclaimedSize),
+    dryRun
+  });
+  
+  result.quota = { path: folderPath, maxTotalSize, totalSize, finalSize: currentSize, reclaimedSize };
+  return result;
+};
+
+/**
+ * 自底向上删除本次清理留下的空目录
+ * 只删除本次运行移走或删除了文件的目录，以及因其被删除而变空的上级目录；之前运行遗留或原本就为空的目录保留，
+ * 遍历时只进入包含这些目录的子树
+ * 从不删除配置文件夹本身，不删除名称受保护、匹配排除模式或超过最大递归深度的目录
+ * 预演模式下不删除任何目录，将 removedFiles 中的文件视为已被移走来判断目录是否会变空
+ * @param {string} dirPath - 要检查的目录路径
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules）
+ * @param {Object} context - 上下文
+ * @param {string} context.baseDir - 配置文件夹路径（用于计算相对路径）
+ * @param {boolean} context.dryRun - 是否为预演模式
+ * @param {Set<string>} context.removedFiles - 本次运行移走或删除（预演模式下为将要移走或删除）的文件路径
+ * @param {Set<string>} context.touchedDirs - 本次运行移走或删除了文件的目录，删除目录时加入其上级目录
+ * @param {Set<string>} context.pruneCandidates - touchedDirs 中的目录及其上级目录，只进入这些目录
+ * @param {Map<string, number>} context.directoryTimes - 处理前各子目录的修改时间
+ * @param {number} context.removedDirs - 已（预演模式下为将要）删除的目录数，删除目录时累加
+ * @param {Array<Object>|null} context.removedDirList - 收集被删除目录的数组，不保存记录时为 null
+ * @param {number} context.rootDev - 配置文件夹所在的设备号（oneFileSystem 时不进入其他文件系统）
+ * @param {number} depth - 当前目录相对于配置文件夹的深度
+ * @returns {Promise<boolean>} - 目录（预演模式下为预计）是否已为空
+ */
+const pruneEmptyDirs = async (dirPath, rules, context, depth = 0) => {
+  const { dryRun, removedFiles } = context;
+  let remainingEntries = 0;
+  
+  try {
+    for await (const { name: entry, dirent } of readDirectoryEntries(dirPath)) {
+      const entryPath = path.resolve(path.join(dirPath, entry));
+      // 不跟随符号链接：指向目录的链接本身也算作目录中的内容
+      if (!dirent.isDirectory()) {
+        if (!(dryRun && removedFiles.has(entryPath))) {
+          remainingEntries++;
         }
+        continue;
+      }
+      if (!(await pruneEmptyDir(entryPath, entry, rules, context, depth))) {
+        remainingEntries++;
       }
     }
+  } catch (error) {
+    logger.warn(`读取目录失败，无法删除空目录: ${dirPath}`, { error: error.message });
+    return false;
+  }
+  
+  return remainingEntries === 0;
+};
+
+/**
+ * 获取删除空目录时需要进入的目录：本次运行处理过文件的目录及其在配置文件夹内的上级目录
+ * @param {string} folderPath - 配置文件夹路径
+ * @param {Set<string>} touchedDirs - 本次运行移走或删除了文件的目录
+ * @returns {Set<string>} - 需要进入的目录（不包含配置文件夹本身）
+ */
+const getPruneCandidates = (folderPath, touchedDirs) => {
+  const rootPath = path.resolve(folderPath);
+  const candidates = new Set();
+  for (const touchedDir of touchedDirs) {
+    let dirPath = path.resolve(touchedDir);
+    const relativePath = path.relative(rootPath, dirPath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      continue;
+    }
+    while (dirPath !== rootPath && !candidates.has(dirPath)) {
+      candidates.add(dirPath);
+      dirPath = path.dirname(dirPath);
+    }
+  }
+  return candidates;
+};
+
+/**
+ * 检查 pruneEmptyDirs 遍历到的子目录，子目录（预演模式下为预计）为空且可以删除时删除它
+ * @param {string} entryPath - 子目录路径
+ * @param {string} entry - 子目录名称
+ * @param {Object} rules - 文件夹清理规则（见 resolveFolderRules）
+ * @param {Object} context - 上下文（见 pruneEmptyDirs）
+ * @param {number} depth - 上级目录相对于配置文件夹的深度
+ * @returns {Promise<boolean>} - 子目录是否已（预演模式下为预计）被删除
+ */
+const pruneEmptyDir = async (entryPath, entry, rules, context, depth) => {
+  const { baseDir, dryRun, directoryTimes, removedDirList, rootDev, touchedDirs, pruneCandidates } = context;
+  // 子树中没有本次运行处理过文件的目录，其中的空目录都不是本次清理留下的
+  if (!pruneCandidates.has(entryPath)) {
+    return false;
+  }
+  const minAgeMs = rules.pruneMinAgeDays * DAY_MS;
+  let stats;
+  try {
+    stats = await fs.promises.lstat(entryPath);
+  } catch (error) {
+    return false;
+  }
+  
+  const relativePath = path.relative(baseDir, entryPath);
+  if (!stats.isDirectory() || isProtectedFile(entry) || rules.isExcluded(relativePath, true)
+    || (rules.maxDepth !== null && depth >= rules.maxDepth)
+    || (rules.oneFileSystem && stats.dev !== rootDev)
+    || rules.isProtectedPath(resolveRealPath(entryPath))) {
+    return false;
+  }
+  
+  if (!(await pruneEmptyDirs(entryPath, rules, context, depth + 1)) || !touchedDirs.has(entryPath)) {
+    return false;
+  }
+  
+  // 按处理前的修改时间判断目录年龄，没有记录的目录视为本次运行中新出现的目录
+  const dirTimeMs = directoryTimes.get(entryPath) ?? Date.now();
+  if (Date.now() - dirTimeMs < minAgeMs) {
+    logger.info(`空目录未达到最小年龄，保留: ${entryPath}`, { pruneMinAgeDays: rules.pruneMinAgeDays });
+    return false;
+  }
+  
+  if (dryRun) {
+    logger.info(`[预演] 空目录将被删除: ${entryPath}`);
+    context.removedDirs++;
+    removedDirList?.push({ path: entryPath });
+    touchedDirs.add(path.dirname(entryPath));
+    return true;
+  }
+  
+  try {
+    await fs.promises.rmdir(entryPath);
+    logger.info(`已删除空目录: ${entryPath}`);
+    context.removedDirs++;
+    removedDirList?.push({ path: entryPath });
+    touchedDirs.add(path.dirname(entryPath));
+    return true;
+  } catch (error) {
+    logger.warn(`删除空目录失败: ${entryPath}`, { error: error.message });
+    return false;
+  }
+};
+
+/**
+ * 执行清理任务
+ * @param {Array<string|Object>} folders - 要清理的文件夹配置项数组（路径字符串或规则对象）
+ * @param {number|null} retentionDays - 命令行指定的保留天数（为 null 时使用文件夹或全局配置）
+ * @param {boolean} forceDelete - 是否直接删除文件（默认false，即按文件夹配置的动作处理）
+ * @param {Object} options - 清理选项
+ * @param {boolean} options.dryRun - 是否为预演模式（只判断不执行移动或删除）
+ * @param {number|null} options.minSize - 命令行指定的最小文件大小（字节，覆盖配置）
+ * @param {number|null} options.maxSize - 命令行指定的最大文件大小（字节，覆盖配置）
+ * @param {number|null} options.maxTotalSize - 命令行指定的文件夹配额（字节，覆盖配置，对所有文件夹启用配额模式）
+ * @param {boolean} options.pruneEmptyDirs - 命令行是否指定了删除清理后留下的空目录
+ * @param {AbortSignal|null} options.signal - 中止信号（如守护进程收到 SIGTERM），中止后处理完当前文件即停止，结果中 aborted 为 true
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用 onFile(file)，file 为结果中 movedFilesList 或 skippedFilesList 的记录（带有所属的 folder）
+ * @param {boolean} options.collectFiles - 是否在结果中保存每个文件和删除的空目录的记录（生成运行报告或预演列表时使用），
+ *   默认只统计数量，movedFilesList、skippedFilesList 和 removedDirsList 为 null，文件记录只通过 onFile 逐个传出
+ * @param {number|null} options.concurrency - 同时进行的文件检查和移动、删除操作数，所有文件夹共用（默认读取配置中的 concurrency）
+ * @param {number|null} options.parallelFolders - 同时清理的配置文件夹数（默认读取配置中的 parallelFolders）
+ * @param {string|null} options.resume - 要继续的中断运行的运行ID：沿用该运行ID，跳过已记录检查点的文件夹和目录
+ *   （调用方应传入与中断的运行相同的文件夹和参数，见 journal.js 中的 findInterruptedRun）
+ * @returns {Promise<Object>} - 总清理结果统计（各文件夹的结果按配置顺序汇总，movedFiles 包含直接删除的文件，skipReasons 为各跳过原因的文件数）
+ */
+const executeCleanup = async (folders, retentionDays = null, forceDelete = false, options = {}) => {
+  const { dryRun = false, minSize = null, maxSize = null, maxTotalSize = null, pruneEmptyDirs: pruneDirs = false, signal = null, onFile = null, collectFiles = false, resume = null } = options;
+  const concurrency = resolveConcurrency(options.concurrency, 'concurrency', DEFAULT_CONCURRENCY);
+  const parallelFolders = resolveConcurrency(options.parallelFolders, 'parallelFolders', DEFAULT_PARALLEL_FOLDERS);
+  if (resume !== null && dryRun) {
+    const error = new Error('预演模式不能继续中断的运行');
+    error.code = 'INVALID_ARGUMENT';
+    throw error;
+  }
+  const runId = resume ?? generateRunId();
+  const startedAt = new Date().toISOString();
+  logger.info('开始执行清理任务', {
+    runId,
+    retentionDays,
+    forceDelete,
+    dryRun,
+    minSize,
+    maxSize,
+    maxTotalSize,
+    pruneEmptyDirs: pruneDirs,
+    concurrency,
+    parallelFolders,
+    resume
+  });
+  
+  const folderRulesList = folders.map(entry => resolveFolderRules(entry, {
+    retentionDays,
+    forceDelete,
+    minSize,
+    maxSize,
+    maxTotalSize,
+    pruneEmptyDirs: pruneDirs
+  }));
+  
+  for (const rules of folderRulesList) {
+    // 按真实路径检查系统关键路径和 protectedPaths，禁止清理受保护的文件夹
+    const unsafeReason = checkFolderSafety(rules.path, getConfig().protectedPaths ?? []);
+    if (unsafeReason) {
+      logger.error('安全检查失败：禁止在受保护的路径上执行清理操作！', {
+        folder: rules.path,
+        reason: unsafeReason
+      });
+      const error = new Error(`禁止在受保护的路径上执行清理操作: ${unsafeReason}`);
+      error.code = 'UNSAFE_PATH';
+      throw error;
+    }
     
-    if (retentionDays === 0) {
+    if (!rules.allowedExtensions.includes('*')) {
+      continue;
+    }
+    
+    logger.warn('检测到通配符配置（"*"），将处理所有文件类型！', {
+      folder: rules.path,
+      allowedExtensions: rules.allowedExtensions
+    });
+    
+    if (rules.retentionDays === 0 && rules.maxTotalSize === null) {
       logger.warn('警告：保留天数设置为0，将处理所有符合条件的文件！', {
+        folder: rules.path,
         retentionDays: 0
       });
     }
   }
   
+  // 先核对之前中断的运行留下的未完成的移动，再开始（或继续）本次运行；预演模式不改动文件系统，也不记录运行日志
+  const reconciledMoves = dryRun ? [] : await reconcileInterruptedRuns();
+  const parameters = { retentionDays, forceDelete, minSize, maxSize, maxTotalSize, pruneEmptyDirs: pruneDirs };
+  let journal = null;
+  if (resume !== null) {
+    journal = await resumeRunJournal(resume);
+  } else if (!dryRun) {
+    journal = createRunJournal({ runId, profile: getActiveProfile(), folders: folderRulesList.map(rules => rules.path), parameters });
+  }
+  
+  // 所有文件夹共用一个限制器，同时清理多个文件夹时文件操作总数仍不超过 concurrency
+  const limit = createLimiter(concurrency);
+  const folderLimit = createLimiter(parallelFolders);
+  
+  const cleanConfiguredFolder = async (rules) => {
+    if (signal?.aborted) {
+      return null;
+    }
+    if (journal?.isFolderDone(rules.path)) {
+      logger.info(`文件夹已在中断的运行中处理完成，跳过: ${rules.path}`, { runId });
+      return null;
+    }
+    const directoryTimes = new Map();
+    // 删除空目录时只处理本次运行移走或删除了文件的目录；预演模式下还需要知道哪些文件将被移走才能判断目录是否会变空
+    const touchedDirs = rules.pruneEmptyDirs ? new Set() : null;
+    const removedFiles = dryRun && rules.pruneEmptyDirs ? new Set() : null;
+    const onFolderFile = (onFile || touchedDirs) && ((file) => {
+      if (touchedDirs && file.reason === undefined) {
+        touchedDirs.add(path.dirname(path.resolve(file.sourcePath)));
+        removedFiles?.add(file.sourcePath);
+      }
+      onFile?.({ ...file, folder: rules.path });
+    });
+    const folderOptions = { runId, dryRun, signal, onFile: onFolderFile, collectFiles, directoryTimes, concurrency, limit, journal };
+    const result = rules.maxTotalSize !== null
+      ? await cleanFolderByQuota(rules.path, rules, folderOptions)
+      : await cleanFolder(rules.path, rules, null, folderOptions);
+    // 中止时文件夹只处理了一部分，不删除空目录
+    if (rules.pruneEmptyDirs && !signal?.aborted && await fs.pathExists(rules.path)) {
+      const pruneContext = {
+        baseDir: rules.path,
+        dryRun,
+        removedFiles: removedFiles ?? new Set(),
+        touchedDirs,
+        pruneCandidates: getPruneCandidates(rules.path, touchedDirs),
+        directoryTimes,
+        removedDirs: 0,
+        removedDirList: collectFiles ? [] : null,
+        rootDev: (await fs.stat(rules.path)).dev
+      };
+      await pruneEmptyDirs(rules.path, rules, pruneContext);
+      logger.info(`空目录清理完成: ${rules.path}`, { removedDirs: pruneContext.removedDirs, dryRun });
+      result.removedDirs = pruneContext.removedDirs;
+      result.removedDirList = pruneContext.removedDirList;
+    }
+    if (!signal?.aborted) {
+      journal?.recordFolder(rules.path);
+    }
+    return result;
+  };
+  
+  let folderOutcomes = null;
+  try {
+    folderOutcomes = await Promise.all(folderRulesList.map(rules => folderLimit(() => cleanConfiguredFolder(rules))));
+  } finally {
+    // 中止或出错时保留运行日志，可使用 --resume 继续
+    journal?.close(folderOutcomes !== null && !signal?.aborted);
+  }
+  
   let totalTotalFiles = 0;
   let totalMovedFiles = 0;
+  let totalDeletedFiles = 0;
   let totalSkippedFiles = 0;
-  const allMovedFiles = [];
+  let reclaimedSize = 0;
+  let removedDirs = 0;
+  const skipReasons = {};
+  const allMovedFiles = collectFiles ? [] : null;
+  const allSkippedFiles = collectFiles ? [] : null;
+  const allRemovedDirs = collectFiles ? [] : null;
+  const quotaList = [];
+  const folderResults = [];
   
-  for (const folder of folders) {
-    const result = await cleanFolder(folder, retentionDays, null, forceDelete);
+  folderRulesList.forEach((rules, index) => {
+    const result = folderOutcomes[index];
+    if (!result) {
+      return;
+    }
+    if (result.quota) {
+      quotaList.push(result.quota);
+    }
     totalTotalFiles += result.totalFiles;
     totalMovedFiles += result.movedFiles;
+    totalDeletedFiles += result.deletedFiles;
     totalSkippedFiles += result.skippedFiles;
-    allMovedFiles.push(...result.movedFileList);
-  }
+    reclaimedSize += result.reclaimedSize;
+    removedDirs += result.removedDirs ?? 0;
+    Object.entries(result.skipReasons).forEach(([reason, count]) => {
+      skipReasons[reason] = (skipReasons[reason] ?? 0) + count;
+    });
+    // 为每条记录标注所属的配置文件夹，便于生成运行报告（逐条添加，避免大量记录展开为参数时栈溢出）
+    result.movedFileList?.forEach(file => allMovedFiles.push({ ...file, folder: rules.path }));
+    result.skippedFileList?.forEach(file => allSkippedFiles.push({ ...file, folder: rules.path }));
+    result.removedDirList?.forEach(dir => allRemovedDirs.push({ ...dir, folder: rules.path }));
+    
+    folderResults.push({
+      path: rules.path,
+      action: rules.action,
+      retentionDays: rules.maxTotalSize === null ? rules.retentionDays : null,
+      maxTotalSize: rules.maxTotalSize,
+      totalFiles: result.totalFiles,
+      movedFiles: result.movedFiles - result.deletedFiles,
+      deletedFiles: result.deletedFiles,
+      skippedFiles: result.skippedFiles,
+      reclaimedSize: result.reclaimedSize,
+      removedDirs: result.removedDirs ?? 0
+    });
+  });
   
   logger.info('清理任务执行完成', {
+    runId,
     totalFiles: totalTotalFiles,
     movedFiles: totalMovedFiles,
     skippedFiles: totalSkippedFiles,
+    reclaimedSize: formatFileSize(reclaimedSize),
+    removedDirs,
     retentionDays,
-    forceDelete
+    forceDelete,
+    dryRun,
+    aborted: signal?.aborted ?? false,
+    resumed: Boolean(journal?.previous)
   });
   
   return {
+    runId,
+    dryRun,
+    aborted: signal?.aborted ?? false,
+    resumed: journal?.previous ?? null,
+    reconciledMoves,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    parameters: {
+      ...parameters,
+      concurrency,
+      parallelFolders
+    },
+    folderResults,
     totalFiles: totalTotalFiles,
     movedFiles: totalMovedFiles,
+    deletedFiles: totalDeletedFiles,
     skippedFiles: totalSkippedFiles,
-    movedFilesList: allMovedFiles
+    skipReasons,
+    movedFilesList: allMovedFiles,
+    skippedFilesList: allSkippedFiles,
+    reclaimedSize,
+    quotaList,
+    removedDirs,
+    removedDirsList: allRemovedDirs
   };
 }
 
 
-export { executeCleanup, isExpired, moveFile, cleanFolder };
-
+export {
+  SKIP_REASONS,
+  executeCleanup,
+  resolveFolderRules,
+  isExpired,
+  moveFile,
+  cleanFolder,
+  cleanEntry,
+  cleanFolderByQuota
+};
@@ -0,0 +1,390 @@
+/**
+ * 配置文件模块
+ * 查找并加载配置文件，所有模块共享同一个已加载的配置对象
+ * 配置文件的查找顺序：
+ * 1. --config 参数指定的路径（通过 setConfigPath 设置）
+ * 2. FILE_CLEANUP_CONFIG 环境变量指定的路径
+ * 3. 当前目录下的 .file-cleanup.yaml
+ * 4. 用户配置目录下的 file-cleanup/config.yaml（$XDG_CONFIG_HOME 或 ~/.config）
+ * 5. 安装目录中自带的默认配置 config.yaml（只读，首次修改配置时复制到用户配置目录）
+ * 配置文件可在 profiles 中定义多个配置方案，选择配置方案后 getConfig 返回该方案与全局配置合并后的结果
+ * 修改配置时通过 editConfig 只改动目标配置项，保留注释和格式，原子地写入并保留修改前的 .bak 文件
+ * 程序接口（index.js）通过 runWithConfig 在独立的配置作用域中运行，作用域内读取的是传入的配置对象，不读取配置文件
+ * 用户配置目录只存放配置文件：未配置位置时，回收站位于用户数据目录（$XDG_DATA_HOME 或 ~/.local/share），
+ * 日志等运行状态位于用户状态目录（$XDG_STATE_HOME 或 ~/.local/state）
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { expandHome, writeFileAtomic } from './utils.js';
+import { parseYamlDocument } from './yamlEditor.js';
+
+/**
+ * 获取当前模块的目录路径
+ * @returns {string} - 当前模块的目录路径
+ */
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// 安装目录中自带的默认配置文件
+const BUNDLED_CONFIG_FILE = path.join(__dirname, 'config.yaml');
+
+// 指定配置文件路径的环境变量
+const CONFIG_ENV_VAR = 'FILE_CLEANUP_CONFIG';
+
+// 当前目录下的项目配置文件名称
+const LOCAL_CONFIG_FILE_NAME = '.file-cleanup.yaml';
+
+// 用户数据目录和状态目录对应的环境变量与默认位置（相对于主目录）
+const USER_DIRECTORIES = {
+  data: { envVar: 'XDG_DATA_HOME', defaultPath: path.join('.local', 'share') },
+  state: { envVar: 'XDG_STATE_HOME', defaultPath: path.join('.local', 'state') }
+};
+
+// 配置方案名称的格式
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// 配置方案中与全局配置合并（而不是覆盖）的列表项，配置方案只能增加保护项
+const PROFILE_MERGED_LIST_KEYS = ['protectedFiles', 'protectedPaths'];
+
+// --config 参数指定的配置文件路径
+let explicitConfigPath = null;
+
+// 已确定的配置文件 { filePath, source }
+let resolvedConfigFile = null;
+
+// 已加载的配置文件内容
+let cachedRawConfig = null;
+
+// 当前选择的配置方案名称，null 表示使用顶层的 folders
+let activeProfile = null;
+
+// 当前配置方案合并后的配置 { rawConfig, profileName, config }，避免每次读取配置时重复合并
+let cachedProfileConfig = null;
+
+// 配置作用域 { config, filePath, baseDir, profile }，见 runWithConfig
+const configScope = new AsyncLocalStorage();
+
+/**
+ * 获取用户配置目录下的配置文件路径
+ * @returns {string} - 配置文件路径
+ */
+const getUserConfigFile = () => {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'file-cleanup', 'config.yaml');
+};
+
+/**
+ * 按查找顺序确定配置文件
+ * 使用安装目录中的默认配置时，返回的路径为用户配置目录下的配置文件（修改配置时写入该文件）
+ * @returns {Object} - { filePath: 配置文件路径, source: option | env | local | user | default }
+ */
+const resolveConfigFile = () => {
+  if (explicitConfigPath) {
+    return { filePath: explicitConfigPath, source: 'option' };
+  }
+
+  const envPath = process.env[CONFIG_ENV_VAR];
+  if (envPath && envPath.trim() !== '') {
+    return { filePath: path.resolve(expandHome(envPath.trim())), source: 'env' };
+  }
+
+  const localFile = path.resolve(LOCAL_CONFIG_FILE_NAME);
+  if (fs.existsSync(localFile)) {
+    return { filePath: localFile, source: 'local' };
+  }
+
+  const userFile = getUserConfigFile();
+  return { filePath: userFile, source: fs.existsSync(userFile) ? 'user' : 'default' };
+};
+
+/**
+ * 指定配置文件路径（对应 --config 参数），需要在加载配置之前调用
+ * @param {string} filePath - 配置文件路径（支持相对路径和 ~）
+ */
+const setConfigPath = (filePath) => {
+  explicitConfigPath = path.resolve(expandHome(filePath));
+  resolvedConfigFile = null;
+  cachedRawConfig = null;
+};
+
+/**
+ * 获取当前使用的配置文件路径（读取和保存配置都使用该路径）
+ * @returns {string} - 配置文件的绝对路径
+ */
+const getConfigPath = () => {
+  const scope = configScope.getStore();
+  if (scope) {
+    return scope.filePath;
+  }
+  resolvedConfigFile = resolvedConfigFile ?? resolveConfigFile();
+  return resolvedConfigFile.filePath;
+};
+
+/**
+ * 获取配置文件的来源
+ * @returns {string} - option（--config 参数）、env（环境变量）、local（当前目录）、user（用户配置目录）或 default（默认配置）
+ */
+const getConfigSource = () => {
+  resolvedConfigFile = resolvedConfigFile ?? resolveConfigFile();
+  return resolvedConfigFile.source;
+};
+
+/**
+ * 读取配置文件的原始内容
+ * 配置文件尚不存在时读取安装目录中的默认配置
+ * @returns {string|null} - 配置文件内容，默认配置也不存在时返回 null
+ */
+const readConfigText = () => {
+  const configPath = getConfigPath();
+  if (fs.existsSync(configPath)) {
+    return fs.readFileSync(configPath, 'utf8');
+  }
+  if (fs.existsSync(BUNDLED_CONFIG_FILE)) {
+    return fs.readFileSync(BUNDLED_CONFIG_FILE, 'utf8');
+  }
+  return null;
+};
+
+/**
+ * 将内容写入当前使用的配置文件（目录不存在时自动创建），并使已加载的配置失效
+ * 先写入临时文件再重命名，修改前的配置文件保留为 <配置文件>.bak
+ * @param {string} content - 配置文件内容
+ */
+const writeConfigText = (content) => {
+  writeFileAtomic(getConfigPath(), content, { backup: true });
+  cachedRawConfig = null;
+};
+
+/**
+ * 修改配置文件中的配置项并保存，注释和其他配置项保持不变
+ * 配置文件尚不存在时基于安装目录中的默认配置修改
+ * @param {Function} edit - 修改函数 (document) => void，document 为 yamlEditor.js 中 parseYamlDocument 创建的文档
+ */
+const editConfig = (edit) => {
+  const document = parseYamlDocument(readConfigText() ?? '');
+  edit(document);
+  writeConfigText(document.toString());
+};
+
+/**
+ * 获取配置文件的完整内容（不合并配置方案，首次调用时加载）
+ * @returns {Object} - 配置对象
+ */
+const getRawConfig = () => {
+  const scope = configScope.getStore();
+  if (scope) {
+    return scope.config;
+  }
+  if (cachedRawConfig) {
+    return cachedRawConfig;
+  }
+
+  const content = readConfigText();
+  try {
+    cachedRawConfig = (content === null ? {} : yaml.load(content)) || {};
+  } catch (error) {
+    throw new Error(`加载配置文件失败: ${getConfigPath()}: ${error.message}`);
+  }
+  return cachedRawConfig;
+};
+
+/**
+ * 使已加载的配置失效，下次读取配置时重新加载配置文件（守护进程每次运行前调用，以使用最新的配置）
+ */
+const reloadConfig = () => {
+  cachedRawConfig = null;
+};
+
+/**
+ * 获取配置文件中定义的配置方案名称
+ * @returns {Array<string>} - 配置方案名称列表
+ */
+const getProfileNames = () => {
+  const { profiles } = getRawConfig();
+  return profiles && typeof profiles === 'object' && !Array.isArray(profiles) ? Object.keys(profiles) : [];
+};
+
+/**
+ * 选择配置方案，之后 getConfig 返回该方案与全局配置合并后的结果
+ * @param {string|null} profileName - 配置方案名称，null 表示使用顶层的 folders
+ */
+const setActiveProfile = (profileName) => {
+  if (profileName !== null && !PROFILE_NAME_PATTERN.test(profileName)) {
+    throw new Error(`配置方案名称只能包含字母、数字、下划线、点和连字符: ${profileName}`);
+  }
+  activeProfile = profileName;
+};
+
+/**
+ * 获取当前选择的配置方案名称
+ * @returns {string|null} - 配置方案名称，未选择时返回 null
+ */
+const getActiveProfile = () => {
+  const scope = configScope.getStore();
+  return scope ? scope.profile : activeProfile;
+};
+
+/**
+ * 将配置方案与全局配置合并
+ * - 配置方案中的设置覆盖同名的全局设置，folders 只使用配置方案自己的列表
+ * - protectedFiles、protectedPaths 与全局列表合并
+ * - moveConfig 按字段合并，未设置 targetDirectory 时与全局共用回收站
+ * - logConfig 始终使用全局设置
+ * @param {Object} config - 配置文件的完整内容
+ * @param {string} profileName - 配置方案名称
+ * @returns {Object} - 合并后的配置对象
+ */
+const buildProfileConfig = (config, profileName) => {
+  const { profiles, folders, ...globalConfig } = config;
+  const profile = profiles?.[profileName] || {};
+  const merged = {
+    ...globalConfig,
+    ...profile,
+    moveConfig: { ...globalConfig.moveConfig, ...profile.moveConfig },
+    logConfig: globalConfig.logConfig,
+    folders: profile.folders || []
+  };
+  PROFILE_MERGED_LIST_KEYS.forEach((key) => {
+    merged[key] = [...(globalConfig[key] ?? []), ...(profile[key] ?? [])];
+  });
+  return merged;
+};
+
+/**
+ * 获取当前生效的配置对象
+ * 选择了配置方案时返回该方案与全局配置合并后的结果（配置方案尚不存在时只有全局设置，folders 为空）
+ * @returns {Object} - 配置对象
+ */
+const getConfig = () => {
+  const rawConfig = getRawConfig();
+  const profileName = getActiveProfile();
+  if (profileName === null) {
+    return rawConfig;
+  }
+  const scope = configScope.getStore();
+  if (scope) {
+    scope.profileConfig = scope.profileConfig ?? buildProfileConfig(rawConfig, profileName);
+    return scope.profileConfig;
+  }
+  if (cachedProfileConfig?.rawConfig !== rawConfig || cachedProfileConfig.profileName !== profileName) {
+    cachedProfileConfig = { rawConfig, profileName, config: buildProfileConfig(rawConfig, profileName) };
+  }
+  return cachedProfileConfig.config;
+};
+
+/**
+ * 将配置中的相对路径解析为绝对路径（相对于配置文件所在目录，配置作用域中相对于作用域的 baseDir）
+ * @param {string} targetPath - 配置中的路径（支持 ~）
+ * @returns {string} - 绝对路径
+ */
+const resolveConfigRelativePath = (targetPath) => {
+  const scope = configScope.getStore();
+  return path.resolve(scope ? scope.baseDir : path.dirname(getConfigPath()), expandHome(targetPath));
+};
+
+/**
+ * 获取用户数据目录或用户状态目录下 file-cleanup 目录中的路径
+ * @param {'data'|'state'} kind - 目录类型
+ * @param {string} relativePath - 相对于该目录的路径
+ * @returns {string} - 绝对路径
+ */
+const getUserDirectoryPath = (kind, relativePath) => {
+  const { envVar, defaultPath } = USER_DIRECTORIES[kind];
+  const baseDir = process.env[envVar] || path.join(os.homedir(), defaultPath);
+  return path.join(baseDir, 'file-cleanup', relativePath);
+};
+
+/**
+ * 获取未在配置中指定位置的文件的默认路径
+ * 位于用户数据目录（data，如回收站）或用户状态目录（state，如日志）下的 file-cleanup 目录中，配置作用域中位于作用域的 baseDir
+ * @param {'data'|'state'} kind - 目录类型
+ * @param {string} relativePath - 相对于该目录的路径
+ * @returns {string} - 绝对路径
+ */
+const getDefaultPath = (kind, relativePath) => {
+  const scope = configScope.getStore();
+  if (scope) {
+    return path.resolve(scope.baseDir, relativePath);
+  }
+  return getUserDirectoryPath(kind, relativePath);
+};
+
+/**
+ * 获取当前配置文件的运行状态目录（守护进程的进程ID和运行状态、运行日志等）
+ * 用户配置目录中的配置文件直接使用用户状态目录下的 file-cleanup 目录，
+ * 其他配置文件使用其中按配置文件路径区分的 configs/<名称>_<哈希> 子目录，使用不同配置文件的进程互不影响
+ * 配置作用域中同样位于用户状态目录，按作用域的 filePath 区分，不依赖回收站等配置中的路径
+ * @returns {string} - 状态目录的绝对路径
+ */
+const getStateDirectory = () => {
+  const configPath = getConfigPath();
+  if (configPath === getUserConfigFile()) {
+    return getUserDirectoryPath('state', '.');
+  }
+  const hashSource = process.platform === 'win32' ? configPath.toLowerCase() : configPath;
+  const hash = crypto.createHash('md5').update(hashSource).digest('hex').slice(0, 8);
+  const name = path.basename(configPath, path.extname(configPath)).replace(/^\.+/, '') || 'config';
+  return getUserDirectoryPath('state', path.join('configs', `${name}_${hash}`));
+};
+
+/**
+ * 在配置作用域中执行函数：函数（包括其中的异步操作）读取的配置为传入的配置对象，不读取配置文件，
+ * 也不受 setConfigPath、setActiveProfile 的影响，同一进程中可以同时存在多个作用域
+ * @param {Object} scope - 配置作用域
+ * @param {Object} scope.config - 配置对象（与配置文件的结构相同）
+ * @param {string} scope.baseDir - 解析配置中相对路径（如回收站目录、日志文件）的目录
+ * @param {string|null} scope.filePath - 配置来源的文件路径（只用于日志），未指定时为 baseDir 下的 .file-cleanup.yaml
+ * @param {string|null} scope.profile - 使用的配置方案名称，null 表示使用顶层的 folders
+ * @param {string|null} [scope.journalDirectory] - 运行日志目录（相对路径相对于 baseDir），null 表示不记录运行日志，未指定时使用运行状态目录中的 journal 目录（见 journal.js）
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} - 函数的返回值
+ */
+const runWithConfig = ({ config, baseDir, filePath = null, profile = null, journalDirectory = undefined }, fn) => {
+  if (profile !== null && !PROFILE_NAME_PATTERN.test(profile)) {
+    throw new Error(`配置方案名称只能包含字母、数字、下划线、点和连字符: ${profile}`);
+  }
+  const scope = {
+    config: config ?? {},
+    baseDir: path.resolve(baseDir),
+    filePath: filePath ?? path.resolve(baseDir, LOCAL_CONFIG_FILE_NAME),
+    profile,
+    profileConfig: null,
+    journalDirectory: typeof journalDirectory === 'string' ? path.resolve(baseDir, expandHome(journalDirectory)) : journalDirectory
+  };
+  return configScope.run(scope, fn);
+};
+
+/**
+ * 获取当前的配置作用域（见 runWithConfig）
+ * @returns {Object|null} - 配置作用域，不在配置作用域中时返回 null
+ */
+const getConfigScope = () => configScope.getStore() ?? null;
+
+export {
+  BUNDLED_CONFIG_FILE,
+  CONFIG_ENV_VAR,
+  LOCAL_CONFIG_FILE_NAME,
+  PROFILE_NAME_PATTERN,
+  setConfigPath,
+  getConfigPath,
+  getConfigSource,
+  readConfigText,
+  writeConfigText,
+  editConfig,
+  getRawConfig,
+  reloadConfig,
+  getProfileNames,
+  setActiveProfile,
+  getActiveProfile,
+  getConfig,
+  resolveConfigRelativePath,
+  getDefaultPath,
+  getStateDirectory,
+  runWithConfig,
+  getConfigScope
+};
@@ -5,18 +5,154 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
 import logger from './logger.js';
+import { getConfig, getConfigPath, getActiveProfile, editConfig } from './config.js';
+import { compilePattern } from './pathMatcher.js';
+import { parseSize } from './utils.js';
+import { AGE_BASES, compileFilenameDatePattern } from './fileAge.js';
+import { checkFolderSafety } from './pathGuard.js';
+
+// 文件夹可单独配置的规则项
+const FOLDER_RULE_KEYS = ['retentionDays', 'allowedExtensions', 'include', 'exclude', 'maxDepth', 'minSize', 'maxSize', 'maxTotalSize', 'keepLatest', 'ageBasis', 'filenameDatePattern', 'pruneEmptyDirs', 'pruneMinAgeDays', 'followSymlinks', 'oneFileSystem', 'action'];
+
+// 文件夹清理动作：trash 移动到回收站，delete 直接删除
+const FOLDER_ACTIONS = ['trash', 'delete'];
+
+/**
+ * 获取文件夹配置项的路径
+ * 文件夹配置项可以是路径字符串，也可以是包含 path 字段的规则对象
+ * @param {string|Object} entry - 文件夹配置项
+ * @returns {string} - 文件夹路径
+ */
+const getFolderPath = (entry) => (typeof entry === 'string' ? entry : entry?.path);
 
 /**
- * 获取当前模块的目录路径
- * @returns {string} - 当前模块的目录路径
+ * 获取文件夹配置项中单独配置的规则
+ * @param {string|Object} entry - 文件夹配置项
+ * @returns {Object} - 规则对象（不含 path），字符串配置项返回空对象
  */
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const getFolderRules = (entry) => {
+  if (!entry || typeof entry === 'string') {
+    return {};
+  }
+  const rules = {};
+  for (const key of FOLDER_RULE_KEYS) {
+    if (entry[key] !== undefined && entry[key] !== null) {
+      rules[key] = entry[key];
+    }
+  }
+  return rules;
+};
 
-// 配置文件路径
-const CONFIG_FILE = path.join(__dirname, 'config.yaml');
+/**
+ * 验证文件夹规则
+ * @param {Object} rules - 规则对象
+ * @returns {string|null} - 错误信息，验证通过时返回 null
+ */
+const validateFolderRules = (rules) => {
+  for (const [key, value] of Object.entries(rules)) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    switch (key) {
+      case 'retentionDays':
+      case 'maxDepth':
+      case 'pruneMinAgeDays':
+        if (!Number.isInteger(value) || value < 0) {
+          return `${key} 必须是一个非负整数`;
+        }
+        break;
+      case 'allowedExtensions':
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+          return `${key} 必须是一个非空字符串列表`;
+        }
+        break;
+      case 'include':
+      case 'exclude':
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+          return `${key} 必须是一个非空字符串列表`;
+        }
+        try {
+          value.forEach(compilePattern);
+        } catch (error) {
+          return `${key} 包含无效的模式: ${error.message}`;
+        }
+        break;
+      case 'minSize':
+      case 'maxSize':
+      case 'maxTotalSize':
+        if (parseSize(value) === null) {
+          return `${key} 格式无效（示例: 0、500KB、1.5GB）`;
+        }
+        break;
+      case 'keepLatest': {
+        if (Number.isInteger(value) && value >= 0) {
+          break;
+        }
+        const groups = Array.isArray(value) ? value : null;
+        if (!groups || groups.some(group => !group || typeof group.pattern !== 'string' || group.pattern.trim() === ''
+          || !Number.isInteger(group.count) || group.count < 0)) {
+          return 'keepLatest 必须是非负整数或 { pattern, count } 列表';
+        }
+        try {
+          groups.forEach(group => compilePattern(group.pattern));
+        } catch (error) {
+          return `keepLatest 包含无效的模式: ${error.message}`;
+        }
+        break;
+      }
+      case 'pruneEmptyDirs':
+      case 'followSymlinks':
+      case 'oneFileSystem':
+        if (typeof value !== 'boolean') {
+          return `${key} 必须是 true 或 false`;
+        }
+        break;
+      case 'ageBasis':
+        if (!AGE_BASES.includes(value)) {
+          return `ageBasis 必须是 ${AGE_BASES.join('、')} 之一`;
+        }
+        break;
+      case 'filenameDatePattern':
+        try {
+          compileFilenameDatePattern(value);
+        } catch (error) {
+          return error.message;
+        }
+        break;
+      case 'action':
+        if (!FOLDER_ACTIONS.includes(value)) {
+          return `action 必须是 ${FOLDER_ACTIONS.join('、')} 之一`;
+        }
+        break;
+      default:
+        return `未知的文件夹规则: ${key}（支持: ${FOLDER_RULE_KEYS.join('、')}）`;
+    }
+  }
+  return null;
+};
+
+/**
+ * 根据路径和规则构建文件夹配置项
+ * 没有单独规则时保持为路径字符串，兼容旧的配置格式
+ * @param {string} folderPath - 文件夹绝对路径
+ * @param {Object} rules - 规则对象
+ * @returns {string|Object} - 文件夹配置项
+ */
+const buildFolderEntry = (folderPath, rules) => {
+  const activeRules = getFolderRules({ path: folderPath, ...rules });
+  return Object.keys(activeRules).length === 0 ? folderPath : { path: folderPath, ...activeRules };
+};
+
+/**
+ * 在文件夹列表中查找指定路径的位置
+ * @param {Array<string|Object>} folders - 文件夹配置项列表
+ * @param {string} folderPath - 文件夹绝对路径
+ * @returns {number} - 位置索引，不存在时返回 -1
+ */
+const findFolderIndex = (folders, folderPath) => {
+  return folders.findIndex(entry => getFolderPath(entry) === folderPath);
+};
 
 /**
  * 验证文件夹路径是否有效
@@ -107,32 +243,26 @@ const validateFolderPath = (folderPath) => {
  */
 const loadFullConfig = () => {
   try {
-    if (fs.existsSync(CONFIG_FILE)) {
-      const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-      const config = yaml.load(data);
-      logger.info(`成功加载配置文件: ${CONFIG_FILE}`);
-      return config || {};
-    } else {
-      logger.info(`配置文件不存在，返回空对象: ${CONFIG_FILE}`);
-      return {};
-    }
+    const config = getConfig();
+    logger.info(`成功加载配置文件: ${getConfigPath()}`);
+    return config;
   } catch (error) {
-    logger.error(`加载配置文件失败: ${CONFIG_FILE}`, { error: error.message });
+    logger.error(`加载配置文件失败: ${getConfigPath()}`, { error: error.message });
     return {};
   }
 };
 
 /**
  * 加载配置文件中的文件夹列表
- * @returns {Array} - 文件夹路径列表
+ * @returns {Array<string|Object>} - 文件夹配置项列表（路径字符串或规则对象）
  */
 const loadConfig = () => {
   try {
     const config = loadFullConfig();
-    logger.info(`成功加载配置文件: ${CONFIG_FILE}`, { folders: config.folders });
+    logger.info(`成功加载配置文件: ${getConfigPath()}`, { folders: config.folders });
     return config.folders || [];
   } catch (error) {
-    logger.error(`加载配置文件失败: ${CONFIG_FILE}`, { error: error.message });
+    logger.error(`加载配置文件失败: ${getConfigPath()}`, { error: error.message });
     return [];
   }
 };
@@ -206,8 +336,9 @@ const validateRecycleBinPath = (dirPath) => {
 
 /**
  * 更新回收站目录设置
+ * 选择了配置方案时设置该配置方案的 moveConfig.targetDirectory
  * @param {string} dirPath - 目录路径（可以是相对路径或绝对路径）
- * @returns {Object} - 操作结果 { success: boolean, message: string }
+ * @returns {Object} - 操作结果 { success: boolean, code: string, message: string, path: string }
  */
 const updateRecycleBinDir = (dirPath) => {
   try {
@@ -215,258 +346,108 @@ const updateRecycleBinDir = (dirPath) => {
     const validation = validateRecycleBinPath(dirPath);
     if (!validation.valid) {
       logger.warn(`更新回收站目录失败: ${dirPath}`, { error: validation.error });
-      return { success: false, message: `[ERROR] 更新回收站目录失败: ${validation.error}` };
+      return { success: false, code: 'INVALID_PATH', message: `[ERROR] 更新回收站目录失败: ${validation.error}` };
     }
 
-    let yamlContent;
-    
-    if (fs.existsSync(CONFIG_FILE)) {
-      // 读取现有配置文件的原始内容
-      const existingContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-      
-      // 查找 targetDirectory 字段的位置
-      // 匹配包含 targetDirectory: 的行
-      const targetDirMatch = existingContent.match(/targetDirectory:\s*["']?[^"'\n]+["']?/m);
-      
-      if (targetDirMatch) {
-        // 找到 targetDirectory 字段，替换其值
-        const newTargetDirLine = `targetDirectory: "${validation.path.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
-        yamlContent = existingContent.replace(/targetDirectory:\s*["']?[^"'\n]+["']?/m, newTargetDirLine);
-      } else {
-        // 没有找到 targetDirectory 字段，查找 moveConfig 部分
-        const moveConfigMatch = existingContent.match(/moveConfig:\s*$/m);
-        
-        if (moveConfigMatch) {
-          // 找到 moveConfig 部分，在其下方添加 targetDirectory 字段
-          const moveConfigEndIndex = moveConfigMatch.index + moveConfigMatch[0].length;
-          const indentation = moveConfigMatch[0].match(/^\s*/)[0] || '';
-          const newTargetDirLine = `\n${indentation}  # 文件移动目标目录（支持绝对路径或相对于项目根目录的路径）\n${indentation}  targetDirectory: "${validation.path.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
-          yamlContent = existingContent.slice(0, moveConfigEndIndex) + newTargetDirLine + existingContent.slice(moveConfigEndIndex);
-        } else {
-          // 没有找到 moveConfig 部分，在文件末尾添加
-          yamlContent = existingContent + '\n\n# 回收站目录设置\nmoveConfig:\n  # 文件移动目标目录（支持绝对路径或相对于项目根目录的路径）\n  targetDirectory: "' + validation.path.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"\n';
-        }
-      }
-    } else {
-      // 配置文件不存在，创建默认配置
-      yamlContent = `# 清理脚本配置文件
-# 定义清理规则和保留策略
-
-# 默认文件保留天数（单位：天）
-retentionDays: 0
-
-# 允许删除的文件扩展名列表（区分大小写），使用"*"代表处理所有文件
-allowedExtensions:
-  - docx
-  - xlsx
-  - csv
-  - pptx
-  - txt
-
-# 系统保护文件列表（文件名，不区分大小写）
-protectedFiles:
-  - desktop.ini
-  - thumbs.db
-  - $recycle.bin
-  - system volume information
-
-# 日志配置
-logConfig:
-  # 日志级别：error, warn, info, verbose, debug, silly
-  level: info
-  # 日志文件路径
-  filePath: logs/cleanup.log
-  # 日志文件最大大小（单位：MB）
-  maxSize: 10
-  # 日志文件最大数量
-  maxFiles: 5
-
-# 回收站目录设置
-moveConfig:
-  # 文件移动目标目录（支持绝对路径或相对于项目根目录的路径）
-  targetDirectory: "./trash"
-
-# 要清理的文件夹列表（绝对路径）
-folders:
-
-`;
-    }
-
-    // 保存配置
-    fs.writeFileSync(CONFIG_FILE, yamlContent, 'utf8');
+    // 只修改 moveConfig.targetDirectory（不存在时创建），选择了配置方案时修改该配置方案自己的回收站目录
+    const profileName = getActiveProfile();
+    const keyPath = profileName === null
+      ? ['moveConfig', 'targetDirectory']
+      : ['profiles', profileName, 'moveConfig', 'targetDirectory'];
+    editConfig(document => document.set(keyPath, validation.path));
     logger.info(`成功更新回收站目录: ${validation.path}`);
-    return { success: true, message: `[SUCCESS] 回收站目录更新成功: ${validation.path}` };
+    return { success: true, code: 'OK', message: `[SUCCESS] 回收站目录更新成功: ${validation.path}`, path: validation.path };
   } catch (error) {
     logger.error(`更新回收站目录失败`, { error: error.message });
-    return { success: false, message: `[ERROR] 更新回收站目录失败: ${error.message}` };
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: `[ERROR] 更新回收站目录失败: ${error.message}` };
   }
 };
 
 /**
- * 保存配置文件
- * @param {Array} folders - 文件夹路径列表
+ * 获取当前配置方案的文件夹列表在配置文件中的路径
+ * @returns {Array<string>} - 配置项路径，如 ['folders'] 或 ['profiles', 'nightly', 'folders']
+ */
+const getFoldersKeyPath = () => {
+  const profileName = getActiveProfile();
+  return profileName === null ? ['folders'] : ['profiles', profileName, 'folders'];
+};
+
+/**
+ * 修改当前配置方案的文件夹列表并保存（配置方案不存在时自动创建），只改动受影响的列表项
+ * @param {Function} edit - 修改函数 (document, keyPath) => void，keyPath 为文件夹列表的配置项路径
  * @returns {boolean} - 保存是否成功
  */
-const saveConfig = (folders) => {
+const editFolders = (edit) => {
   try {
-    let yamlContent;
-    
-    if (fs.existsSync(CONFIG_FILE)) {
-      // 读取现有配置文件的原始内容
-      const existingContent = fs.readFileSync(CONFIG_FILE, 'utf8');
-      
-      // 生成新的folders部分内容
-      const newFoldersSection = `folders:
-${folders.map(folder => {
-  // 直接使用路径字符串，确保反斜杠正确处理
-  return `  - "${folder.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
-}).join('\n')}`;
-      
-      // 查找folders部分的开始和结束位置
-      // 匹配包含folders:的行，忽略前面的内容
-      const foldersLineMatch = existingContent.match(/.*folders:\s*$/m);
-      const foldersStartMatch = foldersLineMatch ? {
-        index: foldersLineMatch.index + foldersLineMatch[0].indexOf('folders:'),
-        0: 'folders:'
-      } : null;
-      
-      if (foldersStartMatch) {
-        // 找到folders部分，确定其范围
-        const foldersStartIndex = foldersStartMatch.index;
-        
-        // 找到下一个顶级键的开始位置，作为folders部分的结束位置
-        // 顶级键的模式：行首（可能有空格）后跟非空格字符，然后是冒号
-        // 从folders行之后开始查找，跳过当前的folders行
-        const foldersLineEnd = existingContent.indexOf('\n', foldersStartIndex);
-        const contentAfterFoldersLine = foldersLineEnd !== -1 
-          ? existingContent.slice(foldersLineEnd) 
-          : '';
-        
-        const nextTopLevelKeyMatch = contentAfterFoldersLine.match(/^\s*[^\s:]+:\s*$/m);
-        let foldersEndIndex;
-        
-        if (nextTopLevelKeyMatch) {
-          // 找到了下一个顶级键，使用其开始位置作为结束位置
-          foldersEndIndex = foldersLineEnd + nextTopLevelKeyMatch.index;
-        } else {
-          // 没有找到下一个顶级键，使用文件末尾作为结束位置
-          foldersEndIndex = existingContent.length;
-        }
-        
-        // 提取folders部分之前和之后的内容
-      const beforeFolders = existingContent.slice(0, foldersStartIndex);
-      let afterFolders = existingContent.slice(foldersEndIndex);
-      
-      // 去除afterFolders开头的空白行，避免重复添加换行符
-      afterFolders = afterFolders.replace(/^\s*\n/, '');
-      
-      // 重新组合内容，只替换folders部分
-      yamlContent = beforeFolders + newFoldersSection;
-      
-      // 只有当afterFolders不为空时，才添加换行符和afterFolders
-      if (afterFolders.trim()) {
-        yamlContent += '\n' + afterFolders;
-      }
-      } else {
-        // 没有找到folders部分，在文件末尾添加
-        yamlContent = existingContent + '\n\n# 要清理的文件夹列表（绝对路径）\n' + newFoldersSection;
-      }
-    } else {
-      // 配置文件不存在，创建默认配置
-      yamlContent = `# 清理脚本配置文件
-# 定义清理规则和保留策略
-
-# 默认文件保留天数（单位：天）
-retentionDays: 0
-
-# 允许删除的文件扩展名列表（区分大小写），使用"*"代表处理所有文件
-allowedExtensions:
-  - docx
-  - xlsx
-  - csv
-  - pptx
-  - txt
-
-# 系统保护文件列表（文件名，不区分大小写）
-protectedFiles:
-  - desktop.ini
-  - thumbs.db
-  - $recycle.bin
-  - system volume information
-
-# 日志配置
-logConfig:
-  # 日志级别：error, warn, info, verbose, debug, silly
-  level: info
-  # 日志文件路径
-  filePath: logs/cleanup.log
-  # 日志文件最大大小（单位：MB）
-  maxSize: 10
-  # 日志文件最大数量
-  maxFiles: 5
-  
-# 回收站目录设置
-moveConfig:
-  # 文件移动目标目录（支持绝对路径或相对于项目根目录的路径）
-  targetDirectory: "trash"
-
-# 要清理的文件夹列表（绝对路径）
-folders:
-
-`;
-    }
-    
-    // 保存配置到YAML文件
-    fs.writeFileSync(CONFIG_FILE, yamlContent, 'utf8');
-    
-    logger.info(`成功保存配置文件: ${CONFIG_FILE}`, { folders });
+    editConfig(document => edit(document, getFoldersKeyPath()));
+    logger.info(`成功保存配置文件: ${getConfigPath()}`, { folders: getConfig().folders });
     return true;
   } catch (error) {
-    logger.error(`保存配置文件失败: ${CONFIG_FILE}`, { error: error.message });
+    logger.error(`保存配置文件失败: ${getConfigPath()}`, { error: error.message });
     return false;
   }
 };
 
+/**
+ * 保存配置文件中的文件夹列表（整体替换）
+ * 选择了配置方案时保存到该配置方案的 folders
+ * @param {Array<string|Object>} folders - 文件夹配置项列表
+ * @returns {boolean} - 保存是否成功
+ */
+const saveConfig = (folders) => editFolders((document, keyPath) => document.set(keyPath, folders));
+
 /**
  * 添加文件夹路径
  * @param {string} folderPath - 文件夹路径（可以是相对路径或绝对路径）
- * @returns {Object} - 操作结果 { success: boolean, message: string }
+ * @param {Object} rules - 该文件夹单独的清理规则（可选，覆盖全局默认值）
+ * @returns {Object} - 操作结果 { success: boolean, code: string, message: string, path: string }
  */
-const addFolder = (folderPath) => {
+const addFolder = (folderPath, rules = {}) => {
   const folders = loadConfig();
   
   // 验证文件夹路径
   const validation = validateFolderPath(folderPath);
   if (!validation.valid) {
     logger.warn(`添加文件夹失败: ${folderPath}`, { error: validation.error });
-    return { success: false, message: `[ERROR] 添加文件夹失败: ${validation.error}` };
+    return { success: false, code: 'INVALID_PATH', message: `[ERROR] 添加文件夹失败: ${validation.error}` };
+  }
+  
+  // 验证文件夹规则
+  const rulesError = validateFolderRules(rules);
+  if (rulesError) {
+    logger.warn(`添加文件夹失败: ${folderPath}`, { error: rulesError });
+    return { success: false, code: 'INVALID_RULE', message: `[ERROR] 添加文件夹失败: ${rulesError}` };
   }
   
   // 使用绝对路径
   const absolutePath = validation.absolutePath;
   
+  // 检查是否为系统关键路径或配置的受保护路径
+  const safetyError = checkFolderSafety(absolutePath, loadFullConfig().protectedPaths ?? []);
+  if (safetyError) {
+    logger.warn(`添加文件夹失败: ${absolutePath}`, { error: safetyError });
+    return { success: false, code: 'UNSAFE_PATH', message: `[ERROR] 添加文件夹失败: ${safetyError}` };
+  }
+  
   // 检查是否已存在
-  if (folders.includes(absolutePath)) {
+  if (findFolderIndex(folders, absolutePath) !== -1) {
     logger.warn(`文件夹已存在: ${absolutePath}`);
-    return { success: false, message: '[ERROR] 文件夹已存在于配置中' };
+    return { success: false, code: 'FOLDER_EXISTS', message: '[ERROR] 文件夹已存在于配置中' };
   }
   
-  // 添加文件夹
-  folders.push(absolutePath);
-  
-  // 保存配置
-  if (saveConfig(folders)) {
+  // 在列表末尾添加文件夹
+  if (editFolders((document, keyPath) => document.set([...keyPath, folders.length], buildFolderEntry(absolutePath, rules)))) {
     logger.info(`成功添加文件夹: ${absolutePath}`);
-    return { success: true, message: `[SUCCESS] 文件夹添加成功: ${absolutePath}` };
+    return { success: true, code: 'OK', message: `[SUCCESS] 文件夹添加成功: ${absolutePath}`, path: absolutePath };
   } else {
-    return { success: false, message: '[ERROR] 保存配置失败' };
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: '[ERROR] 保存配置失败' };
   }
 };
 
 /**
  * 删除文件夹路径
  * @param {string} folderPath - 文件夹路径（可以是相对路径或绝对路径）
- * @returns {Object} - 操作结果 { success: boolean, message: string }
+ * @returns {Object} - 操作结果 { success: boolean, code: string, message: string, path: string }
  */
 const removeFolder = (folderPath) => {
   const folders = loadConfig();
@@ -475,81 +456,95 @@ const removeFolder = (folderPath) => {
   const absolutePath = path.isAbsolute(folderPath) ? folderPath : path.join(process.cwd(), folderPath);
   
   // 检查是否存在
-  const index = folders.indexOf(absolutePath);
+  const index = findFolderIndex(folders, absolutePath);
   if (index === -1) {
     logger.warn(`文件夹不存在: ${absolutePath}`);
-    return { success: false, message: '文件夹不存在于配置中' };
+    return { success: false, code: 'FOLDER_NOT_FOUND', message: '文件夹不存在于配置中' };
   }
   
   // 删除文件夹
-  folders.splice(index, 1);
-  
-  // 保存配置
-  if (saveConfig(folders)) {
+  if (editFolders((document, keyPath) => document.delete([...keyPath, index]))) {
     logger.info(`成功删除文件夹: ${absolutePath}`);
-    return { success: true, message: '文件夹删除成功' };
+    return { success: true, code: 'OK', message: '文件夹删除成功', path: absolutePath };
   } else {
-    return { success: false, message: '保存配置失败' };
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: '保存配置失败' };
   }
 };
 
 /**
  * 修改文件夹路径
+ * 原有的文件夹规则会被保留，并与传入的规则合并（规则值为 null 时删除该规则）
  * @param {string} oldPath - 旧文件夹路径（可以是相对路径或绝对路径）
  * @param {string} newPath - 新文件夹路径（可以是相对路径或绝对路径）
- * @returns {Object} - 操作结果 { success: boolean, message: string }
+ * @param {Object} rules - 要修改的文件夹规则（可选）
+ * @returns {Object} - 操作结果 { success: boolean, code: string, message: string, oldPath: string, newPath: string }
  */
-const updateFolder = (oldPath, newPath) => {
+const updateFolder = (oldPath, newPath, rules = {}) => {
   const folders = loadConfig();
   
   // 验证旧路径
   const oldValidation = validateFolderPath(oldPath);
   if (!oldValidation.valid) {
     logger.warn(`修改文件夹失败: ${oldPath}`, { error: oldValidation.error });
-    return { success: false, message: `[ERROR] 修改文件夹失败: ${oldValidation.error}` };
+    return { success: false, code: 'INVALID_PATH', message: `[ERROR] 修改文件夹失败: ${oldValidation.error}` };
   }
   
   // 使用旧路径的绝对路径
   const oldAbsolutePath = oldValidation.absolutePath;
   
   // 检查旧路径是否存在
-  const index = folders.indexOf(oldAbsolutePath);
+  const index = findFolderIndex(folders, oldAbsolutePath);
   if (index === -1) {
     logger.warn(`要修改的文件夹不存在: ${oldAbsolutePath}`);
-    return { success: false, message: '[ERROR] 要修改的文件夹不存在于配置中' };
+    return { success: false, code: 'FOLDER_NOT_FOUND', message: '[ERROR] 要修改的文件夹不存在于配置中' };
   }
   
   // 验证新路径
   const newValidation = validateFolderPath(newPath);
   if (!newValidation.valid) {
     logger.warn(`修改文件夹失败: ${newPath}`, { error: newValidation.error });
-    return { success: false, message: `[ERROR] 修改文件夹失败: ${newValidation.error}` };
+    return { success: false, code: 'INVALID_PATH', message: `[ERROR] 修改文件夹失败: ${newValidation.error}` };
   }
   
   // 使用新路径的绝对路径
   const newAbsolutePath = newValidation.absolutePath;
   
+  // 检查新路径是否为系统关键路径或配置的受保护路径
+  const safetyError = checkFolderSafety(newAbsolutePath, loadFullConfig().protectedPaths ?? []);
+  if (safetyError) {
+    logger.warn(`修改文件夹失败: ${newPath}`, { error: safetyError });
+    return { success: false, code: 'UNSAFE_PATH', message: `[ERROR] 修改文件夹失败: ${safetyError}` };
+  }
+  
   // 检查新路径是否已存在（排除自身）
-  if (folders.includes(newAbsolutePath) && newAbsolutePath !== oldAbsolutePath) {
+  if (findFolderIndex(folders, newAbsolutePath) !== -1 && newAbsolutePath !== oldAbsolutePath) {
     logger.warn(`新文件夹路径已存在: ${newAbsolutePath}`);
-    return { success: false, message: '[ERROR] 新文件夹路径已存在于配置中' };
+    return { success: false, code: 'FOLDER_EXISTS', message: '[ERROR] 新文件夹路径已存在于配置中' };
+  }
+  
+  // 验证文件夹规则
+  const rulesError = validateFolderRules(rules);
+  if (rulesError) {
+    logger.warn(`修改文件夹失败: ${oldPath}`, { error: rulesError });
+    return { success: false, code: 'INVALID_RULE', message: `[ERROR] 修改文件夹失败: ${rulesError}` };
   }
   
-  // 修改文件夹
-  folders[index] = newAbsolutePath;
+  // 修改文件夹，保留原有规则并合并新规则
+  const mergedRules = { ...getFolderRules(folders[index]), ...rules };
+  const entry = buildFolderEntry(newAbsolutePath, mergedRules);
   
-  // 保存配置
-  if (saveConfig(folders)) {
+  // 只替换该文件夹配置项
+  if (editFolders((document, keyPath) => document.set([...keyPath, index], entry))) {
     logger.info(`成功修改文件夹: ${oldAbsolutePath} -> ${newAbsolutePath}`);
-    return { success: true, message: '文件夹修改成功' };
+    return { success: true, code: 'OK', message: '文件夹修改成功', oldPath: oldAbsolutePath, newPath: newAbsolutePath };
   } else {
-    return { success: false, message: '保存配置失败' };
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: '保存配置失败' };
   }
 };
 
 /**
- * 获取所有文件夹路径
- * @returns {Array} - 文件夹路径列表
+ * 获取所有文件夹配置项
+ * @returns {Array<string|Object>} - 文件夹配置项列表（路径字符串或规则对象）
  */
 const getAllFolders = () => {
   const folders = loadConfig();
@@ -559,18 +554,23 @@ const getAllFolders = () => {
 
 /**
  * 清空所有文件夹配置
- * @returns {Object} - 操作结果 { success: boolean, message: string }
+ * @returns {Object} - 操作结果 { success: boolean, code: string, message: string }
  */
 const clearAllFolders = () => {
   if (saveConfig([])) {
     logger.info(`成功清空所有文件夹配置`);
-    return { success: true, message: '文件夹配置已清空' };
+    return { success: true, code: 'OK', message: '文件夹配置已清空' };
   } else {
-    return { success: false, message: '保存配置失败' };
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: '保存配置失败' };
   }
 };
 
 export {
+  FOLDER_RULE_KEYS,
+  FOLDER_ACTIONS,
+  getFolderPath,
+  getFolderRules,
+  validateFolderRules,
   addFolder,
   removeFolder,
   updateFolder,
@@ -0,0 +1,333 @@
+/**
+ * 配置项读写模块
+ * 按配置项路径（如 retentionDays、moveConfig.targetDirectory、folders[0].keepLatest）读取和修改配置文件中的任意配置项
+ * 修改前按配置结构校验新值，选择了配置方案时读写该配置方案中的配置项
+ */
+
+import yaml from 'js-yaml';
+import logger from './logger.js';
+import { getConfig, getActiveProfile, readConfigText, editConfig } from './config.js';
+import { addFolder, removeFolder } from './configManager.js';
+import { validateConfig } from './configValidator.js';
+import { formatKeyPath, parseYamlDocument } from './yamlEditor.js';
+
+// 配置项路径的格式：用 . 分隔键，用 [序号] 表示列表项
+const SETTING_KEY_PATTERN = /^[^.[\]\s]+(?:\.[^.[\]\s]+|\[\d+\])*$/;
+
+/**
+ * 解析配置项路径
+ * @param {string} key - 配置项路径，如 moveConfig.targetDirectory、folders[0].retentionDays
+ * @returns {Array<string|number>|null} - 路径分段，格式无效时返回 null
+ */
+const parseSettingKey = (key) => {
+  if (typeof key !== 'string' || !SETTING_KEY_PATTERN.test(key)) {
+    return null;
+  }
+  return [...key.matchAll(/([^.[\]]+)|\[(\d+)\]/g)].map(match => (match[2] !== undefined ? Number(match[2]) : match[1]));
+};
+
+/**
+ * 获取配置项在配置文件中的完整路径（选择了配置方案时位于 profiles.<名称> 下）
+ * @param {Array<string|number>} keyPath - 配置项路径
+ * @returns {Array<string|number>} - 完整路径
+ */
+const getFullKeyPath = (keyPath) => {
+  const profileName = getActiveProfile();
+  return profileName === null ? keyPath : ['profiles', profileName, ...keyPath];
+};
+
+/**
+ * 判断配置项是否为文件夹列表或文件夹路径
+ * 文件夹路径需要经过有效性和关键路径检查，只能通过 --add、--remove、--update 或 config add/remove folders 修改
+ * @param {Array<string|number>} fullKeyPath - 完整路径
+ * @returns {boolean} - 是否为文件夹列表或文件夹路径
+ */
+const isFolderPathSetting = (fullKeyPath) => {
+  const listLength = fullKeyPath[0] === 'profiles' ? 3 : 1;
+  if (fullKeyPath[listLength - 1] !== 'folders' || fullKeyPath.length < listLength) {
+    return false;
+  }
+  return fullKeyPath.length <= listLength + 1 || (fullKeyPath.length === listLength + 2 && fullKeyPath[listLength + 1] === 'path');
+};
+
+/**
+ * 查找配置项所在的文件夹配置项（如 folders[0].retentionDays 所在的 folders[0]）
+ * @param {Object} document - 配置文件文档
+ * @param {Array<string|number>} fullKeyPath - 完整路径
+ * @returns {Object|null} - { entryPath, entry }，配置项不在文件夹配置项中时返回 null
+ */
+const findFolderEntry = (document, fullKeyPath) => {
+  const listLength = fullKeyPath[0] === 'profiles' ? 3 : 1;
+  if (fullKeyPath[listLength - 1] !== 'folders' || fullKeyPath.length < listLength + 2) {
+    return null;
+  }
+  const entryPath = fullKeyPath.slice(0, listLength + 1);
+  return { entryPath, entry: document.get(entryPath) };
+};
+
+/**
+ * 在修改文件夹规则之前，将路径字符串形式的文件夹配置项改写为 { path } 对象
+ * @param {Object} document - 配置文件文档
+ * @param {Array<string|number>} fullKeyPath - 完整路径
+ */
+const expandFolderEntry = (document, fullKeyPath) => {
+  const folderEntry = findFolderEntry(document, fullKeyPath);
+  if (typeof folderEntry?.entry === 'string') {
+    document.set(folderEntry.entryPath, { path: folderEntry.entry });
+  }
+};
+
+/**
+ * 检查配置项所在的文件夹配置项是否存在
+ * @param {Array<string|number>} fullKeyPath - 完整路径
+ * @returns {Object|null} - 不存在时返回操作结果，否则返回 null
+ */
+const checkFolderEntryExists = (fullKeyPath) => {
+  const folderEntry = findFolderEntry(parseYamlDocument(readConfigText() ?? ''), fullKeyPath);
+  if (folderEntry && (folderEntry.entry === undefined || folderEntry.entry === null)) {
+    return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 文件夹配置项不存在: ${formatKeyPath(folderEntry.entryPath)}（使用 --list 查看文件夹的顺序）` };
+  }
+  return null;
+};
+
+/**
+ * 判断两个配置值是否相同
+ * @param {*} a - 配置值
+ * @param {*} b - 配置值
+ * @returns {boolean} - 是否相同
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * 将命令行中的值转换为候选的配置值，修改时依次尝试，使用第一个通过校验的值
+ * 1. 按 YAML 解析（7 为数字、true 为布尔值、[a, b] 为列表）
+ * 2. 原始文本（如 targetDirectory 设置为 2024 时保存为字符串）
+ * 3. 逗号分隔的列表（如 allowedExtensions 设置为 log,tmp），与 --rule 参数的写法一致
+ * @param {string} rawValue - 命令行中的值
+ * @param {boolean} splitList - 是否尝试逗号分隔的列表
+ * @returns {Array} - 候选的配置值
+ */
+const getValueCandidates = (rawValue, splitList = true) => {
+  let parsed = rawValue;
+  try {
+    parsed = yaml.load(rawValue);
+  } catch (error) {
+    // 不是有效的 YAML 时按原始文本处理
+  }
+  const candidates = [parsed, rawValue];
+  if (splitList) {
+    candidates.push(rawValue.split(',').map(item => item.trim()).filter(Boolean));
+  }
+  return candidates.filter((value, index) => (
+    value !== null && value !== undefined && candidates.findIndex(other => isSameValue(other, value)) === index
+  ));
+};
+
+/**
+ * 在不保存的情况下试做修改，检查修改是否引入新的校验问题（类型错误、未知的配置项等）
+ * 配置文件中原有的问题不影响本次修改
+ * @param {Function} edit - 修改函数 (document) => void
+ * @returns {Object|null} - 新的问题 { keyPath, message }，没有新问题时返回 null
+ */
+const findNewIssue = (edit) => {
+  const document = parseYamlDocument(readConfigText() ?? '');
+  const issueKey = issue => `${formatKeyPath(issue.keyPath)}\n${issue.message}`;
+  const before = validateConfig(document.get([]));
+  const knownIssues = new Set([...before.errors, ...before.warnings].map(issueKey));
+  edit(document);
+  const after = validateConfig(document.get([]));
+  return [...after.errors, ...after.warnings].find(issue => !knownIssues.has(issueKey(issue))) ?? null;
+};
+
+/**
+ * 依次尝试候选值，保存第一个通过校验的修改
+ * @param {Array} values - 候选的配置值
+ * @param {Function} edit - 修改函数 (document, value) => void
+ * @returns {Object} - { value: 保存的值, issue: 全部候选值都未通过校验时第一个候选值的问题 }
+ */
+const saveCheckedSetting = (values, edit) => {
+  let firstIssue = null;
+  for (const value of values) {
+    const issue = findNewIssue(document => edit(document, value));
+    if (!issue) {
+      editConfig(document => edit(document, value));
+      return { value, issue: null };
+    }
+    firstIssue = firstIssue ?? issue;
+  }
+  return { value: null, issue: firstIssue };
+};
+
+/**
+ * 将校验问题格式化为错误信息
+ * @param {Object} issue - 校验问题 { keyPath, message }
+ * @returns {string} - 错误信息
+ */
+const formatSettingIssue = (issue) => `${formatKeyPath(issue.keyPath)}: ${issue.message}`;
+
+/**
+ * 获取当前生效的配置项的值（选择了配置方案时为该方案与全局配置合并后的值）
+ * @param {string} key - 配置项路径
+ * @returns {Object} - 操作结果 { success, code, message, key, value }，未设置时 value 为 null
+ */
+const getSetting = (key) => {
+  const keyPath = parseSettingKey(key);
+  if (!keyPath) {
+    return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 配置项路径格式无效: ${key}（示例: retentionDays、moveConfig.targetDirectory、folders[0].keepLatest）` };
+  }
+  const value = keyPath.reduce((current, segment) => (
+    current !== null && typeof current === 'object' ? current[segment] : undefined
+  ), getConfig());
+  return { success: true, code: 'OK', message: null, key, value: value ?? null };
+};
+
+/**
+ * 设置配置项，值为空字符串时删除该配置项（恢复默认值或全局设置）
+ * 值按配置结构校验，类型错误和未知的配置项不会被保存
+ * @param {string} key - 配置项路径
+ * @param {string} rawValue - 命令行中的值
+ * @returns {Object} - 操作结果 { success, code, message, key, value }
+ */
+const setSetting = (key, rawValue) => {
+  const keyPath = parseSettingKey(key);
+  if (!keyPath) {
+    return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 配置项路径格式无效: ${key}（示例: retentionDays、moveConfig.targetDirectory、folders[0].keepLatest）` };
+  }
+  const fullKeyPath = getFullKeyPath(keyPath);
+  if (isFolderPathSetting(fullKeyPath)) {
+    return { success: false, code: 'INVALID_SETTING', message: '[ERROR] 文件夹路径请使用 config add/remove folders、--add、--remove 或 --update 修改（会检查路径是否有效和受保护）' };
+  }
+  const missingFolder = checkFolderEntryExists(fullKeyPath);
+  if (missingFolder) {
+    return missingFolder;
+  }
+
+  try {
+    const unset = rawValue === '';
+    const { value, issue } = unset
+      ? saveCheckedSetting([null], document => document.delete(fullKeyPath))
+      : saveCheckedSetting(getValueCandidates(rawValue), (document, candidate) => {
+        expandFolderEntry(document, fullKeyPath);
+        document.set(fullKeyPath, candidate);
+      });
+    if (issue) {
+      logger.warn(`设置配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: issue.message });
+      return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 设置配置项失败: ${formatSettingIssue(issue)}` };
+    }
+    logger.info(`成功设置配置项: ${formatKeyPath(fullKeyPath)}`, { value });
+    return {
+      success: true,
+      code: 'OK',
+      message: unset ? `[SUCCESS] 已删除配置项: ${key}` : `[SUCCESS] 已设置 ${key} = ${JSON.stringify(value)}`,
+      key,
+      value
+    };
+  } catch (error) {
+    logger.error(`设置配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: error.message });
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: `[ERROR] 设置配置项失败: ${error.message}` };
+  }
+};
+
+/**
+ * 检查列表类配置项并获取其当前的列表
+ * @param {string} key - 配置项路径
+ * @returns {Object} - { keyPath, fullKeyPath, items, error }，配置项未设置时 items 为 null，检查失败时 error 为操作结果
+ */
+const getSettingList = (key) => {
+  const keyPath = parseSettingKey(key);
+  if (!keyPath) {
+    return { error: { success: false, code: 'INVALID_SETTING', message: `[ERROR] 配置项路径格式无效: ${key}（示例: protectedFiles、folders[0].exclude）` } };
+  }
+  const fullKeyPath = getFullKeyPath(keyPath);
+  if (isFolderPathSetting(fullKeyPath)) {
+    return { error: { success: false, code: 'INVALID_SETTING', message: '[ERROR] 配置方案的文件夹列表请使用 --profile <名称> 搭配 config add/remove folders 修改' } };
+  }
+  const missingFolder = checkFolderEntryExists(fullKeyPath);
+  if (missingFolder) {
+    return { error: missingFolder };
+  }
+  const items = parseYamlDocument(readConfigText() ?? '').get(fullKeyPath) ?? null;
+  if (items !== null && !Array.isArray(items)) {
+    return { error: { success: false, code: 'INVALID_SETTING', message: `[ERROR] 配置项不是列表: ${key}` } };
+  }
+  return { keyPath, fullKeyPath, items, error: null };
+};
+
+/**
+ * 向列表类配置项（如 protectedFiles、allowedExtensions）添加一项，配置项未设置时创建列表
+ * key 为 folders 时按 --add 添加文件夹（检查路径是否有效和受保护）
+ * @param {string} key - 配置项路径
+ * @param {string} rawValue - 要添加的值
+ * @returns {Object} - 操作结果 { success, code, message, key, value }
+ */
+const addSettingItem = (key, rawValue) => {
+  if (key === 'folders') {
+    return addFolder(rawValue);
+  }
+  const { fullKeyPath, items, error } = getSettingList(key);
+  if (error) {
+    return error;
+  }
+  const candidates = getValueCandidates(rawValue, false);
+  if (items !== null && items.some(item => candidates.some(candidate => isSameValue(item, candidate)))) {
+    return { success: false, code: 'ITEM_EXISTS', message: `[ERROR] ${key} 中已存在: ${rawValue}` };
+  }
+
+  try {
+    const { value, issue } = saveCheckedSetting(candidates, (document, candidate) => {
+      expandFolderEntry(document, fullKeyPath);
+      if (items === null) {
+        document.set(fullKeyPath, [candidate]);
+      } else {
+        document.set([...fullKeyPath, items.length], candidate);
+      }
+    });
+    if (issue) {
+      logger.warn(`添加配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: issue.message });
+      return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 添加配置项失败: ${formatSettingIssue(issue)}` };
+    }
+    logger.info(`成功添加配置项: ${formatKeyPath(fullKeyPath)}`, { value });
+    return { success: true, code: 'OK', message: `[SUCCESS] 已添加到 ${key}: ${rawValue}`, key, value };
+  } catch (error) {
+    logger.error(`添加配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: error.message });
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: `[ERROR] 添加配置项失败: ${error.message}` };
+  }
+};
+
+/**
+ * 从列表类配置项中删除一项
+ * key 为 folders 时按 --remove 删除文件夹
+ * 选择了配置方案时只删除该配置方案自己的列表中的项（与全局合并的 protectedFiles 等不包含全局项）
+ * @param {string} key - 配置项路径
+ * @param {string} rawValue - 要删除的值
+ * @returns {Object} - 操作结果 { success, code, message, key, value }
+ */
+const removeSettingItem = (key, rawValue) => {
+  if (key === 'folders') {
+    return removeFolder(rawValue);
+  }
+  const { fullKeyPath, items, error } = getSettingList(key);
+  if (error) {
+    return error;
+  }
+  const candidates = getValueCandidates(rawValue, false);
+  const index = (items ?? []).findIndex(item => candidates.some(candidate => isSameValue(item, candidate)));
+  if (index === -1) {
+    return { success: false, code: 'ITEM_NOT_FOUND', message: `[ERROR] ${key} 中没有: ${rawValue}` };
+  }
+
+  try {
+    const { issue } = saveCheckedSetting([items[index]], document => document.delete([...fullKeyPath, index]));
+    if (issue) {
+      logger.warn(`删除配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: issue.message });
+      return { success: false, code: 'INVALID_SETTING', message: `[ERROR] 删除配置项失败: ${formatSettingIssue(issue)}` };
+    }
+    logger.info(`成功删除配置项: ${formatKeyPath([...fullKeyPath, index])}`, { value: items[index] });
+    return { success: true, code: 'OK', message: `[SUCCESS] 已从 ${key} 中删除: ${rawValue}`, key, value: items[index] };
+  } catch (error) {
+    logger.error(`删除配置项失败: ${formatKeyPath(fullKeyPath)}`, { error: error.message });
+    return { success: false, code: 'CONFIG_WRITE_FAILED', message: `[ERROR] 删除配置项失败: ${error.message}` };
+  }
+};
+
+export { parseSettingKey, getSetting, setSetting, addSettingItem, removeSettingItem };
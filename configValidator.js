@@ -0,0 +1,346 @@
+/**
+ * 配置校验模块
+ * 按配置结构校验配置文件，报告每个问题的配置项路径和行号
+ * 类型或取值错误为错误（拒绝运行），未知的配置项为警告
+ */
+
+import fs from 'fs-extra';
+import yaml from 'js-yaml';
+import logger from './logger.js';
+import { BUNDLED_CONFIG_FILE, PROFILE_NAME_PATTERN, getConfigPath, readConfigText } from './config.js';
+import { FOLDER_RULE_KEYS, validateFolderRules } from './configManager.js';
+import { parseCronExpression } from './scheduler.js';
+import { parseSize } from './utils.js';
+import { formatKeyPath, parseYamlDocument } from './yamlEditor.js';
+
+/**
+ * 判断值是否为对象（不含数组）
+ * @param {*} value - 要检查的值
+ * @returns {boolean} - 是否为对象
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 创建文件夹规则项的校验函数（与 --rule 参数使用相同的校验规则）
+ * @param {string} key - 规则名称
+ * @returns {Function} - 校验函数 (value) => 错误信息 | null
+ */
+const ruleCheck = (key) => (value) => validateFolderRules({ [key]: value });
+
+/**
+ * 校验非空字符串列表
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @returns {string|null} - 错误信息
+ */
+const checkStringList = (value, keyPath) => (
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '')
+    ? null
+    : `${keyPath[keyPath.length - 1]} 必须是一个非空字符串列表`
+);
+
+/**
+ * 校验非空字符串
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @returns {string|null} - 错误信息
+ */
+const checkString = (value, keyPath) => (
+  typeof value === 'string' && value.trim() !== '' ? null : `${keyPath[keyPath.length - 1]} 必须是一个非空字符串`
+);
+
+/**
+ * 校验布尔值
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @returns {string|null} - 错误信息
+ */
+const checkBoolean = (value, keyPath) => (
+  typeof value === 'boolean' ? null : `${keyPath[keyPath.length - 1]} 必须是 true 或 false`
+);
+
+/**
+ * 校验正整数
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @returns {string|null} - 错误信息
+ */
+const checkPositiveInteger = (value, keyPath) => (
+  Number.isInteger(value) && value > 0 ? null : `${keyPath[keyPath.length - 1]} 必须是一个正整数`
+);
+
+// 日志配置的结构
+const LOG_CONFIG_SCHEMA = {
+  level: (value) => (Object.keys(logger.levels).includes(value) ? null : `level 必须是 ${Object.keys(logger.levels).join('、')} 之一`),
+  filePath: checkString,
+  maxSize: (value) => (typeof value === 'number' && value > 0 ? null : 'maxSize 必须是一个正数（单位：MB）'),
+  maxFiles: (value) => (Number.isInteger(value) && value > 0 ? null : 'maxFiles 必须是一个正整数')
+};
+
+// 回收站配置的结构
+const MOVE_CONFIG_SCHEMA = {
+  targetDirectory: checkString,
+  maxAgeDays: (value) => (typeof value === 'number' && value >= 0 ? null : 'maxAgeDays 必须是一个非负数'),
+  maxTotalSize: (value) => (parseSize(value) === null ? 'maxTotalSize 格式无效（示例: 500MB、10GB）' : null),
+  purgeAfterClear: checkBoolean
+};
+
+// 文件夹配置项的结构：path 和所有文件夹规则
+const FOLDER_SCHEMA = {
+  path: checkString,
+  ...Object.fromEntries(FOLDER_RULE_KEYS.map(key => [key, ruleCheck(key)]))
+};
+
+/**
+ * 校验文件夹列表：每一项是路径字符串或包含 path 的规则对象
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @param {Object} issues - 收集问题 { errors, warnings }
+ * @returns {string|null} - 错误信息（列表项的问题直接加入 issues）
+ */
+const checkFolders = (value, keyPath, issues) => {
+  if (!Array.isArray(value)) {
+    return 'folders 必须是一个列表';
+  }
+  value.forEach((entry, index) => {
+    const entryPath = [...keyPath, index];
+    if (typeof entry === 'string') {
+      if (entry.trim() === '') {
+        issues.errors.push({ keyPath: entryPath, message: '文件夹路径不能为空' });
+      }
+      return;
+    }
+    if (!isPlainObject(entry)) {
+      issues.errors.push({ keyPath: entryPath, message: '文件夹配置项必须是路径字符串或包含 path 的对象' });
+      return;
+    }
+    if (entry.path === undefined || entry.path === null) {
+      issues.errors.push({ keyPath: entryPath, message: '文件夹配置项缺少 path' });
+    }
+    validateSection(entry, FOLDER_SCHEMA, entryPath, issues);
+  });
+  return null;
+};
+
+// 全局配置的结构：文件夹规则（maxTotalSize 只能按文件夹配置）可作为全局默认值
+const GLOBAL_SCHEMA = {
+  ...Object.fromEntries(FOLDER_RULE_KEYS.filter(key => key !== 'maxTotalSize').map(key => [key, ruleCheck(key)])),
+  protectedFiles: checkStringList,
+  protectedPaths: checkStringList,
+  concurrency: checkPositiveInteger,
+  parallelFolders: checkPositiveInteger,
+  logConfig: LOG_CONFIG_SCHEMA,
+  moveConfig: MOVE_CONFIG_SCHEMA,
+  folders: checkFolders
+};
+
+// 配置方案的结构：与全局配置相同，logConfig 不生效
+const PROFILE_SCHEMA = {
+  ...GLOBAL_SCHEMA,
+  logConfig: (value, keyPath, issues) => {
+    issues.warnings.push({ keyPath, message: '配置方案中的 logConfig 不生效，日志始终使用全局设置' });
+    return null;
+  }
+};
+
+/**
+ * 校验配置方案列表
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @param {Object} issues - 收集问题 { errors, warnings }
+ * @returns {string|null} - 错误信息（各配置方案的问题直接加入 issues）
+ */
+const checkProfiles = (value, keyPath, issues) => {
+  if (!isPlainObject(value)) {
+    return 'profiles 必须是一个以配置方案名称为键的对象';
+  }
+  for (const [profileName, profile] of Object.entries(value)) {
+    const profilePath = [...keyPath, profileName];
+    if (!PROFILE_NAME_PATTERN.test(profileName)) {
+      issues.errors.push({ keyPath: profilePath, message: `配置方案名称只能包含字母、数字、下划线、点和连字符: ${profileName}` });
+    }
+    validateSection(profile, PROFILE_SCHEMA, profilePath, issues);
+  }
+  return null;
+};
+
+// 计划任务的结构
+const SCHEDULE_JOB_SCHEMA = {
+  name: checkString,
+  cron: (value) => {
+    if (typeof value !== 'string') {
+      return 'cron 必须是一个字符串（如 "0 3 * * *"）';
+    }
+    try {
+      parseCronExpression(value);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  },
+  profile: (value) => (
+    typeof value === 'string' && PROFILE_NAME_PATTERN.test(value)
+      ? null
+      : 'profile 必须是配置方案名称（只能包含字母、数字、下划线、点和连字符）'
+  ),
+  folder: checkString,
+  catchUp: checkBoolean
+};
+
+/**
+ * 校验计划任务列表
+ * @param {*} value - 配置值
+ * @param {Array} keyPath - 配置项路径
+ * @param {Object} issues - 收集问题 { errors, warnings }
+ * @returns {string|null} - 错误信息（各计划任务的问题直接加入 issues）
+ */
+const checkSchedule = (value, keyPath, issues) => {
+  if (!Array.isArray(value)) {
+    return 'schedule 必须是一个列表';
+  }
+  value.forEach((job, index) => {
+    const jobPath = [...keyPath, index];
+    if (isPlainObject(job) && (job.cron === undefined || job.cron === null)) {
+      issues.errors.push({ keyPath: jobPath, message: '计划任务缺少 cron' });
+    }
+    validateSection(job, SCHEDULE_JOB_SCHEMA, jobPath, issues);
+  });
+  return null;
+};
+
+// 配置文件的结构：计划任务只能在顶层配置
+const CONFIG_SCHEMA = {
+  ...GLOBAL_SCHEMA,
+  profiles: checkProfiles,
+  schedule: checkSchedule
+};
+
+/**
+ * 计算两个字符串的编辑距离，用于提示拼写错误的配置项
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {number} - 编辑距离
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (item, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * 查找与未知配置项最接近的已知配置项
+ * @param {string} key - 未知的配置项
+ * @param {Array<string>} knownKeys - 已知的配置项
+ * @returns {string|null} - 最接近的配置项，没有足够接近的配置项时返回 null
+ */
+const suggestKey = (key, knownKeys) => {
+  const candidates = knownKeys
+    .map(knownKey => ({ knownKey, distance: knownKey.toLowerCase() === key.toLowerCase() ? 0 : getEditDistance(knownKey, key) }))
+    .filter(candidate => candidate.distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  return candidates.length > 0 ? candidates[0].knownKey : null;
+};
+
+/**
+ * 按结构校验配置对象中的一部分
+ * 结构中的值为校验函数 (value, keyPath, issues) => 错误信息 | null，或嵌套的结构对象
+ * 值为 null 的配置项视为未设置
+ * @param {*} section - 要校验的配置对象
+ * @param {Object} schema - 配置结构
+ * @param {Array} keyPath - 该部分的配置项路径
+ * @param {Object} issues - 收集问题 { errors, warnings }
+ */
+const validateSection = (section, schema, keyPath, issues) => {
+  if (section === null || section === undefined) {
+    return;
+  }
+  if (!isPlainObject(section)) {
+    issues.errors.push({
+      keyPath,
+      message: keyPath.length === 0 ? '配置文件的顶层必须是一个对象' : `${keyPath[keyPath.length - 1]} 必须是一个对象`
+    });
+    return;
+  }
+
+  for (const [key, value] of Object.entries(section)) {
+    const itemPath = [...keyPath, key];
+    const check = schema[key];
+    if (check === undefined) {
+      const suggestion = suggestKey(key, Object.keys(schema));
+      issues.warnings.push({ keyPath: itemPath, message: `未知的配置项: ${key}${suggestion ? `（是否为 ${suggestion}？）` : ''}` });
+      continue;
+    }
+    if (value === null) {
+      continue;
+    }
+    if (typeof check === 'function') {
+      const message = check(value, itemPath, issues);
+      if (message) {
+        issues.errors.push({ keyPath: itemPath, message });
+      }
+    } else {
+      validateSection(value, check, itemPath, issues);
+    }
+  }
+};
+
+/**
+ * 校验配置对象
+ * @param {*} config - 配置对象
+ * @returns {Object} - { errors: [{ keyPath, message }], warnings: [{ keyPath, message }] }
+ */
+const validateConfig = (config) => {
+  const issues = { errors: [], warnings: [] };
+  validateSection(config ?? {}, CONFIG_SCHEMA, [], issues);
+  return issues;
+};
+
+/**
+ * 校验配置文件内容
+ * @param {string} content - 配置文件内容
+ * @returns {Object} - { errors: [{ path, line, message }], warnings: [{ path, line, message }] }
+ */
+const validateConfigText = (content) => {
+  let config;
+  try {
+    config = yaml.load(content);
+  } catch (error) {
+    return {
+      errors: [{ path: '', line: error.mark ? error.mark.line + 1 : null, message: `YAML 格式错误: ${error.reason || error.message}` }],
+      warnings: []
+    };
+  }
+
+  const document = parseYamlDocument(content);
+  const { errors, warnings } = validateConfig(config);
+  const locate = ({ keyPath, message }) => ({ path: formatKeyPath(keyPath), line: document.getLine(keyPath), message });
+  return { errors: errors.map(locate), warnings: warnings.map(locate) };
+};
+
+/**
+ * 校验当前使用的配置文件（配置文件尚不存在时校验安装目录中的默认配置）
+ * @returns {Object} - { filePath, valid, errors, warnings }，valid 表示没有错误（允许有警告）
+ */
+const validateConfigFile = () => {
+  const filePath = fs.existsSync(getConfigPath()) ? getConfigPath() : BUNDLED_CONFIG_FILE;
+  const content = readConfigText();
+  const { errors, warnings } = content === null ? { errors: [], warnings: [] } : validateConfigText(content);
+  return { filePath, valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * 将校验问题格式化为一行文本，如 "第 12 行 folders[0].retentionDays: retentionDays 必须是一个非负整数"
+ * @param {Object} issue - 校验问题 { path, line, message }
+ * @returns {string} - 文本
+ */
+const formatIssue = ({ path: keyPath, line, message }) => (
+  `${line === null ? '' : `第 ${line} 行 `}${keyPath ? `${keyPath}: ` : ''}${message}`
+);
+
+export { CONFIG_SCHEMA, validateConfig, validateConfigText, validateConfigFile, formatIssue };
@@ -0,0 +1,305 @@
+/**
+ * 守护进程模块
+ * 按配置文件 schedule 中的计划任务定时执行清理，进程保持运行直到收到 SIGTERM / SIGINT
+ * - 同一时间只执行一个清理任务，上一次运行尚未结束时跳过到期的计划任务
+ * - 每个计划任务的运行状态保存在状态目录（见 getStateDirectory）的 daemon-state.json 中，重启后补运行停机期间错过的任务
+ * - 收到 SIGTERM / SIGINT 时中止当前清理（处理完正在处理的文件），保存状态后退出
+ * - 同一配置文件只允许运行一个守护进程（状态目录中的 daemon.pid 记录进程ID）
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import logger from './logger.js';
+import { getRawConfig, getStateDirectory } from './config.js';
+import { getNextRunTime, parseCronExpression } from './scheduler.js';
+import { isProcessRunning, writeFileAtomic } from './utils.js';
+
+// 运行状态文件名称（位于状态目录）
+const DAEMON_STATE_FILE_NAME = 'daemon-state.json';
+
+// 进程ID文件名称（位于状态目录）
+const DAEMON_PID_FILE_NAME = 'daemon.pid';
+
+// 定时器的最长等待时间：定期重新计算下一次运行时间，避免系统时间调整或休眠后错过运行
+const MAX_TIMER_DELAY_MS = 60 * 1000;
+
+/**
+ * 获取守护进程使用的文件路径
+ * @param {string} fileName - 文件名称
+ * @returns {string} - 当前配置文件的状态目录中的文件路径
+ */
+const getDaemonFilePath = (fileName) => path.join(getStateDirectory(), fileName);
+
+/**
+ * 读取配置文件中的计划任务
+ * 未设置 name 的计划任务按配置方案、文件夹和 cron 表达式生成名称，名称用于保存运行状态
+ * @returns {Array<Object>} - 计划任务列表 [{ name, cron, schedule, profile, folder, catchUp }]
+ */
+const getScheduleJobs = () => {
+  const jobs = (getRawConfig().schedule ?? []).map((entry) => {
+    const profile = entry.profile ?? null;
+    const folder = entry.folder ?? null;
+    return {
+      name: entry.name ?? `${profile ?? '顶层配置'}${folder ? ` ${folder}` : ''} (${entry.cron})`,
+      cron: entry.cron,
+      schedule: parseCronExpression(entry.cron),
+      profile,
+      folder,
+      catchUp: entry.catchUp ?? true
+    };
+  });
+
+  const names = new Set();
+  for (const job of jobs) {
+    if (names.has(job.name)) {
+      const error = new Error(`计划任务名称重复: ${job.name}（请为计划任务设置不同的 name）`);
+      error.code = 'INVALID_CONFIG';
+      throw error;
+    }
+    names.add(job.name);
+  }
+  return jobs;
+};
+
+/**
+ * 读取运行状态文件
+ * @returns {Object} - 运行状态 { jobs: { 名称: { handledUntil, lastRun } } }，文件不存在或无法解析时返回空状态
+ */
+const readDaemonState = () => {
+  const statePath = getDaemonFilePath(DAEMON_STATE_FILE_NAME);
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return { jobs: state?.jobs ?? {} };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`读取守护进程状态失败，将重新记录: ${statePath}`, { error: error.message });
+    }
+    return { jobs: {} };
+  }
+};
+
+/**
+ * 保存运行状态文件（只保留当前计划任务的状态）
+ * @param {Object} state - 运行状态
+ * @param {Array<Object>} jobs - 计划任务列表
+ */
+const saveDaemonState = (state, jobs) => {
+  const statePath = getDaemonFilePath(DAEMON_STATE_FILE_NAME);
+  const jobStates = Object.fromEntries(jobs.map(job => [job.name, state.jobs[job.name]]));
+  try {
+    writeFileAtomic(statePath, `${JSON.stringify({ updatedAt: new Date().toISOString(), jobs: jobStates }, null, 2)}\n`);
+  } catch (error) {
+    logger.error(`保存守护进程状态失败: ${statePath}`, { error: error.message });
+  }
+};
+
+/**
+ * 写入进程ID文件，已有守护进程在运行时抛出错误（错误码 DAEMON_RUNNING）
+ * 进程ID文件中的进程已不存在时（上次异常退出）覆盖该文件
+ */
+const acquirePidFile = () => {
+  const pidPath = getDaemonFilePath(DAEMON_PID_FILE_NAME);
+  fs.ensureDirSync(path.dirname(pidPath));
+  try {
+    fs.writeFileSync(pidPath, `${process.pid}\n`, { flag: 'wx' });
+    return;
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+
+  const pid = Number.parseInt(fs.readFileSync(pidPath, 'utf8'), 10);
+  if (Number.isInteger(pid) && pid !== process.pid && isProcessRunning(pid)) {
+    const error = new Error(`守护进程已在运行（进程ID: ${pid}，进程ID文件: ${pidPath}）`);
+    error.code = 'DAEMON_RUNNING';
+    throw error;
+  }
+  logger.warn(`上次运行的守护进程未正常退出，已覆盖进程ID文件: ${pidPath}`, { pid });
+  fs.writeFileSync(pidPath, `${process.pid}\n`);
+};
+
+/**
+ * 删除进程ID文件（仅删除当前进程写入的文件）
+ */
+const releasePidFile = () => {
+  const pidPath = getDaemonFilePath(DAEMON_PID_FILE_NAME);
+  try {
+    if (Number.parseInt(fs.readFileSync(pidPath, 'utf8'), 10) === process.pid) {
+      fs.removeSync(pidPath);
+    }
+  } catch (error) {
+    logger.warn(`删除进程ID文件失败: ${pidPath}`, { error: error.message });
+  }
+};
+
+/**
+ * 获取计划任务在指定时间之前最近一次应当运行的时间
+ * @param {Object} job - 计划任务
+ * @param {Object} jobState - 计划任务的运行状态
+ * @param {Date} now - 当前时间
+ * @returns {Date|null} - 应当运行的时间，尚未到期时返回 null
+ */
+const getDueTime = (job, jobState, now) => {
+  const nextRun = getNextRunTime(job.schedule, new Date(jobState.handledUntil));
+  return nextRun !== null && nextRun <= now ? nextRun : null;
+};
+
+/**
+ * 启动守护进程，收到 SIGTERM / SIGINT 后返回
+ * 首次运行的计划任务从启动时开始计时；catchUp 为 true（默认）的计划任务在停机期间错过运行时，启动后补运行一次
+ * @param {Array<Object>} jobs - 计划任务列表（见 getScheduleJobs）
+ * @param {Function} runJob - 执行计划任务的函数 async (job, signal) => 命令结果 { success, code, message, data }
+ * @returns {Promise<Object>} - { runs: 运行次数, skipped: 因上一次运行尚未结束而跳过的次数, signal: 收到的信号 }
+ */
+const runDaemon = async (jobs, runJob) => {
+  acquirePidFile();
+
+  const state = readDaemonState();
+  const startedAt = new Date();
+  jobs.forEach((job) => {
+    const jobState = state.jobs[job.name];
+    if (!jobState?.handledUntil) {
+      state.jobs[job.name] = { handledUntil: startedAt.toISOString(), lastRun: jobState?.lastRun ?? null };
+    } else if (!job.catchUp && getDueTime(job, jobState, startedAt) !== null) {
+      logger.info(`计划任务不补运行停机期间错过的运行: ${job.name}`);
+      jobState.handledUntil = startedAt.toISOString();
+    }
+  });
+  saveDaemonState(state, jobs);
+
+  let stopping = false;
+  let timer = null;
+  let running = null;
+  let abortController = null;
+  // 已到期、等待在当前批次中运行的计划任务名称
+  const pendingJobs = new Set();
+  let runs = 0;
+  let skipped = 0;
+  let resolveStopped;
+  const stopped = new Promise((resolve) => {
+    resolveStopped = resolve;
+  });
+
+  /**
+   * 依次执行到期的计划任务，每个任务开始时记为已处理，结束后保存运行状态
+   * 停止时尚未开始的计划任务保持未处理，下次启动时补运行
+   * @param {Array<Object>} dueJobs - 到期的计划任务 [{ job, dueTime }]
+   */
+  const runDueJobs = async (dueJobs) => {
+    for (const { job, dueTime } of dueJobs) {
+      if (stopping) {
+        break;
+      }
+      pendingJobs.delete(job.name);
+      const jobState = state.jobs[job.name];
+      const runStartedAt = new Date();
+      jobState.handledUntil = runStartedAt.toISOString();
+      saveDaemonState(state, jobs);
+      console.log(`\n[SCHEDULE] 开始运行计划任务: ${job.name}（计划时间: ${dueTime.toLocaleString()}）`);
+      logger.info(`开始运行计划任务: ${job.name}`, { scheduledAt: dueTime.toISOString() });
+
+      abortController = new AbortController();
+      let result;
+      try {
+        result = await runJob(job, abortController.signal);
+      } catch (error) {
+        logger.error(`计划任务运行失败: ${job.name}`, { error: error.message });
+        result = { success: false, code: 'INTERNAL_ERROR', message: error.message, data: null };
+      }
+      const aborted = abortController.signal.aborted;
+      abortController = null;
+      runs++;
+
+      jobState.lastRun = {
+        scheduledAt: dueTime.toISOString(),
+        startedAt: runStartedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        success: result.success,
+        code: result.code ?? (result.success ? 'OK' : 'INTERNAL_ERROR'),
+        message: result.message ?? null,
+        summary: result.data?.summary ?? null,
+        aborted
+      };
+      saveDaemonState(state, jobs);
+
+      const status = aborted ? '已中止' : (result.success ? '成功' : `失败: ${result.message ?? result.code}`);
+      console.log(`[SCHEDULE] 计划任务结束: ${job.name}（${status}）`);
+      logger.info(`计划任务结束: ${job.name}`, { success: result.success, code: jobState.lastRun.code, aborted });
+    }
+  };
+
+  /**
+   * 检查到期的计划任务并等待下一次运行时间
+   * 有清理正在运行时，到期的计划任务记为跳过
+   */
+  const tick = () => {
+    timer = null;
+    if (stopping) {
+      return;
+    }
+
+    const now = new Date();
+    const dueJobs = jobs
+      .filter(job => !pendingJobs.has(job.name))
+      .map(job => ({ job, dueTime: getDueTime(job, state.jobs[job.name], now) }))
+      .filter(({ dueTime }) => dueTime !== null);
+
+    if (dueJobs.length > 0 && running !== null) {
+      dueJobs.forEach(({ job, dueTime }) => {
+        state.jobs[job.name].handledUntil = now.toISOString();
+        skipped++;
+        console.log(`[SCHEDULE] 上一次清理尚未结束，跳过计划任务: ${job.name}（计划时间: ${dueTime.toLocaleString()}）`);
+        logger.warn(`上一次清理尚未结束，跳过计划任务: ${job.name}`, { scheduledAt: dueTime.toISOString() });
+      });
+      saveDaemonState(state, jobs);
+    } else if (dueJobs.length > 0) {
+      dueJobs.forEach(({ job }) => pendingJobs.add(job.name));
+      running = runDueJobs(dueJobs).finally(() => {
+        running = null;
+      });
+    }
+
+    const nextRuns = jobs
+      .filter(job => !pendingJobs.has(job.name))
+      .map(job => getNextRunTime(job.schedule, new Date(state.jobs[job.name].handledUntil)))
+      .filter(nextRun => nextRun !== null);
+    const delay = nextRuns.length > 0 ? Math.min(...nextRuns.map(nextRun => nextRun - Date.now())) : MAX_TIMER_DELAY_MS;
+    timer = setTimeout(tick, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY_MS));
+  };
+
+  /**
+   * 处理停止信号：中止当前清理并停止计时，再次收到信号时立即退出
+   * @param {string} signal - 信号名称
+   */
+  const handleSignal = (signal) => {
+    if (stopping) {
+      console.log(`[SCHEDULE] 再次收到 ${signal}，立即退出`);
+      logger.warn(`守护进程再次收到 ${signal}，立即退出`);
+      releasePidFile();
+      process.exit(1);
+    }
+    stopping = true;
+    console.log(`\n[SCHEDULE] 收到 ${signal}，${running !== null ? '处理完当前文件后停止清理并' : ''}退出`);
+    logger.info(`守护进程收到 ${signal}，正在停止`);
+    clearTimeout(timer);
+    timer = null;
+    abortController?.abort();
+    resolveStopped(signal);
+  };
+
+  process.on('SIGTERM', handleSignal);
+  process.on('SIGINT', handleSignal);
+  tick();
+
+  const signal = await stopped;
+  await running;
+  process.off('SIGTERM', handleSignal);
+  process.off('SIGINT', handleSignal);
+  saveDaemonState(state, jobs);
+  releasePidFile();
+  logger.info('守护进程已停止', { runs, skipped });
+  return { runs, skipped, signal };
+};
+
+export { DAEMON_STATE_FILE_NAME, DAEMON_PID_FILE_NAME, getScheduleJobs, runDaemon };
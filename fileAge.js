@@ -0,0 +1,119 @@
+/**
+ * 文件时间模块
+ * 根据 ageBasis 配置确定用于计算文件年龄的时间戳
+ * 支持文件系统时间戳（mtime、atime、ctime、birthtime 及其最早/最晚值）和文件名中的日期
+ */
+
+// 支持的时间依据
+const AGE_BASES = ['mtime', 'atime', 'ctime', 'birthtime', 'oldest', 'newest', 'filename'];
+
+// 默认的时间依据
+const DEFAULT_AGE_BASIS = 'mtime';
+
+// 默认的文件名日期格式
+const DEFAULT_FILENAME_DATE_PATTERN = 'YYYY-MM-DD';
+
+// 文件名日期格式中的占位符及其对应的正则表达式
+const DATE_TOKENS = {
+  YYYY: '(?<year>\\d{4})',
+  MM: '(?<month>\\d{2})',
+  DD: '(?<day>\\d{2})',
+  HH: '(?<hour>\\d{2})',
+  mm: '(?<minute>\\d{2})',
+  ss: '(?<second>\\d{2})'
+};
+
+/**
+ * 获取文件的创建时间
+ * 部分文件系统（如 Linux 上的部分文件系统）不支持创建时间，此时 birthtimeMs 为 0，回退为修改时间
+ * @param {fs.Stats} stats - 文件状态
+ * @returns {number} - 时间戳（毫秒）
+ */
+const getBirthtimeMs = (stats) => (stats.birthtimeMs > 0 ? stats.birthtimeMs : stats.mtimeMs);
+
+/**
+ * 将文件名日期格式编译为正则表达式
+ * 支持的占位符：YYYY（年）、MM（月）、DD（日）、HH（时）、mm（分）、ss（秒），其余字符按原样匹配
+ * @param {string} pattern - 日期格式，如 "YYYY-MM-DD"、"YYYYMMDD_HHmmss"
+ * @returns {RegExp} - 用于在文件名中查找日期的正则表达式
+ */
+const compileFilenameDatePattern = (pattern) => {
+  if (typeof pattern !== 'string' || !['YYYY', 'MM', 'DD'].every(token => pattern.includes(token))) {
+    throw new Error(`文件名日期格式必须包含 YYYY、MM、DD: ${pattern}`);
+  }
+
+  const tokenRegex = new RegExp(Object.keys(DATE_TOKENS).join('|'), 'g');
+  let source = '';
+  let lastIndex = 0;
+  for (const match of pattern.matchAll(tokenRegex)) {
+    source += pattern.slice(lastIndex, match.index).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    source += DATE_TOKENS[match[0]];
+    lastIndex = match.index + match[0].length;
+  }
+  source += pattern.slice(lastIndex).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return new RegExp(source);
+};
+
+/**
+ * 从文件名中解析日期（按本地时间）
+ * @param {string} fileName - 文件名
+ * @param {RegExp} dateRegex - compileFilenameDatePattern 生成的正则表达式
+ * @returns {number|null} - 时间戳（毫秒），文件名中没有有效日期时返回 null
+ */
+const parseFilenameDate = (fileName, dateRegex) => {
+  const match = fileName.match(dateRegex);
+  if (!match) {
+    return null;
+  }
+
+  const { year, month, day, hour = '0', minute = '0', second = '0' } = match.groups;
+  const parts = [year, month, day, hour, minute, second].map(Number);
+  const date = new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+
+  // 排除 2026-02-30 这类会被 Date 自动进位的无效日期
+  if (date.getFullYear() !== parts[0] || date.getMonth() !== parts[1] - 1 || date.getDate() !== parts[2]
+    || date.getHours() !== parts[3] || date.getMinutes() !== parts[4] || date.getSeconds() !== parts[5]) {
+    return null;
+  }
+
+  return date.getTime();
+};
+
+/**
+ * 创建文件时间获取函数
+ * @param {string} ageBasis - 时间依据（见 AGE_BASES）
+ * @param {string} filenameDatePattern - ageBasis 为 filename 时使用的文件名日期格式
+ * @returns {Function} - 获取函数 (filePath, stats) => 时间戳（毫秒），无法确定时返回 null
+ */
+const createFileTimeResolver = (ageBasis = DEFAULT_AGE_BASIS, filenameDatePattern = DEFAULT_FILENAME_DATE_PATTERN) => {
+  switch (ageBasis) {
+    case 'mtime':
+      return (filePath, stats) => stats.mtimeMs;
+    case 'atime':
+      return (filePath, stats) => stats.atimeMs;
+    case 'ctime':
+      return (filePath, stats) => stats.ctimeMs;
+    case 'birthtime':
+      return (filePath, stats) => getBirthtimeMs(stats);
+    case 'oldest':
+      return (filePath, stats) => Math.min(stats.mtimeMs, stats.atimeMs, stats.ctimeMs, getBirthtimeMs(stats));
+    case 'newest':
+      return (filePath, stats) => Math.max(stats.mtimeMs, stats.atimeMs, stats.ctimeMs, getBirthtimeMs(stats));
+    case 'filename': {
+      const dateRegex = compileFilenameDatePattern(filenameDatePattern);
+      return (filePath) => parseFilenameDate(filePath.split(/[\\/]/).pop(), dateRegex);
+    }
+    default:
+      throw new Error(`ageBasis 必须是 ${AGE_BASES.join('、')} 之一: ${ageBasis}`);
+  }
+};
+
+export {
+  AGE_BASES,
+  DEFAULT_AGE_BASIS,
+  DEFAULT_FILENAME_DATE_PATTERN,
+  compileFilenameDatePattern,
+  parseFilenameDate,
+  createFileTimeResolver
+};
@@ -0,0 +1,239 @@
+/**
+ * 程序接口模块
+ * 供其他 Node.js 程序嵌入清理功能：createCleaner 接收配置对象（或配置文件路径），返回带有 scan、clean、restore、purgeTrash 方法的清理器
+ * 导入本模块没有副作用：不读取配置文件、不创建日志文件、不退出进程，控制台日志可通过 setConsoleLogging 关闭
+ * 每个清理器在独立的配置作用域中运行（见 config.js 的 runWithConfig），同一进程中的多个清理器互不影响，
+ * 也不影响命令行使用的配置文件；清理、恢复和回收站清理与命令行共用 runner.js 中的流程
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+import logger, { setConsoleLogging } from './logger.js';
+import { runWithConfig } from './config.js';
+import { SKIP_REASONS } from './cleaner.js';
+import { buildReport, formatReportFile } from './reporter.js';
+import { validateConfig } from './configValidator.js';
+import { getAllFolders } from './configManager.js';
+import { createError, runCleanup, runRestore, runPurgeTrash } from './runner.js';
+import { formatKeyPath } from './yamlEditor.js';
+
+/**
+ * @typedef {Object} CleanerOptions
+ * @property {Object} [config] - 配置对象，结构与配置文件相同（folders、moveConfig、profiles 等）
+ * @property {string} [configFile] - 配置文件路径，未指定 config 时读取该文件（只在创建清理器时读取一次）
+ * @property {string} [baseDir] - 解析配置中相对路径（如 moveConfig.targetDirectory）的目录，默认为配置文件所在目录或当前目录；未配置 moveConfig.targetDirectory 时回收站为其下的 trash
+ * @property {string|null} [profile] - 使用的配置方案名称，默认使用顶层的 folders
+ * @property {string|false} [journalDirectory] - 运行日志目录（相对路径相对于 baseDir），默认为用户状态目录中按配置区分的 configs/<名称>_<哈希>/journal；
+ *   为 false 时不记录运行日志，中断的清理不会留下运行日志，也不核对中断时未完成的移动
+ */
+
+/**
+ * @typedef {Object} CleanOptions
+ * @property {number|null} [retentionDays] - 保留天数（覆盖配置）
+ * @property {boolean} [force] - 是否直接删除文件（不移动到回收站，不会询问确认）
+ * @property {number|string|null} [minSize] - 最小文件大小，字节数或 "10MB" 形式（覆盖配置）
+ * @property {number|string|null} [maxSize] - 最大文件大小（覆盖配置）
+ * @property {number|string|null} [maxTotalSize] - 文件夹配额（覆盖配置，对所有文件夹启用配额模式）
+ * @property {boolean} [pruneEmptyDirs] - 是否删除清理后留下的空目录
+ * @property {number|null} [concurrency] - 同时进行的文件检查和移动、删除操作数（覆盖配置，默认 8）
+ * @property {number|null} [parallelFolders] - 同时清理的配置文件夹数（覆盖配置，默认 1）
+ * @property {AbortSignal|null} [signal] - 中止信号，中止后处理完当前文件即停止，结果中 aborted 为 true
+ * @property {boolean} [includeFiles] - 是否在结果的 files 中返回每个文件的记录（默认不返回，只统计数量；每个文件的记录可通过 file 事件获取）
+ */
+
+/**
+ * @typedef {Object} FileResult
+ * @property {string} folder - 所属的配置文件夹
+ * @property {string} sourcePath - 文件路径
+ * @property {'move'|'delete'|'skip'|'rmdir'} action - 执行（预演时为将要执行）的操作
+ * @property {string|null} targetPath - 移动到回收站后的路径
+ * @property {number|null} size - 文件大小（字节）
+ * @property {number|null} ageDays - 文件年龄（天）
+ * @property {string|null} reason - 跳过原因代码（见 SKIP_REASONS）
+ * @property {string|null} reasonText - 跳过原因说明
+ * @property {string|null} error - 错误信息
+ */
+
+/**
+ * @typedef {Object} CleanResult
+ * @property {string|null} profile - 使用的配置方案名称
+ * @property {string} runId - 运行ID（可用于 restore）
+ * @property {boolean} dryRun - 是否为预演（scan 的结果为 true）
+ * @property {boolean} aborted - 是否被中止
+ * @property {Object|null} resumed - 继续中断的运行时为之前的进度 { startedAt, movedFiles, deletedFiles, reclaimedSize, completedFolders }，否则为 null
+ * @property {string} startedAt - 开始时间（ISO 8601）
+ * @property {string} finishedAt - 结束时间（ISO 8601）
+ * @property {number} durationMs - 耗时（毫秒）
+ * @property {Object} parameters - 清理参数
+ * @property {Object} summary - 汇总 { totalFiles, movedFiles, deletedFiles, skippedFiles, reclaimedSize, removedDirs, skipReasons }
+ * @property {Array<Object>} folders - 各文件夹的结果
+ * @property {Array<FileResult>|null} files - 每个文件的结果，未指定 includeFiles 时为 null
+ * @property {Array<Object>} reconciledMoves - 清理前核对的中断运行中未完成的移动 { runId, sourcePath, trashPath, size, status }
+ * @property {Object|null} [trashPurge] - clean 结束后按 moveConfig.purgeAfterClear 清理回收站的结果（见 PurgeResult）
+ */
+
+/**
+ * @typedef {Object} RestoreResult
+ * @property {number} matchedFiles - 匹配的文件数
+ * @property {number} restoredFiles - 成功恢复的文件数
+ * @property {number} skippedFiles - 因原始位置已存在文件而跳过的文件数
+ * @property {number} failedFiles - 恢复失败的文件数
+ * @property {Array<Object>} fileList - 每个文件的结果 { status, restoredPath, error, sourcePath, trashPath, runId }
+ */
+
+/**
+ * @typedef {Object} PurgeResult
+ * @property {string} trashDir - 回收站目录
+ * @property {boolean} dryRun - 是否为预演
+ * @property {number} totalFiles - 回收站文件总数
+ * @property {number} totalSize - 回收站文件总大小（字节）
+ * @property {number} purgedFiles - 删除（预演时为将删除）的文件数
+ * @property {number} purgedSize - 删除的文件总大小（字节）
+ * @property {number} failedFiles - 删除失败的文件数
+ * @property {Array<Object>} fileList - 每个删除的文件 { trashPath, size, trashedAt, reason }
+ */
+
+/**
+ * 确定清理器使用的配置：复制传入的配置对象或读取配置文件，并校验配置
+ * @param {CleanerOptions} options - 清理器选项
+ * @returns {Object} - { config, filePath }
+ */
+const loadCleanerConfig = ({ config = null, configFile = null }) => {
+  let loadedConfig = config;
+  let filePath = null;
+  if (loadedConfig === null && configFile) {
+    filePath = path.resolve(configFile);
+    try {
+      loadedConfig = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+      throw createError('INVALID_CONFIG', `加载配置文件失败: ${filePath}: ${error.message}`);
+    }
+  }
+  if (loadedConfig === null || typeof loadedConfig !== 'object' || Array.isArray(loadedConfig)) {
+    throw createError('INVALID_CONFIG', '必须通过 config 提供配置对象或通过 configFile 指定配置文件');
+  }
+
+  const { errors, warnings } = validateConfig(loadedConfig);
+  const formatIssues = issues => issues.map(({ keyPath, message }) => ({ path: formatKeyPath(keyPath), message }));
+  if (errors.length > 0) {
+    const issues = formatIssues(errors);
+    throw createError('INVALID_CONFIG', `配置存在 ${errors.length} 个错误: ${issues.map(issue => `${issue.path}: ${issue.message}`).join('; ')}`, { issues });
+  }
+  formatIssues(warnings).forEach(issue => logger.warn(`配置警告: ${issue.path}: ${issue.message}`));
+
+  // 复制配置对象，创建清理器后调用方修改原对象不影响清理器
+  return { config: structuredClone(loadedConfig), filePath };
+};
+
+/**
+ * 创建清理器
+ * 清理器是一个 EventEmitter，处理过程中触发以下事件：
+ * - file：scan、clean 每处理完一个文件时触发，参数为 FileResult
+ * - restore：restore 每处理完一个文件时触发，参数为 RestoreResult.fileList 中的记录
+ * - purge：purgeTrash（以及 clean 结束后的自动回收站清理）每删除一个文件时触发，参数为 PurgeResult.fileList 中的记录
+ * 配置有误时抛出 code 为 INVALID_CONFIG 的错误（错误对象的 issues 为校验问题列表），方法的参数有误时抛出 INVALID_ARGUMENT
+ * @param {CleanerOptions} options - 清理器选项
+ * @returns {EventEmitter & { scan: Function, clean: Function, restore: Function, purgeTrash: Function }} - 清理器
+ */
+const createCleaner = (options = {}) => {
+  const { config, filePath } = loadCleanerConfig(options);
+  const profile = options.profile ?? null;
+  const baseDir = path.resolve(options.baseDir ?? (filePath ? path.dirname(filePath) : process.cwd()));
+  if (profile !== null && !Object.hasOwn(config.profiles ?? {}, profile)) {
+    throw createError('PROFILE_NOT_FOUND', `配置方案不存在: ${profile}`);
+  }
+
+  const cleaner = new EventEmitter();
+
+  /**
+   * 在清理器的配置作用域中执行函数
+   * @param {Function} fn - 要执行的函数
+   * @returns {Promise<*>} - 函数的返回值
+   */
+  const journalDirectory = options.journalDirectory === false ? null : options.journalDirectory;
+  const inScope = (fn) => runWithConfig({ config, baseDir, filePath, profile, journalDirectory }, fn);
+
+  /**
+   * 触发事件，监听器抛出的错误只记录日志，不中断清理
+   * @param {string} eventName - 事件名称
+   * @param {Object} payload - 事件参数
+   */
+  const emitSafely = (eventName, payload) => {
+    try {
+      cleaner.emit(eventName, payload);
+    } catch (error) {
+      logger.error(`事件监听器执行出错: ${eventName}`, { error: error.message });
+    }
+  };
+
+  /**
+   * 按配置清理（或预演）所有文件夹（见 runner.js 的 runCleanup）
+   * @param {CleanOptions} cleanOptions - 清理选项
+   * @param {boolean} dryRun - 是否为预演
+   * @returns {Promise<Object>} - { result, trashPurge }
+   */
+  const runFolders = async (cleanOptions, dryRun) => {
+    const folders = getAllFolders();
+    if (folders.length === 0) {
+      throw createError('NO_FOLDERS', profile === null ? '配置中没有配置任何文件夹' : `配置方案中没有配置任何文件夹: ${profile}`);
+    }
+    return runCleanup(folders, {
+      ...cleanOptions,
+      dryRun,
+      onFile: file => emitSafely('file', formatReportFile(file)),
+      collectFiles: cleanOptions.includeFiles === true,
+      resume: null,
+      onPurgeFile: file => emitSafely('purge', file)
+    });
+  };
+
+  /**
+   * 预演清理：返回将要移动、删除和跳过的文件，不改动文件系统
+   * @param {CleanOptions} scanOptions - 清理选项（force 只影响结果中的 action）
+   * @returns {Promise<CleanResult>} - 预演结果
+   */
+  const scan = (scanOptions = {}) => inScope(async () => {
+    const { result } = await runFolders(scanOptions, true);
+    return { profile, ...buildReport(result) };
+  });
+
+  /**
+   * 执行清理，配置了 moveConfig.purgeAfterClear 时在清理结束后按保留策略清理回收站
+   * @param {CleanOptions} cleanOptions - 清理选项
+   * @returns {Promise<CleanResult>} - 清理结果
+   */
+  const clean = (cleanOptions = {}) => inScope(async () => {
+    const { result, trashPurge } = await runFolders(cleanOptions, false);
+    return { profile, ...buildReport(result), trashPurge };
+  });
+
+  /**
+   * 从回收站恢复文件
+   * @param {Object} restoreOptions - 恢复选项
+   * @param {string} [restoreOptions.target] - 要恢复的文件（原始路径、回收站路径或通配符，相对路径相对于当前目录）
+   * @param {string} [restoreOptions.runId] - 要恢复的运行ID
+   * @param {string} [restoreOptions.onConflict] - 原始位置已存在文件时的处理方式：skip（默认）、rename、overwrite
+   * @returns {Promise<RestoreResult>} - 恢复结果
+   */
+  const restore = ({ target = null, runId = null, onConflict = 'skip' } = {}) => inScope(() => (
+    runRestore({ target, runId, onConflict, onFile: file => emitSafely('restore', file) })
+  ));
+
+  /**
+   * 按保留策略清理回收站
+   * @param {Object} purgeOptions - 清理选项
+   * @param {number|null} [purgeOptions.maxAgeDays] - 最长保留天数（默认读取 moveConfig.maxAgeDays）
+   * @param {number|string|null} [purgeOptions.maxTotalSize] - 最大总大小（默认读取 moveConfig.maxTotalSize）
+   * @param {boolean} [purgeOptions.dryRun] - 是否为预演（只统计不删除）
+   * @returns {Promise<PurgeResult>} - 清理结果
+   */
+  const purge = ({ maxAgeDays, maxTotalSize, dryRun = false } = {}) => inScope(() => (
+    runPurgeTrash({ maxAgeDays, maxTotalSize, dryRun, onFile: file => emitSafely('purge', file) })
+  ));
+
+  return Object.assign(cleaner, { scan, clean, restore, purgeTrash: purge });
+};
+
+export { SKIP_REASONS, createCleaner, setConsoleLogging };
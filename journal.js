@@ -0,0 +1,461 @@
+/**
+ * 运行日志模块
+ * 清理过程中逐条记录每次运行的进度（运行日志目录中的 <运行ID>.jsonl，每行一条 JSON 记录，目录位置见 getJournalDirectory），
+ * 使被中断（进程被终止、断电或收到 SIGTERM）的运行可以从最后的检查点继续，并在下次启动时核对未完成的移动
+ * - 移动文件前先记录移动意图，移动完成或失败后再记录结果
+ * - 目录中的文件和子目录全部处理完成时记录目录检查点，文件夹（包括删除空目录）处理完成时记录文件夹检查点
+ * - 运行正常结束后删除运行日志，中止或异常退出时保留，可使用 --resume 继续
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import logger from './logger.js';
+import { getConfigScope, getStateDirectory } from './config.js';
+import { appendTrashRecord } from './recycleBin.js';
+import { isProcessRunning } from './utils.js';
+
+// 运行日志目录名称（位于运行状态目录中）
+const JOURNAL_DIR_NAME = 'journal';
+
+// 运行日志文件的扩展名
+const JOURNAL_FILE_EXTENSION = '.jsonl';
+
+// 运行ID的格式（只允许字母、数字、下划线和连字符，避免拼接出目录外的路径）
+const RUN_ID_PATTERN = /^[\w-]+$/;
+
+// 核对未完成的移动的结果
+const RECONCILE_STATUSES = {
+  'rolled-back': '源文件仍在原位置，已删除回收站中不完整的副本',
+  completed: '移动已完成，已补充回收站记录',
+  partial: '源文件已不存在，回收站中的文件不完整，已保留并记录',
+  missing: '源文件和回收站中的文件都不存在'
+};
+
+// 当前进程中正在写入的运行日志（运行ID），核对和继续时跳过
+const activeRunIds = new Set();
+
+// 当前进程中已核对过的运行日志目录，每个目录只在启动后的第一次清理时核对
+const reconciledDirectories = new Set();
+
+/**
+ * 获取运行日志目录
+ * 默认为当前配置文件的运行状态目录（见 config.js 的 getStateDirectory）中的 journal 目录，与回收站是否可用无关；
+ * 配置作用域（程序接口）可以指定其他目录或关闭运行日志
+ * @returns {string|null} - 运行日志目录，配置作用域中关闭了运行日志时返回 null
+ */
+const getJournalDirectory = () => {
+  const journalDirectory = getConfigScope()?.journalDirectory;
+  return journalDirectory !== undefined ? journalDirectory : path.join(getStateDirectory(), JOURNAL_DIR_NAME);
+};
+
+/**
+ * 获取运行日志文件路径
+ * @param {string} journalDir - 运行日志目录
+ * @param {string} runId - 运行ID
+ * @returns {string} - 运行日志文件路径
+ */
+const getJournalPath = (journalDir, runId) => path.join(journalDir, `${runId}${JOURNAL_FILE_EXTENSION}`);
+
+/**
+ * 列出运行日志目录中的运行日志文件，按运行ID（即开始时间）从早到晚排列
+ * @param {string} journalDir - 运行日志目录
+ * @returns {Array<string>} - 运行日志文件路径
+ */
+const listJournalFiles = (journalDir) => {
+  if (!fs.existsSync(journalDir)) {
+    return [];
+  }
+  return fs.readdirSync(journalDir)
+    .filter(fileName => fileName.endsWith(JOURNAL_FILE_EXTENSION))
+    .sort()
+    .map(fileName => path.join(journalDir, fileName));
+};
+
+/**
+ * 以追加方式打开运行日志文件
+ * 进程在写入过程中退出时最后一行可能不完整，先补上换行，避免与新的记录连在一起
+ * @param {string} filePath - 运行日志文件路径
+ * @returns {number} - 文件描述符
+ */
+const openJournalFile = (filePath) => {
+  fs.ensureDirSync(path.dirname(filePath));
+  const fd = fs.openSync(filePath, 'a+');
+  const { size } = fs.fstatSync(fd);
+  if (size > 0) {
+    const lastByte = Buffer.alloc(1);
+    fs.readSync(fd, lastByte, 0, 1, size - 1);
+    if (lastByte[0] !== 0x0a) {
+      fs.writeSync(fd, '\n');
+    }
+  }
+  return fd;
+};
+
+/**
+ * 将一条记录应用到运行状态上
+ * @param {Object} state - 运行状态（见 readRunJournal）
+ * @param {Object} record - 运行日志记录
+ */
+const applyJournalRecord = (state, record) => {
+  switch (record.type) {
+    case 'start':
+      Object.assign(state, {
+        runId: record.runId,
+        startedAt: record.startedAt,
+        pid: record.pid,
+        profile: record.profile ?? null,
+        folders: record.folders ?? [],
+        parameters: record.parameters ?? {}
+      });
+      break;
+    case 'resume':
+      state.pid = record.pid;
+      break;
+    case 'move':
+      state.pendingMoves.set(record.sourcePath, record);
+      break;
+    case 'moved':
+      state.pendingMoves.delete(record.sourcePath);
+      state.movedFiles++;
+      state.reclaimedSize += record.size ?? 0;
+      break;
+    case 'move-failed':
+      state.pendingMoves.delete(record.sourcePath);
+      break;
+    case 'deleted':
+      state.deletedFiles++;
+      state.reclaimedSize += record.size ?? 0;
+      break;
+    case 'reconciled':
+      state.pendingMoves.delete(record.sourcePath);
+      if (record.status === 'completed' || record.status === 'partial') {
+        state.movedFiles++;
+        state.reclaimedSize += record.size ?? 0;
+      }
+      break;
+    case 'dir':
+      state.completedDirs.add(record.path);
+      break;
+    case 'folder':
+      state.completedFolders.add(record.path);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * 逐行读取运行日志，汇总运行状态
+ * @param {string} filePath - 运行日志文件路径
+ * @returns {Promise<Object|null>} - 运行状态 { runId, filePath, startedAt, pid, profile, folders, parameters,
+ *   completedDirs, completedFolders, movedFiles, deletedFiles, reclaimedSize, pendingMoves }，没有开始记录时返回 null
+ */
+const readRunJournal = async (filePath) => {
+  const state = {
+    runId: null,
+    filePath,
+    startedAt: null,
+    pid: null,
+    profile: null,
+    folders: [],
+    parameters: {},
+    completedDirs: new Set(),
+    completedFolders: new Set(),
+    movedFiles: 0,
+    deletedFiles: 0,
+    reclaimedSize: 0,
+    // 已记录移动意图但没有结果的移动（源文件路径 -> 移动意图）
+    pendingMoves: new Map()
+  };
+
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      applyJournalRecord(state, JSON.parse(line));
+    } catch (error) {
+      // 进程在写入过程中退出时最后一行可能不完整
+      logger.warn(`运行日志格式错误，已忽略第 ${lineNumber} 行`, { filePath });
+    }
+  }
+
+  if (state.runId === null) {
+    logger.warn(`运行日志缺少开始记录，已忽略: ${filePath}`);
+    return null;
+  }
+  return state;
+};
+
+/**
+ * 判断运行是否仍在进行（当前进程正在写入，或写入该运行日志的其他进程仍在运行）
+ * @param {Object} state - 运行状态
+ * @returns {boolean} - 是否仍在进行
+ */
+const isRunActive = (state) => (
+  activeRunIds.has(state.runId) || (state.pid !== process.pid && Number.isInteger(state.pid) && isProcessRunning(state.pid))
+);
+
+/**
+ * 打开运行日志，返回记录进度的对象
+ * @param {string} filePath - 运行日志文件路径
+ * @param {string} runId - 运行ID
+ * @param {Object|null} state - 继续中断的运行时为之前的运行状态
+ * @returns {Object} - 运行日志
+ */
+const openRunJournal = (filePath, runId, state = null) => {
+  let fd = openJournalFile(filePath);
+  let writeFailed = false;
+  const completedDirs = state?.completedDirs ?? new Set();
+  const completedFolders = state?.completedFolders ?? new Set();
+  activeRunIds.add(runId);
+
+  /**
+   * 追加一条记录（同步写入，进程随时退出都不会丢失已返回的记录）
+   * @param {Object} record - 记录内容
+   */
+  const write = (record) => {
+    if (fd === null) {
+      return;
+    }
+    try {
+      fs.writeSync(fd, `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      // 运行日志写入失败不影响清理，只是中断后无法继续
+      if (!writeFailed) {
+        writeFailed = true;
+        logger.warn(`写入运行日志失败，本次运行中断后将无法继续: ${filePath}`, { error: error.message });
+      }
+    }
+  };
+
+  return {
+    runId,
+    filePath,
+    // 继续中断的运行时，之前已处理的文件统计
+    previous: state && {
+      startedAt: state.startedAt,
+      movedFiles: state.movedFiles,
+      deletedFiles: state.deletedFiles,
+      reclaimedSize: state.reclaimedSize,
+      completedFolders: state.completedFolders.size
+    },
+    isDirectoryDone: dirPath => completedDirs.has(dirPath),
+    isFolderDone: folderPath => completedFolders.has(folderPath),
+    write,
+    recordMoveStart: ({ sourcePath, trashPath, trashDir, size, mtimeMs }) => write({ type: 'move', sourcePath, trashPath, trashDir, size, mtimeMs }),
+    recordMoved: (sourcePath, trashPath, size) => write({ type: 'moved', sourcePath, trashPath, size }),
+    recordMoveFailed: sourcePath => write({ type: 'move-failed', sourcePath }),
+    recordDeleted: (sourcePath, size) => write({ type: 'deleted', sourcePath, size }),
+    recordDirectory: (dirPath) => {
+      completedDirs.add(dirPath);
+      write({ type: 'dir', path: dirPath });
+    },
+    recordFolder: (folderPath) => {
+      completedFolders.add(folderPath);
+      write({ type: 'folder', path: folderPath });
+    },
+    /**
+     * 关闭运行日志
+     * @param {boolean} completed - 运行是否正常结束（正常结束时删除运行日志）
+     */
+    close: (completed) => {
+      if (fd === null) {
+        return;
+      }
+      fs.closeSync(fd);
+      fd = null;
+      activeRunIds.delete(runId);
+      if (completed) {
+        fs.removeSync(filePath);
+        logger.debug(`运行已完成，删除运行日志: ${filePath}`);
+      } else {
+        logger.info(`运行未完成，保留运行日志（可使用 --resume ${runId} 继续）: ${filePath}`);
+      }
+    }
+  };
+};
+
+/**
+ * 为新的运行创建运行日志
+ * 运行日志无法创建（如目录不可写）时记录警告并返回 null，本次清理照常进行，只是中断后无法继续
+ * @param {Object} run - 运行信息
+ * @param {string} run.runId - 运行ID
+ * @param {string|null} run.profile - 配置方案名称
+ * @param {Array<string>} run.folders - 本次清理的文件夹路径
+ * @param {Object} run.parameters - 命令行指定的清理参数（retentionDays、forceDelete、minSize、maxSize、maxTotalSize、pruneEmptyDirs）
+ * @returns {Object|null} - 运行日志（见 openRunJournal），关闭了运行日志或无法创建时返回 null
+ */
+const createRunJournal = ({ runId, profile, folders, parameters }) => {
+  const journalDir = getJournalDirectory();
+  if (journalDir === null) {
+    return null;
+  }
+  let journal;
+  try {
+    journal = openRunJournal(getJournalPath(journalDir, runId), runId);
+  } catch (error) {
+    logger.warn(`无法创建运行日志，本次运行中断后将无法继续: ${journalDir}`, { error: error.message });
+    return null;
+  }
+  journal.write({ type: 'start', runId, pid: process.pid, startedAt: new Date().toISOString(), profile, folders, parameters });
+  return journal;
+};
+
+/**
+ * 查找可以继续的中断运行
+ * @param {string|null} runId - 运行ID，未指定时返回最近一次中断的运行
+ * @returns {Promise<Object|null>} - 运行状态（见 readRunJournal），没有找到、运行仍在进行或关闭了运行日志时返回 null
+ */
+const findInterruptedRun = async (runId = null) => {
+  const journalDir = getJournalDirectory();
+  if (journalDir === null || (runId !== null && !RUN_ID_PATTERN.test(runId))) {
+    return null;
+  }
+  const candidates = runId === null ? listJournalFiles(journalDir).reverse() : [getJournalPath(journalDir, runId)];
+  for (const filePath of candidates) {
+    if (!fs.existsSync(filePath)) {
+      continue;
+    }
+    const state = await readRunJournal(filePath);
+    if (state && !isRunActive(state)) {
+      return state;
+    }
+  }
+  return null;
+};
+
+/**
+ * 继续中断的运行：读取之前的进度，在原运行日志后继续记录
+ * 找不到运行日志或运行仍在进行时抛出错误（错误码 RUN_NOT_FOUND）
+ * @param {string} runId - 运行ID
+ * @returns {Promise<Object>} - 运行日志（见 openRunJournal），previous 为之前已处理的文件统计
+ */
+const resumeRunJournal = async (runId) => {
+  const state = await findInterruptedRun(runId);
+  if (!state) {
+    const error = new Error(`没有找到可以继续的中断运行: ${runId}`);
+    error.code = 'RUN_NOT_FOUND';
+    throw error;
+  }
+  const journal = openRunJournal(state.filePath, runId, state);
+  journal.write({ type: 'resume', pid: process.pid, resumedAt: new Date().toISOString() });
+  logger.info(`继续中断的运行: ${runId}`, {
+    startedAt: state.startedAt,
+    movedFiles: state.movedFiles,
+    deletedFiles: state.deletedFiles,
+    completedFolders: state.completedFolders.size,
+    completedDirs: state.completedDirs.size
+  });
+  return journal;
+};
+
+/**
+ * 核对一个未完成的移动
+ * - 源文件仍在原位置（且与记录一致）：移动没有完成，删除回收站中可能残留的副本，源文件留待继续或下次清理时处理
+ * - 源文件已不存在，回收站中的文件完整：移动已完成，只是没有来得及记录，补充回收站记录以便恢复
+ * - 源文件已不存在，回收站中的文件不完整：保留该文件并在回收站记录中标记为 partial
+ * @param {Object} intent - 移动意图 { sourcePath, trashPath, trashDir, size, mtimeMs }
+ * @param {string} runId - 运行ID
+ * @returns {Promise<string>} - 核对结果（见 RECONCILE_STATUSES）
+ */
+const reconcileMove = async (intent, runId) => {
+  const { sourcePath, trashPath, trashDir, size, mtimeMs } = intent;
+  const getStats = async (filePath) => {
+    try {
+      return await fs.promises.lstat(filePath);
+    } catch (error) {
+      return null;
+    }
+  };
+  const sourceStats = await getStats(sourcePath);
+  const targetStats = await getStats(trashPath);
+
+  // 原位置的文件与记录不一致时，是移动完成后新建的同名文件
+  if (sourceStats && sourceStats.size === size && sourceStats.mtimeMs === mtimeMs) {
+    if (targetStats) {
+      await fs.remove(trashPath);
+    }
+    return 'rolled-back';
+  }
+  if (!targetStats) {
+    return 'missing';
+  }
+
+  const partial = targetStats.size !== size;
+  appendTrashRecord({
+    runId,
+    sourcePath,
+    trashPath,
+    size: targetStats.size,
+    mtimeMs,
+    trashedAt: Date.now(),
+    ...(partial ? { partial: true } : {})
+  }, trashDir);
+  return partial ? 'partial' : 'completed';
+};
+
+/**
+ * 核对中断的运行留下的未完成的移动（每个运行日志目录在进程启动后只核对一次）
+ * 仍在进行的运行（当前进程或其他仍在运行的进程）不会被核对
+ * @returns {Promise<Array<Object>>} - 核对结果 [{ runId, sourcePath, trashPath, size, status }]，关闭了运行日志时为空数组
+ */
+const reconcileInterruptedRuns = async () => {
+  const journalDir = getJournalDirectory();
+  if (journalDir === null || reconciledDirectories.has(journalDir)) {
+    return [];
+  }
+  reconciledDirectories.add(journalDir);
+
+  let journalFiles;
+  try {
+    journalFiles = listJournalFiles(journalDir);
+  } catch (error) {
+    logger.warn(`读取运行日志目录失败，跳过核对: ${journalDir}`, { error: error.message });
+    return [];
+  }
+
+  const reconciledMoves = [];
+  for (const filePath of journalFiles) {
+    try {
+      const state = await readRunJournal(filePath);
+      if (!state || state.pendingMoves.size === 0 || isRunActive(state)) {
+        continue;
+      }
+      const fd = openJournalFile(filePath);
+      try {
+        for (const intent of state.pendingMoves.values()) {
+          const status = await reconcileMove(intent, state.runId);
+          const record = { runId: state.runId, sourcePath: intent.sourcePath, trashPath: intent.trashPath, size: intent.size, status };
+          fs.writeSync(fd, `${JSON.stringify({ type: 'reconciled', ...record })}\n`);
+          reconciledMoves.push(record);
+          const logLevel = status === 'rolled-back' || status === 'completed' ? 'warn' : 'error';
+          logger[logLevel](`核对中断的移动: ${RECONCILE_STATUSES[status]}: ${intent.sourcePath}`, { runId: state.runId, trashPath: intent.trashPath });
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (error) {
+      logger.error(`核对运行日志失败: ${filePath}`, { error: error.message });
+    }
+  }
+
+  if (reconciledMoves.length > 0) {
+    logger.info('中断的运行中未完成的移动已核对完成', { reconciledMoves: reconciledMoves.length });
+  }
+  return reconciledMoves;
+};
+
+export {
+  JOURNAL_DIR_NAME,
+  RECONCILE_STATUSES,
+  getJournalDirectory,
+  createRunJournal,
+  findInterruptedRun,
+  resumeRunJournal,
+  reconcileInterruptedRuns
+};
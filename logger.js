@@ -1,44 +1,14 @@
 /**
  * 日志配置模块
  * 使用winston库实现日志记录
+ * 日志实例创建时只输出到控制台，确定配置文件后调用 configureLogger 按 logConfig 添加日志文件输出
  */
 
 import winston from 'winston';
 import { format } from 'winston';
 import path from 'path';
 import fs from 'fs';
-import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
-
-/**
- * 获取当前模块的目录路径
- * @returns {string} - 当前模块的目录路径
- */
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-/**
- * 加载YAML配置文件
- * @returns {Object} - 配置对象
- */
-const loadConfig = () => {
-  try {
-    const configPath = path.join(__dirname, 'config.yaml');
-    const fileContents = fs.readFileSync(configPath, 'utf8');
-    const data = yaml.load(fileContents);
-    return data;
-  } catch (e) {
-    console.error(`加载配置文件失败: ${e.message}`);
-    throw e;
-  }
-};
-
-const config = loadConfig();
-
-// 确保日志目录存在
-const logDir = path.dirname(config.logConfig.filePath);
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
+import { getConfig, getDefaultPath, resolveConfigRelativePath } from './config.js';
 
 // 定义日志格式
 const logFormat = format.combine(
@@ -52,27 +22,65 @@ const logFormat = format.combine(
   })
 );
 
+// 控制台输出
+const consoleTransport = new winston.transports.Console({
+  format: format.combine(
+    format.colorize(),
+    logFormat
+  )
+});
+
+// 文件输出（由 configureLogger 创建）
+let fileTransport = null;
+
 // 创建日志实例
 const logger = winston.createLogger({
-  level: config.logConfig.level,
+  level: 'info',
   format: logFormat,
-  transports: [
-    // 控制台输出
-    new winston.transports.Console({
-      format: format.combine(
-        format.colorize(),
-        logFormat
-      )
-    }),
-    // 文件输出
-    new winston.transports.File({
-      filename: config.logConfig.filePath,
-      maxsize: config.logConfig.maxSize * 1024 * 1024, // 转换为字节
-      maxFiles: config.logConfig.maxFiles,
-      tailable: true,
-      zippedArchive: true
-    })
-  ]
+  transports: [consoleTransport]
 });
 
+/**
+ * 按配置文件中的 logConfig 设置日志级别并添加日志文件输出
+ * 日志文件的相对路径相对于配置文件所在目录，未配置时使用用户状态目录下的 logs/cleanup.log，重复调用时替换原有的日志文件输出
+ */
+const configureLogger = () => {
+  const logConfig = getConfig().logConfig || {};
+  const logFile = logConfig.filePath
+    ? resolveConfigRelativePath(logConfig.filePath)
+    : getDefaultPath('state', path.join('logs', 'cleanup.log'));
+
+  // 确保日志目录存在
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+
+  if (fileTransport) {
+    logger.remove(fileTransport);
+  }
+  fileTransport = new winston.transports.File({
+    filename: logFile,
+    maxsize: (logConfig.maxSize ?? 10) * 1024 * 1024, // 转换为字节
+    maxFiles: logConfig.maxFiles ?? 5,
+    tailable: true,
+    zippedArchive: true
+  });
+  logger.add(fileTransport);
+  logger.level = logConfig.level || 'info';
+};
+
+/**
+ * 将所有级别的控制台日志改为输出到 stderr（用于 --json 模式，保证 stdout 只包含 JSON 结果）
+ */
+const redirectConsoleToStderr = () => {
+  consoleTransport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+};
+
+/**
+ * 开启或关闭控制台日志（程序接口的使用者可以关闭控制台日志，改为向 logger 添加自己的输出）
+ * @param {boolean} enabled - 是否输出到控制台
+ */
+const setConsoleLogging = (enabled) => {
+  consoleTransport.silent = !enabled;
+};
+
 export default logger;
+export { configureLogger, redirectConsoleToStderr, setConsoleLogging };
@@ -0,0 +1,80 @@
+/**
+ * 命令输出模块
+ * 提供 --json 模式：每个命令向 stdout 输出一个结构固定的 JSON 文档，人类可读的输出和控制台日志改为输出到 stderr
+ */
+
+import fs from 'fs';
+import { redirectConsoleToStderr } from './logger.js';
+
+// JSON 结果中的错误码及其说明
+const ERROR_CODES = {
+  OK: '成功',
+  INVALID_ARGUMENT: '命令行参数无效',
+  INVALID_PATH: '路径无效或不可访问',
+  INVALID_RULE: '文件夹规则无效',
+  UNSAFE_PATH: '路径是系统关键路径或配置的受保护路径',
+  FOLDER_EXISTS: '文件夹已存在于配置中',
+  FOLDER_NOT_FOUND: '文件夹不存在于配置中',
+  PROFILE_NOT_FOUND: '配置方案不存在',
+  INVALID_SETTING: '配置项或配置值无效',
+  ITEM_EXISTS: '列表中已存在该值',
+  ITEM_NOT_FOUND: '列表中没有该值',
+  CONFIG_WRITE_FAILED: '保存配置失败',
+  INVALID_CONFIG: '配置文件存在错误',
+  NO_FOLDERS: '配置文件中没有配置任何文件夹',
+  CANCELLED: '操作已被用户取消',
+  REPORT_FAILED: '写入运行报告失败',
+  NO_TRASH_RETENTION: '未配置回收站保留策略',
+  NO_MATCH: '回收站记录中没有找到匹配的文件',
+  PARTIAL_FAILURE: '部分文件处理失败',
+  PROFILE_FAILED: '部分配置方案清理失败',
+  NO_SCHEDULE: '配置文件中没有配置任何计划任务',
+  DAEMON_RUNNING: '守护进程已在运行',
+  RUN_NOT_FOUND: '没有找到可以继续的中断运行',
+  INTERNAL_ERROR: '程序执行错误'
+};
+
+// 是否处于 JSON 输出模式
+let jsonOutput = false;
+
+/**
+ * 判断是否处于 JSON 输出模式
+ * @returns {boolean} - 是否处于 JSON 输出模式
+ */
+const isJsonOutput = () => jsonOutput;
+
+/**
+ * 启用 JSON 输出模式：console.log / console.info 和控制台日志全部改为输出到 stderr
+ * 需要在产生任何输出之前调用
+ */
+const enableJsonOutput = () => {
+  if (jsonOutput) {
+    return;
+  }
+  jsonOutput = true;
+  console.log = console.error;
+  console.info = console.error;
+  redirectConsoleToStderr();
+};
+
+/**
+ * 向 stdout 输出命令的 JSON 结果（仅在 JSON 输出模式下输出）
+ * 同步写入，保证随后调用 process.exit 时输出完整
+ * @param {Object} result - 命令结果
+ * @param {string} result.command - 命令名称
+ * @param {boolean} result.success - 是否成功
+ * @param {string} result.code - 错误码（见 ERROR_CODES），成功时为 OK
+ * @param {string|null} result.message - 结果说明
+ * @param {*} result.data - 命令数据，失败时通常为 null
+ */
+const printJsonResult = ({ command, success, code, message = null, data = null }) => {
+  if (!jsonOutput) {
+    return;
+  }
+  // 去掉面向终端的 [SUCCESS] / [ERROR] 前缀
+  const plainMessage = message === null ? null : String(message).replace(/^\[(SUCCESS|ERROR)\]\s*/, '');
+  const document = { command, success, code, message: plainMessage, data };
+  fs.writeSync(process.stdout.fd, `${JSON.stringify(document, null, 2)}\n`);
+};
+
+export { ERROR_CODES, isJsonOutput, enableJsonOutput, printJsonResult };
@@ -0,0 +1,197 @@
+/**
+ * 关键路径保护模块
+ * 内置 Linux、macOS、Windows 的系统关键路径列表，并支持在配置中通过 protectedPaths 添加自定义保护路径（支持通配符）
+ * 所有检查都基于解析符号链接后的真实路径
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { globToRegExp, isGlobPattern, toPosixPath } from './pathMatcher.js';
+import { expandHome } from './utils.js';
+
+/**
+ * 内置的系统关键路径
+ * - exact：只禁止清理该目录本身（其子目录可以作为清理目标）
+ * - subtree：禁止清理该目录及其下的任何内容，也禁止清理包含它的上级目录
+ * 文件系统根目录（/、C:\ 等）和当前用户主目录始终按 exact 处理
+ */
+const BUILTIN_PROTECTED_PATHS = {
+  linux: {
+    exact: ['/home', '/root', '/var', '/opt', '/srv', '/mnt', '/media'],
+    subtree: [
+      '/bin', '/boot', '/dev', '/etc', '/lib', '/lib32', '/lib64', '/libx32',
+      '/proc', '/run', '/sbin', '/snap', '/sys', '/usr', '/var/lib'
+    ]
+  },
+  darwin: {
+    exact: ['/Users', '/Volumes', '/private', '/private/var', '/opt'],
+    subtree: [
+      '/Applications', '/Library', '/System', '/bin', '/sbin', '/usr', '/dev',
+      '/private/etc', '/private/var/db'
+    ]
+  },
+  win32: {
+    exact: ['C:\\Users'],
+    subtree: ['C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)', 'C:\\ProgramData']
+  }
+};
+
+/**
+ * 获取当前平台的路径处理模块
+ * @param {string} platform - 平台名称
+ * @returns {Object} - path.win32 或 path.posix
+ */
+const getPathModule = (platform) => (platform === 'win32' ? path.win32 : path.posix);
+
+/**
+ * 判断平台的文件系统是否默认不区分大小写
+ * @param {string} platform - 平台名称
+ * @returns {boolean} - 是否不区分大小写
+ */
+const isCaseInsensitive = (platform) => platform === 'win32' || platform === 'darwin';
+
+/**
+ * 解析路径的真实路径（解析符号链接），路径不存在时解析其最近的已存在上级目录
+ * @param {string} targetPath - 要解析的路径
+ * @returns {string} - 真实路径
+ */
+const resolveRealPath = (targetPath) => {
+  const absolutePath = path.resolve(targetPath);
+  try {
+    return fs.realpathSync.native(absolutePath);
+  } catch (error) {
+    const parentPath = path.dirname(absolutePath);
+    if (parentPath === absolutePath) {
+      return absolutePath;
+    }
+    return path.join(resolveRealPath(parentPath), path.basename(absolutePath));
+  }
+};
+
+/**
+ * 创建关键路径保护器
+ * @param {Array<string>} protectedPaths - 用户配置的保护路径（支持通配符和 ~），匹配的目录及其下的内容不会被清理
+ * @param {string} platform - 平台名称，默认为当前平台
+ * @returns {Object} - 保护器 { checkFolder, isProtected }
+ */
+const createPathGuard = (protectedPaths = [], platform = process.platform) => {
+  const pathModule = getPathModule(platform);
+  const ignoreCase = isCaseInsensitive(platform);
+  const builtin = BUILTIN_PROTECTED_PATHS[platform] || BUILTIN_PROTECTED_PATHS.linux;
+
+  /**
+   * 统一路径格式用于比较：规范化、去掉末尾分隔符，不区分大小写的平台转为小写
+   * @param {string} targetPath - 路径
+   * @returns {string} - 用于比较的路径
+   */
+  const normalize = (targetPath) => {
+    let normalized = pathModule.normalize(targetPath);
+    const { root } = pathModule.parse(normalized);
+    if (normalized.length > root.length) {
+      normalized = normalized.replace(/[\\/]+$/, '');
+    }
+    return ignoreCase ? normalized.toLowerCase() : normalized;
+  };
+
+  /**
+   * 判断 childPath 是否等于 parentPath 或位于其下
+   * @param {string} childPath - 已规范化的子路径
+   * @param {string} parentPath - 已规范化的父路径
+   * @returns {boolean} - 是否位于其下
+   */
+  const isWithin = (childPath, parentPath) => {
+    const relative = pathModule.relative(parentPath, childPath);
+    return relative === '' || (!relative.startsWith('..') && !pathModule.isAbsolute(relative));
+  };
+
+  // Windows 系统目录不一定位于 C 盘，同时加入环境变量中的实际位置
+  const environmentPaths = platform === 'win32'
+    ? [process.env.SystemRoot, process.env.ProgramFiles, process.env['ProgramFiles(x86)'], process.env.ProgramData].filter(Boolean)
+    : [];
+  const exactPaths = [...builtin.exact, os.homedir()].map(normalize);
+  const subtreePaths = [...builtin.subtree, ...environmentPaths].map(normalize);
+
+  // 用户配置的保护路径：通配符模式匹配完整路径，普通路径按目录及其子内容处理
+  const userPatterns = protectedPaths.map((protectedPath) => {
+    const expanded = expandHome(String(protectedPath).trim());
+    if (isGlobPattern(expanded)) {
+      const regex = globToRegExp(toPosixPath(expanded), { ignoreCase });
+      return { pattern: protectedPath, matches: targetPath => regex.test(toPosixPath(targetPath)) };
+    }
+    const normalizedPath = normalize(pathModule.resolve(expanded));
+    return { pattern: protectedPath, matches: targetPath => isWithin(normalize(targetPath), normalizedPath) };
+  });
+
+  /**
+   * 查找匹配路径的用户保护规则
+   * @param {string} realPath - 真实路径
+   * @returns {string|null} - 匹配的保护规则，未匹配时返回 null
+   */
+  const findUserPattern = (realPath) => {
+    const matched = userPatterns.find(userPattern => userPattern.matches(realPath));
+    return matched ? matched.pattern : null;
+  };
+
+  /**
+   * 检查路径能否作为清理目标文件夹
+   * @param {string} realPath - 文件夹的真实路径
+   * @returns {string|null} - 拒绝原因，允许时返回 null
+   */
+  const checkFolder = (realPath) => {
+    const normalized = normalize(realPath);
+
+    if (pathModule.parse(normalized).root === normalized) {
+      return `不能清理文件系统根目录: ${realPath}`;
+    }
+    if (exactPaths.includes(normalized)) {
+      return `不能清理系统关键目录: ${realPath}`;
+    }
+    const subtreePath = subtreePaths.find(protectedPath => isWithin(normalized, protectedPath) || isWithin(protectedPath, normalized));
+    if (subtreePath) {
+      return `不能清理系统关键目录或包含它的目录: ${realPath}（受保护: ${subtreePath}）`;
+    }
+
+    // 用户保护规则：文件夹本身或任一上级目录匹配时拒绝
+    for (let current = realPath; ; current = pathModule.dirname(current)) {
+      const pattern = findUserPattern(current);
+      if (pattern) {
+        return `文件夹位于配置的受保护路径中: ${realPath}（protectedPaths: ${pattern}）`;
+      }
+      if (pathModule.dirname(current) === current) {
+        break;
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * 检查遍历过程中遇到的目录或文件是否受保护
+   * 用于跳过通过符号链接进入的系统目录，以及位于清理文件夹内部的用户保护路径
+   * 文件系统根目录、exact 列表中的目录和当前用户主目录在遍历中遇到时同样跳过，不进入其中
+   * @param {string} realPath - 目录或文件的真实路径
+   * @returns {boolean} - 是否受保护
+   */
+  const isProtected = (realPath) => {
+    const normalized = normalize(realPath);
+    if (pathModule.parse(normalized).root === normalized || exactPaths.includes(normalized)) {
+      return true;
+    }
+    return subtreePaths.some(protectedPath => isWithin(normalized, protectedPath)) || findUserPattern(realPath) !== null;
+  };
+
+  return { checkFolder, isProtected };
+};
+
+/**
+ * 检查文件夹能否作为清理目标（基于真实路径）
+ * @param {string} folderPath - 文件夹路径
+ * @param {Array<string>} protectedPaths - 用户配置的保护路径
+ * @returns {string|null} - 拒绝原因，允许时返回 null
+ */
+const checkFolderSafety = (folderPath, protectedPaths = []) => (
+  createPathGuard(protectedPaths).checkFolder(resolveRealPath(folderPath))
+);
+
+export { BUILTIN_PROTECTED_PATHS, resolveRealPath, createPathGuard, checkFolderSafety };
@@ -0,0 +1,169 @@
+/**
+ * 路径匹配模块
+ * 提供通配符（glob）模式到正则表达式的转换以及路径匹配功能
+ * 支持用于 include / exclude 的模式列表（通配符或 re: 前缀的正则表达式）
+ */
+
+// 正则表达式模式的前缀，如 re:^logs/\d+\.log$
+const REGEX_PREFIX = 're:';
+
+/**
+ * 判断字符串是否包含通配符
+ * @param {string} pattern - 待检查的字符串
+ * @returns {boolean} - 是否为通配符模式
+ */
+const isGlobPattern = (pattern) => /[*?[\]{}]/.test(pattern);
+
+/**
+ * 将路径中的反斜杠统一转换为正斜杠
+ * @param {string} filePath - 文件路径
+ * @returns {string} - 使用正斜杠分隔的路径
+ */
+const toPosixPath = (filePath) => filePath.replace(/\\/g, '/');
+
+/**
+ * 将通配符模式转换为正则表达式
+ * 支持 *（不跨目录）、**（跨任意层目录）、?、[abc]、[!abc] 以及 {a,b}
+ * @param {string} pattern - 通配符模式
+ * @param {Object} options - 选项
+ * @param {boolean} options.ignoreCase - 是否忽略大小写
+ * @returns {RegExp} - 转换后的正则表达式
+ */
+const globToRegExp = (pattern, options = {}) => {
+  const glob = toPosixPath(pattern);
+  let source = '';
+  let groupDepth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    switch (char) {
+      case '*':
+        if (glob[i + 1] === '*') {
+          // "**/" 匹配零个或多个目录层级，单独的 "**" 匹配任意字符
+          if (glob[i + 2] === '/') {
+            source += '(?:.*/)?';
+            i += 2;
+          } else {
+            source += '.*';
+            i += 1;
+          }
+        } else {
+          source += '[^/]*';
+        }
+        break;
+      case '?':
+        source += '[^/]';
+        break;
+      case '[': {
+        const end = glob.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+          break;
+        }
+        let charClass = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (charClass.startsWith('!')) {
+          charClass = '^' + charClass.slice(1);
+        }
+        source += `[${charClass}]`;
+        i = end;
+        break;
+      }
+      case '{':
+        groupDepth++;
+        source += '(?:';
+        break;
+      case '}':
+        if (groupDepth > 0) {
+          groupDepth--;
+          source += ')';
+        } else {
+          source += '\\}';
+        }
+        break;
+      case ',':
+        source += groupDepth > 0 ? '|' : ',';
+        break;
+      default:
+        source += char.replace(/[.+^$()|\\\]]/g, '\\$&');
+    }
+  }
+
+  // 补齐未闭合的分组，避免生成非法的正则表达式
+  source += ')'.repeat(groupDepth);
+
+  return new RegExp(`^${source}$`, options.ignoreCase ? 'i' : '');
+};
+
+/**
+ * 检查路径是否匹配通配符模式
+ * Windows 平台下忽略大小写
+ * @param {string} filePath - 要检查的路径
+ * @param {string} pattern - 通配符模式
+ * @returns {boolean} - 是否匹配
+ */
+const matchGlob = (filePath, pattern) => {
+  const regex = globToRegExp(pattern, { ignoreCase: process.platform === 'win32' });
+  return regex.test(toPosixPath(filePath));
+};
+
+/**
+ * 编译单个 include / exclude 模式
+ * - re: 开头：正则表达式，匹配相对路径
+ * - 以 / 结尾：只匹配目录
+ * - 包含 /：通配符，匹配相对于配置文件夹的完整路径（开头的 / 表示从配置文件夹根部开始）
+ * - 不包含 /：通配符，匹配任意层级的文件名或目录名
+ * 通配符匹配不区分大小写
+ * @param {string} pattern - 模式字符串
+ * @returns {Function} - 匹配函数 (relativePath, isDirectory) => boolean
+ */
+const compilePattern = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    throw new Error(`无效的匹配模式: ${pattern}`);
+  }
+
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.slice(REGEX_PREFIX.length));
+    } catch (error) {
+      throw new Error(`无效的正则表达式 ${pattern}: ${error.message}`);
+    }
+    return (relativePath) => regex.test(relativePath);
+  }
+
+  let glob = toPosixPath(pattern.trim());
+  const directoryOnly = glob.endsWith('/');
+  if (directoryOnly) {
+    glob = glob.replace(/\/+$/, '');
+  }
+
+  const matchFullPath = glob.includes('/');
+  const regex = globToRegExp(glob.replace(/^\/+/, ''), { ignoreCase: true });
+
+  return (relativePath, isDirectory) => {
+    if (directoryOnly && !isDirectory) {
+      return false;
+    }
+    if (matchFullPath) {
+      // 目录同时以带斜杠的形式匹配，使 "**/cache/**" 这类模式可以直接排除 cache 目录
+      return regex.test(relativePath) || (isDirectory && regex.test(`${relativePath}/`));
+    }
+    return regex.test(relativePath.slice(relativePath.lastIndexOf('/') + 1));
+  };
+};
+
+/**
+ * 创建模式列表匹配器
+ * @param {Array<string>} patterns - 模式列表
+ * @returns {Function} - 匹配函数 (relativePath, isDirectory) => boolean，任一模式匹配即返回 true
+ */
+const createPatternMatcher = (patterns = []) => {
+  const matchers = patterns.map(compilePattern);
+  return (relativePath, isDirectory = false) => {
+    const posixPath = toPosixPath(relativePath);
+    return matchers.some(matcher => matcher(posixPath, isDirectory));
+  };
+};
+
+export { isGlobPattern, toPosixPath, globToRegExp, matchGlob, compilePattern, createPatternMatcher };
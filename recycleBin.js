@@ -0,0 +1,545 @@
+/**
+ * 回收站管理模块
+ * 记录移动到回收站的文件来源，并支持将文件恢复到原始位置
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import { getConfig, getDefaultPath, resolveConfigRelativePath } from './config.js';
+import { isGlobPattern, matchGlob } from './pathMatcher.js';
+import { formatFileSize, parseSize } from './utils.js';
+
+// 回收站内部元数据目录名称，清理记录保存在此目录中
+const META_DIR_NAME = '.file-cleanup';
+
+// 回收站记录文件名称（每行一条 JSON 记录）
+const INDEX_FILE_NAME = 'index.jsonl';
+
+// 恢复时目标位置已存在文件的处理方式
+const CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+
+/**
+ * 获取移动目标目录（回收站）的绝对路径
+ * 相对路径相对于配置文件所在目录，未配置时使用用户数据目录下的 trash
+ * @returns {string} - 目标目录的绝对路径
+ */
+const getMoveTargetDirectory = () => {
+  const moveConfig = getConfig().moveConfig || {};
+  return moveConfig.targetDirectory
+    ? resolveConfigRelativePath(moveConfig.targetDirectory)
+    : getDefaultPath('data', 'trash');
+};
+
+/**
+ * 获取配置文件夹在回收站中对应的子目录名称
+ * 使用文件夹名加路径哈希，避免不同位置的同名文件夹相互混淆
+ * @param {string} rootDir - 配置的文件夹路径
+ * @returns {string} - 回收站中的子目录名称，如 logs_1a2b3c4d
+ */
+const getTrashRootName = (rootDir) => {
+  const absoluteRoot = path.resolve(rootDir);
+  const hashSource = process.platform === 'win32' ? absoluteRoot.toLowerCase() : absoluteRoot;
+  const hash = crypto.createHash('md5').update(hashSource).digest('hex').slice(0, 8);
+  // 驱动器根目录或 / 没有文件夹名，使用 root 代替
+  const baseName = path.basename(absoluteRoot).replace(/[<>:"|?*\\/]/g, '_') || 'root';
+  return `${baseName}_${hash}`;
+};
+
+/**
+ * 获取文件在回收站中对应的目录，镜像其相对于配置文件夹的路径
+ * @param {string} trashDir - 回收站目录
+ * @param {string} rootDir - 配置的文件夹路径
+ * @param {string} filePath - 源文件路径
+ * @returns {string} - 回收站中存放该文件的目录
+ */
+const getMirroredTrashDir = (trashDir, rootDir, filePath) => {
+  const relativeDir = path.relative(path.resolve(rootDir), path.dirname(path.resolve(filePath)));
+  // 文件不在配置文件夹内时（理论上不应出现），直接放在该文件夹对应的子目录下
+  const safeRelativeDir = relativeDir.startsWith('..') || path.isAbsolute(relativeDir) ? '' : relativeDir;
+  return path.join(trashDir, getTrashRootName(rootDir), safeRelativeDir);
+};
+
+/**
+ * 获取唯一的文件名，处理文件名冲突
+ * @param {string} targetDir - 目标目录
+ * @param {string} fileName - 原始文件名
+ * @returns {string} - 唯一的文件路径
+ */
+const getUniqueFileName = (targetDir, fileName) => {
+  const filePath = path.join(targetDir, fileName);
+
+  if (!fs.existsSync(filePath)) {
+    return filePath;
+  }
+
+  const ext = path.extname(fileName);
+  const baseName = path.basename(fileName, ext);
+  let counter = 1;
+
+  let uniquePath;
+  do {
+    uniquePath = path.join(targetDir, `${baseName}_${counter}${ext}`);
+    counter++;
+  } while (fs.existsSync(uniquePath));
+
+  return uniquePath;
+};
+
+/**
+ * 生成清理运行ID，格式为 年月日-时分秒-随机串
+ * @returns {string} - 运行ID
+ */
+const generateRunId = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  const datePart = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+  const timePart = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${datePart}-${timePart}-${crypto.randomBytes(2).toString('hex')}`;
+};
+
+/**
+ * 获取回收站记录文件路径
+ * @param {string} trashDir - 回收站目录
+ * @returns {string} - 记录文件的绝对路径
+ */
+const getTrashIndexPath = (trashDir = getMoveTargetDirectory()) => {
+  return path.join(trashDir, META_DIR_NAME, INDEX_FILE_NAME);
+};
+
+/**
+ * 追加一条回收站记录
+ * @param {Object} record - 记录内容 { runId, sourcePath, trashPath, size, mtimeMs, trashedAt }
+ * @param {string} trashDir - 回收站目录
+ * @returns {boolean} - 是否写入成功
+ */
+const appendTrashRecord = (record, trashDir = getMoveTargetDirectory()) => {
+  const indexPath = getTrashIndexPath(trashDir);
+  try {
+    fs.ensureDirSync(path.dirname(indexPath));
+    fs.appendFileSync(indexPath, JSON.stringify(record) + '\n', 'utf8');
+    logger.debug(`写入回收站记录: ${record.trashPath}`, { runId: record.runId });
+    return true;
+  } catch (error) {
+    logger.warn(`写入回收站记录失败: ${record.trashPath}`, { error: error.message });
+    return false;
+  }
+};
+
+/**
+ * 读取全部回收站记录
+ * @param {string} trashDir - 回收站目录
+ * @returns {Array<Object>} - 回收站记录列表
+ */
+const loadTrashRecords = (trashDir = getMoveTargetDirectory()) => {
+  const indexPath = getTrashIndexPath(trashDir);
+  if (!fs.existsSync(indexPath)) {
+    return [];
+  }
+
+  const records = [];
+  const lines = fs.readFileSync(indexPath, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`回收站记录格式错误，已忽略第 ${index + 1} 行`, { indexPath });
+    }
+  });
+  return records;
+};
+
+/**
+ * 覆盖保存回收站记录（先写临时文件再重命名，避免记录文件损坏）
+ * @param {Array<Object>} records - 回收站记录列表
+ * @param {string} trashDir - 回收站目录
+ */
+const saveTrashRecords = (records, trashDir = getMoveTargetDirectory()) => {
+  const indexPath = getTrashIndexPath(trashDir);
+  const tempPath = `${indexPath}.tmp`;
+  fs.ensureDirSync(path.dirname(indexPath));
+  fs.writeFileSync(tempPath, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+  fs.renameSync(tempPath, indexPath);
+};
+
+/**
+ * 按运行ID汇总回收站记录
+ * @returns {Array<Object>} - 运行列表 [{ runId, fileCount, totalSize, trashedAt }]
+ */
+const listTrashRuns = () => {
+  const runs = new Map();
+  for (const record of loadTrashRecords()) {
+    const run = runs.get(record.runId) || { runId: record.runId, fileCount: 0, totalSize: 0, trashedAt: record.trashedAt };
+    run.fileCount++;
+    run.totalSize += record.size || 0;
+    if (record.trashedAt < run.trashedAt) {
+      run.trashedAt = record.trashedAt;
+    }
+    runs.set(record.runId, run);
+  }
+  return [...runs.values()].sort((a, b) => a.trashedAt - b.trashedAt);
+};
+
+/**
+ * 检查回收站记录是否与恢复目标匹配
+ * @param {Object} record - 回收站记录
+ * @param {string} target - 原始路径、回收站路径或通配符
+ * @returns {boolean} - 是否匹配
+ */
+const isRecordMatched = (record, target) => {
+  if (isGlobPattern(target)) {
+    const pattern = path.isAbsolute(target) ? target : path.join(process.cwd(), target);
+    return matchGlob(record.sourcePath, pattern) || matchGlob(record.trashPath, pattern);
+  }
+
+  const absoluteTarget = path.resolve(target);
+  const normalize = (filePath) => process.platform === 'win32' ? filePath.toLowerCase() : filePath;
+  return normalize(record.sourcePath) === normalize(absoluteTarget)
+    || normalize(record.trashPath) === normalize(absoluteTarget);
+};
+
+/**
+ * 将单个回收站记录对应的文件恢复到原始位置
+ * @param {Object} record - 回收站记录
+ * @param {string} onConflict - 冲突处理方式：skip、rename、overwrite
+ * @returns {Promise<Object>} - 恢复结果 { status: 'restored'|'skipped'|'failed', restoredPath, error? }
+ */
+const restoreRecord = async (record, onConflict) => {
+  const { sourcePath, trashPath } = record;
+
+  try {
+    if (!fs.existsSync(trashPath)) {
+      logger.warn(`回收站中的文件不存在，无法恢复: ${trashPath}`, { sourcePath });
+      return { status: 'failed', restoredPath: null, error: '回收站中的文件不存在' };
+    }
+
+    // 重新创建缺失的父目录
+    const sourceDir = path.dirname(sourcePath);
+    fs.ensureDirSync(sourceDir);
+
+    let restoredPath = sourcePath;
+    let overwrite = false;
+
+    if (fs.existsSync(sourcePath)) {
+      switch (onConflict) {
+        case 'rename':
+          restoredPath = getUniqueFileName(sourceDir, path.basename(sourcePath));
+          logger.info(`原始位置已存在文件，恢复为新文件名: ${restoredPath}`, { sourcePath });
+          break;
+        case 'overwrite':
+          overwrite = true;
+          logger.warn(`原始位置已存在文件，将被覆盖: ${sourcePath}`);
+          break;
+        default:
+          logger.info(`原始位置已存在文件，跳过恢复: ${sourcePath}`);
+          return { status: 'skipped', restoredPath: null, error: '原始位置已存在文件' };
+      }
+    }
+
+    await fs.move(trashPath, restoredPath, { overwrite });
+    logger.info(`成功恢复文件: ${trashPath} -> ${restoredPath}`, { runId: record.runId });
+    return { status: 'restored', restoredPath };
+  } catch (error) {
+    logger.error(`恢复文件失败: ${trashPath}`, { sourcePath, error: error.message });
+    return { status: 'failed', restoredPath: null, error: error.message };
+  }
+};
+
+/**
+ * 恢复文件后自下而上删除回收站中因此变空的目录，直到回收站根目录（不删除根目录）
+ * @param {string} trashPath - 已恢复文件原先在回收站中的路径
+ * @param {string} trashDir - 回收站根目录
+ */
+const removeEmptyTrashParents = (trashPath, trashDir) => {
+  const isInsideTrash = (dirPath) => {
+    const relativePath = path.relative(trashDir, dirPath);
+    return relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  };
+
+  let dirPath = path.dirname(trashPath);
+  while (isInsideTrash(dirPath)) {
+    try {
+      if (fs.readdirSync(dirPath).length > 0) {
+        return;
+      }
+      fs.rmdirSync(dirPath);
+      logger.debug(`删除回收站空目录: ${dirPath}`);
+    } catch (error) {
+      logger.debug(`删除回收站空目录失败: ${dirPath}`, { error: error.message });
+      return;
+    }
+    dirPath = path.dirname(dirPath);
+  }
+};
+
+/**
+ * 从回收站恢复文件
+ * 回收站中的文件已不存在的记录在本次报告为失败后从记录中移除，之后的恢复不再重复报告
+ * @param {Object} options - 恢复选项
+ * @param {string} options.target - 要恢复的文件（原始路径、回收站路径或通配符）
+ * @param {string} options.runId - 要恢复的运行ID（恢复该次运行移动的全部文件）
+ * @param {string} options.onConflict - 冲突处理方式：skip（默认）、rename、overwrite
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用 onFile(file)，file 为结果中 fileList 的记录
+ * @returns {Promise<Object>} - 恢复结果统计
+ */
+const restoreFiles = async ({ target = null, runId = null, onConflict = 'skip', onFile = null } = {}) => {
+  logger.info('开始恢复文件', { target, runId, onConflict });
+
+  const trashDir = getMoveTargetDirectory();
+  const records = loadTrashRecords();
+  const remainingRecords = [];
+  let droppedRecords = 0;
+  const fileList = [];
+  let restoredFiles = 0;
+  let skippedFiles = 0;
+  let failedFiles = 0;
+
+  for (const record of records) {
+    const matched = (!runId || record.runId === runId) && (!target || isRecordMatched(record, target));
+    if (!matched) {
+      remainingRecords.push(record);
+      continue;
+    }
+
+    const result = await restoreRecord(record, onConflict);
+    const fileRecord = { ...result, sourcePath: record.sourcePath, trashPath: record.trashPath, runId: record.runId };
+    fileList.push(fileRecord);
+    onFile?.(fileRecord);
+
+    if (result.status === 'restored') {
+      restoredFiles++;
+      removeEmptyTrashParents(record.trashPath, trashDir);
+    } else if (result.status === 'failed' && !fs.existsSync(record.trashPath)) {
+      // 回收站中的文件已不存在（如被手动删除），保留记录也无法再恢复
+      failedFiles++;
+      droppedRecords++;
+      logger.warn(`已移除回收站中不存在的文件的记录: ${record.trashPath}`, { sourcePath: record.sourcePath });
+    } else {
+      // 未成功恢复的文件保留记录，便于再次恢复
+      remainingRecords.push(record);
+      if (result.status === 'skipped') {
+        skippedFiles++;
+      } else {
+        failedFiles++;
+      }
+    }
+  }
+
+  if (restoredFiles > 0 || droppedRecords > 0) {
+    saveTrashRecords(remainingRecords);
+  }
+
+  logger.info('恢复文件完成', { matchedFiles: fileList.length, restoredFiles, skippedFiles, failedFiles, droppedRecords });
+
+  return {
+    matchedFiles: fileList.length,
+    restoredFiles,
+    skippedFiles,
+    failedFiles,
+    fileList
+  };
+};
+
+/**
+ * 获取回收站保留策略
+ * @returns {Object} - 保留策略 { maxAgeDays: number|null, maxTotalSize: number|null, purgeAfterClear: boolean }
+ */
+const getTrashRetention = () => {
+  const moveConfig = getConfig().moveConfig || {};
+  const maxAgeDays = moveConfig.maxAgeDays;
+  const maxTotalSize = moveConfig.maxTotalSize;
+
+  if (maxAgeDays !== undefined && maxAgeDays !== null && !(Number.isFinite(maxAgeDays) && maxAgeDays >= 0)) {
+    throw new Error(`moveConfig.maxAgeDays 必须是一个非负数: ${maxAgeDays}`);
+  }
+
+  let maxTotalSizeBytes = null;
+  if (maxTotalSize !== undefined && maxTotalSize !== null) {
+    maxTotalSizeBytes = parseSize(maxTotalSize);
+    if (maxTotalSizeBytes === null) {
+      throw new Error(`moveConfig.maxTotalSize 格式无效（示例: 500MB、10GB）: ${maxTotalSize}`);
+    }
+  }
+
+  return {
+    maxAgeDays: maxAgeDays ?? null,
+    maxTotalSize: maxTotalSizeBytes,
+    purgeAfterClear: moveConfig.purgeAfterClear === true
+  };
+};
+
+/**
+ * 递归收集回收站中的全部文件（跳过内部元数据目录）
+ * @param {string} dirPath - 当前目录
+ * @param {string} trashDir - 回收站根目录
+ * @param {Array<Object>} fileList - 收集结果 [{ trashPath, size, ctimeMs }]
+ * @returns {Array<Object>} - 收集结果
+ */
+const collectTrashFiles = (dirPath, trashDir, fileList = []) => {
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (dirPath === trashDir && entry.name === META_DIR_NAME) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      collectTrashFiles(entryPath, trashDir, fileList);
+    } else {
+      const stats = fs.lstatSync(entryPath);
+      fileList.push({ trashPath: entryPath, size: stats.size, ctimeMs: stats.ctimeMs });
+    }
+  }
+  return fileList;
+};
+
+/**
+ * 自下而上删除回收站中的空目录（不删除回收站根目录和元数据目录）
+ * @param {string} dirPath - 当前目录
+ * @param {string} trashDir - 回收站根目录
+ * @returns {boolean} - 当前目录是否已被删除
+ */
+const removeEmptyTrashDirs = (dirPath, trashDir) => {
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory() && !(dirPath === trashDir && entry.name === META_DIR_NAME)) {
+      removeEmptyTrashDirs(path.join(dirPath, entry.name), trashDir);
+    }
+  }
+  if (dirPath !== trashDir && fs.readdirSync(dirPath).length === 0) {
+    fs.rmdirSync(dirPath);
+    logger.debug(`删除回收站空目录: ${dirPath}`);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * 按保留策略清理回收站
+ * 先删除进入回收站超过 maxAgeDays 天的文件，再按进入回收站的时间从旧到新删除，直到总大小不超过 maxTotalSize
+ * 文件进入回收站的时间取自回收站记录，没有记录的文件使用其状态改变时间（ctime）
+ * @param {Object} options - 清理选项
+ * @param {number|null} options.maxAgeDays - 最长保留天数（默认读取 moveConfig.maxAgeDays）
+ * @param {number|null} options.maxTotalSize - 最大总大小，字节（默认读取 moveConfig.maxTotalSize）
+ * @param {boolean} options.dryRun - 是否为预演模式（只统计不删除）
+ * @param {Function|null} options.onFile - 每从回收站删除一个文件时调用 onFile(file)，file 为结果中 fileList 的记录
+ * @returns {Promise<Object>} - 清理结果统计
+ */
+const purgeTrash = async (options = {}) => {
+  const retention = getTrashRetention();
+  const maxAgeDays = options.maxAgeDays !== undefined ? options.maxAgeDays : retention.maxAgeDays;
+  const maxTotalSize = options.maxTotalSize !== undefined ? options.maxTotalSize : retention.maxTotalSize;
+  const dryRun = options.dryRun === true;
+  const trashDir = getMoveTargetDirectory();
+
+  logger.info('开始清理回收站', { trashDir, maxAgeDays, maxTotalSize, dryRun });
+
+  const result = {
+    trashDir,
+    dryRun,
+    totalFiles: 0,
+    totalSize: 0,
+    purgedFiles: 0,
+    purgedSize: 0,
+    failedFiles: 0,
+    fileList: []
+  };
+
+  if (!fs.existsSync(trashDir)) {
+    logger.info(`回收站目录不存在，无需清理: ${trashDir}`);
+    return result;
+  }
+
+  const hasAgeLimit = maxAgeDays !== null && maxAgeDays !== undefined;
+  const hasSizeLimit = maxTotalSize !== null && maxTotalSize !== undefined;
+  if (!hasAgeLimit && !hasSizeLimit) {
+    logger.warn('未配置回收站保留策略（moveConfig.maxAgeDays / moveConfig.maxTotalSize），跳过清理');
+    return result;
+  }
+
+  // 以回收站记录中的进入时间为准
+  const records = loadTrashRecords(trashDir);
+  const recordMap = new Map(records.map(record => [record.trashPath, record]));
+  const files = collectTrashFiles(trashDir, trashDir).map(file => ({
+    ...file,
+    trashedAt: recordMap.get(file.trashPath)?.trashedAt ?? file.ctimeMs
+  }));
+  files.sort((a, b) => a.trashedAt - b.trashedAt);
+
+  result.totalFiles = files.length;
+  result.totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+  const now = Date.now();
+  let remainingSize = result.totalSize;
+  const purgedPaths = new Set();
+
+  for (const file of files) {
+    let reason;
+    if (hasAgeLimit && now - file.trashedAt > maxAgeDays * 24 * 60 * 60 * 1000) {
+      reason = 'age';
+    } else if (hasSizeLimit && remainingSize > maxTotalSize) {
+      reason = 'size';
+    } else {
+      // 文件按进入时间从旧到新排序，之后的文件既未过期也无需为空间让路
+      break;
+    }
+
+    try {
+      if (!dryRun) {
+        fs.removeSync(file.trashPath);
+      }
+      purgedPaths.add(file.trashPath);
+      remainingSize -= file.size;
+      result.purgedFiles++;
+      result.purgedSize += file.size;
+      const fileRecord = { trashPath: file.trashPath, size: file.size, trashedAt: file.trashedAt, reason };
+      result.fileList.push(fileRecord);
+      options.onFile?.(fileRecord);
+      logger.info(`${dryRun ? '[预演] 将从回收站删除' : '从回收站删除'}: ${file.trashPath}`, {
+        reason,
+        fileSize: formatFileSize(file.size)
+      });
+    } catch (error) {
+      result.failedFiles++;
+      logger.warn(`从回收站删除文件失败: ${file.trashPath}`, { error: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    // 移除已删除文件以及已不存在文件的记录
+    const remainingRecords = records.filter(record =>
+      !purgedPaths.has(record.trashPath) && fs.existsSync(record.trashPath)
+    );
+    if (remainingRecords.length !== records.length) {
+      saveTrashRecords(remainingRecords, trashDir);
+    }
+    removeEmptyTrashDirs(trashDir, trashDir);
+  }
+
+  logger.info('回收站清理完成', {
+    purgedFiles: result.purgedFiles,
+    purgedSize: formatFileSize(result.purgedSize),
+    failedFiles: result.failedFiles,
+    dryRun
+  });
+
+  return result;
+};
+
+export {
+  CONFLICT_MODES,
+  getMoveTargetDirectory,
+  getUniqueFileName,
+  getTrashRootName,
+  getMirroredTrashDir,
+  generateRunId,
+  getTrashIndexPath,
+  appendTrashRecord,
+  loadTrashRecords,
+  saveTrashRecords,
+  listTrashRuns,
+  restoreFiles,
+  getTrashRetention,
+  purgeTrash
+};
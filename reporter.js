@@ -0,0 +1,293 @@
+/**
+ * 运行报告模块
+ * 将 executeCleanup 的结果写入 JSON、CSV 或 HTML 格式的运行报告
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { SKIP_REASONS } from './cleaner.js';
+import { formatFileSize } from './utils.js';
+
+// 支持的报告格式
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+// CSV 报告的列（最后几列只在文件夹汇总行中填写）
+const CSV_COLUMNS = [
+  'runId', 'dryRun', 'startedAt', 'finishedAt', 'folder', 'sourcePath', 'action',
+  'targetPath', 'size', 'ageDays', 'reason', 'reasonText', 'error',
+  'totalFiles', 'movedFiles', 'deletedFiles', 'skippedFiles', 'reclaimedSize', 'removedDirs'
+];
+
+// 以这些字符开头的单元格会被电子表格当作公式执行
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * 确定报告格式：优先使用指定的格式，否则按文件扩展名推断，默认为 json
+ * @param {string} filePath - 报告文件路径
+ * @param {string|null} format - 指定的报告格式
+ * @returns {string} - 报告格式
+ */
+const getReportFormat = (filePath, format = null) => {
+  if (format) {
+    return format.toLowerCase();
+  }
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (extension === 'htm') {
+    return 'html';
+  }
+  return REPORT_FORMATS.includes(extension) ? extension : 'json';
+};
+
+/**
+ * 将清理结果中的一条文件记录整理为报告中的一行
+ * @param {Object} file - executeCleanup 结果中 movedFilesList 或 skippedFilesList 的记录（跳过的记录带有 reason）
+ * @returns {Object} - 报告行 { folder, sourcePath, action, targetPath, size, ageDays, reason, reasonText, error }
+ */
+const formatReportFile = (file) => {
+  if (file.reason === undefined) {
+    return {
+      folder: file.folder,
+      sourcePath: file.sourcePath,
+      action: file.action,
+      targetPath: file.targetPath,
+      size: file.size,
+      ageDays: file.ageDays,
+      reason: null,
+      reasonText: null,
+      error: null
+    };
+  }
+  return {
+    folder: file.folder,
+    sourcePath: file.sourcePath,
+    action: 'skip',
+    targetPath: null,
+    size: null,
+    ageDays: null,
+    reason: file.reason,
+    reasonText: SKIP_REASONS[file.reason] || file.reason,
+    error: file.error
+  };
+};
+
+/**
+ * 将清理结果整理为报告对象
+ * 每个被处理的文件一行：action 为 move（移动到回收站）、delete（直接删除）、skip（跳过）或 rmdir（删除空目录）
+ * 清理时未保存文件记录（executeCleanup 的 collectFiles 为 false）时 files 为 null，汇总仍然完整
+ * @param {Object} result - executeCleanup 返回的结果
+ * @returns {Object} - 报告对象
+ */
+const buildReport = (result) => {
+  const files = result.movedFilesList && [
+    ...result.movedFilesList.map(formatReportFile),
+    ...result.skippedFilesList.map(formatReportFile),
+    ...result.removedDirsList.map(dir => ({
+      folder: dir.folder,
+      sourcePath: dir.path,
+      action: 'rmdir',
+      targetPath: null,
+      size: null,
+      ageDays: null,
+      reason: null,
+      reasonText: null,
+      error: null
+    }))
+  ];
+
+  return {
+    runId: result.runId,
+    dryRun: result.dryRun,
+    aborted: result.aborted,
+    // 继续中断的运行时，之前已处理的文件统计（本报告只包含继续后处理的文件）
+    resumed: result.resumed ?? null,
+    // 启动时核对的中断运行中未完成的移动
+    reconciledMoves: result.reconciledMoves ?? [],
+    startedAt: result.startedAt,
+    finishedAt: result.finishedAt,
+    durationMs: new Date(result.finishedAt) - new Date(result.startedAt),
+    parameters: result.parameters,
+    summary: {
+      totalFiles: result.totalFiles,
+      movedFiles: result.movedFiles - result.deletedFiles,
+      deletedFiles: result.deletedFiles,
+      skippedFiles: result.skippedFiles,
+      reclaimedSize: result.reclaimedSize,
+      removedDirs: result.removedDirs,
+      skipReasons: result.skipReasons
+    },
+    folders: result.folderResults.map(folder => ({
+      ...folder,
+      quota: result.quotaList.find(quota => quota.path === folder.path) || null
+    })),
+    files
+  };
+};
+
+/**
+ * 转义 CSV 字段
+ * 以 =、+、-、@ 开头的文本（如名为 =HYPERLINK(...) 的文件）前加 '，避免在电子表格中被当作公式
+ * @param {*} value - 字段值
+ * @returns {string} - 转义后的字段
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 生成 CSV 报告（每个文件夹一行汇总，action 为 folder；之后每个被处理的文件一行，每行包含运行ID和起止时间）
+ * 以 UTF-8 BOM 开头，便于 Excel 正确识别中文
+ * @param {Object} report - buildReport 生成的报告对象
+ * @returns {string} - CSV 内容
+ */
+const formatCsvReport = (report) => {
+  const folderRows = report.folders.map(folder => ({
+    folder: folder.path,
+    action: 'folder',
+    totalFiles: folder.totalFiles,
+    movedFiles: folder.movedFiles,
+    deletedFiles: folder.deletedFiles,
+    skippedFiles: folder.skippedFiles,
+    reclaimedSize: folder.reclaimedSize,
+    removedDirs: folder.removedDirs
+  }));
+  const rows = [...folderRows, ...report.files].map(row => CSV_COLUMNS.map((column) => {
+    const value = column in row ? row[column] : report[column];
+    return escapeCsv(value);
+  }).join(','));
+  return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+};
+
+/**
+ * 转义 HTML 文本
+ * @param {*} value - 文本
+ * @returns {string} - 转义后的文本
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 生成 HTML 表格
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array>} rows - 表格行
+ * @returns {string} - HTML 表格
+ */
+const renderHtmlTable = (headers, rows) => `<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+/**
+ * 生成 HTML 报告（独立的单个文件，不依赖外部资源）
+ * @param {Object} report - buildReport 生成的报告对象
+ * @returns {string} - HTML 内容
+ */
+const formatHtmlReport = (report) => {
+  const actionLabels = { move: '移动到回收站', delete: '直接删除', skip: '跳过', rmdir: '删除空目录' };
+  const { summary, parameters } = report;
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<title>文件清理报告 ${escapeHtml(report.runId)}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 24px; font-size: 13px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f0f0f0; }
+</style>
+</head>
+<body>
+<h1>文件清理报告${report.dryRun ? '（预演）' : ''}${report.aborted ? '（已中止）' : ''}</h1>
+<h2>运行信息</h2>
+${renderHtmlTable(['项目', '值'], [
+    ['运行ID', report.runId],
+    ['开始时间', report.startedAt],
+    ['结束时间', report.finishedAt],
+    ['耗时（毫秒）', report.durationMs],
+    ['继续中断的运行', report.resumed ? `是（之前已移动 ${report.resumed.movedFiles} 个、删除 ${report.resumed.deletedFiles} 个文件）` : '否'],
+    ['保留天数', parameters.retentionDays ?? '按配置'],
+    ['强制删除', parameters.forceDelete ? '是' : '否'],
+    ['最小文件大小', parameters.minSize === null ? '按配置' : formatFileSize(parameters.minSize)],
+    ['最大文件大小', parameters.maxSize === null ? '按配置' : formatFileSize(parameters.maxSize)],
+    ['配额', parameters.maxTotalSize === null ? '按配置' : formatFileSize(parameters.maxTotalSize)],
+    ['删除空目录', parameters.pruneEmptyDirs ? '是' : '按配置'],
+    ['并发数', parameters.concurrency ?? '-'],
+    ['同时清理的文件夹数', parameters.parallelFolders ?? '-']
+  ])}
+<h2>汇总</h2>
+${renderHtmlTable(['检查文件', '移动文件', '删除文件', '跳过文件', '释放空间', '删除空目录'], [[
+    summary.totalFiles, summary.movedFiles, summary.deletedFiles, summary.skippedFiles,
+    formatFileSize(summary.reclaimedSize), summary.removedDirs
+  ]])}
+<h2>文件夹</h2>
+${renderHtmlTable(['文件夹', '操作', '保留天数', '配额', '检查文件', '移动文件', '删除文件', '跳过文件', '释放空间', '删除空目录'],
+    report.folders.map(folder => [
+      folder.path,
+      actionLabels[folder.action === 'trash' ? 'move' : folder.action],
+      folder.retentionDays ?? '-',
+      folder.maxTotalSize === null ? '-' : formatFileSize(folder.maxTotalSize),
+      folder.totalFiles, folder.movedFiles, folder.deletedFiles, folder.skippedFiles,
+      formatFileSize(folder.reclaimedSize), folder.removedDirs
+    ]))}
+<h2>文件明细</h2>
+${renderHtmlTable(['文件夹', '路径', '操作', '目标路径', '大小', '年龄（天）', '跳过原因', '错误'],
+    report.files.map(file => [
+      file.folder,
+      file.sourcePath,
+      actionLabels[file.action],
+      file.targetPath ?? '',
+      file.size === null ? '' : formatFileSize(file.size),
+      file.ageDays ?? '',
+      file.reasonText ?? '',
+      file.error ?? ''
+    ]))}
+</body>
+</html>
+`;
+};
+
+/**
+ * 写入运行报告
+ * @param {Object} result - executeCleanup 返回的结果
+ * @param {string} filePath - 报告文件路径（相对路径基于当前工作目录）
+ * @param {string|null} format - 报告格式（json、csv、html），为空时按文件扩展名推断
+ * @returns {Object} - 写入结果 { success, filePath, format, error }
+ */
+const writeReport = (result, filePath, format = null) => {
+  const reportPath = path.resolve(filePath);
+  const reportFormat = getReportFormat(reportPath, format);
+
+  try {
+    if (!REPORT_FORMATS.includes(reportFormat)) {
+      throw new Error(`不支持的报告格式: ${reportFormat}（支持: ${REPORT_FORMATS.join('、')}）`);
+    }
+
+    const report = buildReport(result);
+    const formatters = {
+      json: data => `${JSON.stringify(data, null, 2)}\n`,
+      csv: formatCsvReport,
+      html: formatHtmlReport
+    };
+
+    fs.ensureDirSync(path.dirname(reportPath));
+    fs.writeFileSync(reportPath, formatters[reportFormat](report), 'utf8');
+    return { success: true, filePath: reportPath, format: reportFormat, error: null };
+  } catch (error) {
+    return { success: false, filePath: reportPath, format: reportFormat, error: error.message };
+  }
+};
+
+export { REPORT_FORMATS, getReportFormat, formatReportFile, buildReport, writeReport };
@@ -0,0 +1,135 @@
+/**
+ * 运行模块
+ * 命令行（app.js）和程序接口（index.js）共用的清理、恢复和回收站清理流程：统一校验和解析参数，
+ * 调用 cleaner.js 和 recycleBin.js 执行，清理结束后按 moveConfig.purgeAfterClear 自动清理回收站
+ * 配置来自当前加载的配置文件或调用方建立的配置作用域（见 config.js 的 runWithConfig），输出结果由调用方负责
+ */
+
+import { executeCleanup } from './cleaner.js';
+import { CONFLICT_MODES, restoreFiles, purgeTrash, getTrashRetention } from './recycleBin.js';
+import { parseSize } from './utils.js';
+
+/**
+ * 创建带有错误码的错误（错误码见 output.js 的 ERROR_CODES）
+ * @param {string} code - 错误码
+ * @param {string} message - 错误信息
+ * @param {Object} details - 附加到错误对象上的属性
+ * @returns {Error} - 错误对象
+ */
+const createError = (code, message, details = {}) => Object.assign(new Error(message), { code }, details);
+
+/**
+ * 将大小参数解析为字节数
+ * @param {number|string|null|undefined} value - 字节数或 "10MB" 形式的大小
+ * @param {string} name - 参数名称（用于错误信息）
+ * @returns {number|null} - 字节数，未指定时返回 null
+ */
+const resolveSizeOption = (value, name) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const size = parseSize(value);
+  if (size === null) {
+    throw createError('INVALID_ARGUMENT', `${name} 无效: ${value}（示例: 1048576、500KB、10MB、1.5GB）`);
+  }
+  return size;
+};
+
+/**
+ * 校验并发类参数
+ * @param {number|null|undefined} value - 并发数
+ * @param {string} name - 参数名称（用于错误信息）
+ * @returns {number|null} - 并发数，未指定时返回 null（使用配置中的值）
+ */
+const resolveCountOption = (value, name) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw createError('INVALID_ARGUMENT', `${name} 必须是一个正整数: ${value}`);
+  }
+  return value;
+};
+
+/**
+ * 清理（或预演）文件夹，清理正常结束后按 moveConfig.purgeAfterClear 清理回收站
+ * @param {Array<string|Object>} folders - 要清理的文件夹配置项（路径字符串或规则对象）
+ * @param {Object} options - 清理选项
+ * @param {number|null} options.retentionDays - 保留天数（覆盖配置）
+ * @param {boolean} options.force - 是否直接删除文件
+ * @param {boolean} options.dryRun - 是否为预演（预演不清理回收站）
+ * @param {number|string|null} options.minSize - 最小文件大小，字节数或 "10MB" 形式（覆盖配置）
+ * @param {number|string|null} options.maxSize - 最大文件大小（覆盖配置）
+ * @param {number|string|null} options.maxTotalSize - 文件夹配额（覆盖配置，对所有文件夹启用配额模式）
+ * @param {boolean} options.pruneEmptyDirs - 是否删除清理后留下的空目录
+ * @param {number|null} options.concurrency - 同时进行的文件检查和移动、删除操作数（覆盖配置）
+ * @param {number|null} options.parallelFolders - 同时清理的配置文件夹数（覆盖配置）
+ * @param {AbortSignal|null} options.signal - 中止信号
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用（见 executeCleanup）
+ * @param {boolean} options.collectFiles - 是否在结果中保存每个文件的记录
+ * @param {string|null} options.resume - 要继续的中断运行的运行ID
+ * @param {Function|null} options.onPurgeFile - 自动清理回收站时每删除一个文件时调用（见 purgeTrash）
+ * @returns {Promise<Object>} - { result, trashPurge }，result 为 executeCleanup 的返回结果，trashPurge 为自动清理回收站的结果（未执行时为 null）
+ */
+const runCleanup = async (folders, options = {}) => {
+  const dryRun = options.dryRun === true;
+  const result = await executeCleanup(folders, options.retentionDays ?? null, options.force === true, {
+    dryRun,
+    minSize: resolveSizeOption(options.minSize, 'minSize'),
+    maxSize: resolveSizeOption(options.maxSize, 'maxSize'),
+    maxTotalSize: resolveSizeOption(options.maxTotalSize, 'maxTotalSize'),
+    pruneEmptyDirs: options.pruneEmptyDirs === true,
+    concurrency: resolveCountOption(options.concurrency, 'concurrency'),
+    parallelFolders: resolveCountOption(options.parallelFolders, 'parallelFolders'),
+    signal: options.signal ?? null,
+    onFile: options.onFile ?? null,
+    collectFiles: options.collectFiles === true,
+    resume: options.resume ?? null
+  });
+  const trashPurge = !dryRun && !result.aborted && getTrashRetention().purgeAfterClear
+    ? await purgeTrash({ onFile: options.onPurgeFile ?? null })
+    : null;
+  return { result, trashPurge };
+};
+
+/**
+ * 从回收站恢复文件
+ * @param {Object} options - 恢复选项
+ * @param {string|null} options.target - 要恢复的文件（原始路径、回收站路径或通配符）
+ * @param {string|null} options.runId - 要恢复的运行ID
+ * @param {string} options.onConflict - 原始位置已存在文件时的处理方式：skip（默认）、rename、overwrite
+ * @param {Function|null} options.onFile - 每处理完一个文件时调用（见 restoreFiles）
+ * @returns {Promise<Object>} - restoreFiles 的返回结果
+ */
+const runRestore = async ({ target = null, runId = null, onConflict = 'skip', onFile = null } = {}) => {
+  if (!target && !runId) {
+    throw createError('INVALID_ARGUMENT', '必须指定 target 或 runId');
+  }
+  if (!CONFLICT_MODES.includes(onConflict)) {
+    throw createError('INVALID_ARGUMENT', `onConflict 无效: ${onConflict}（可选值: ${CONFLICT_MODES.join('、')}）`);
+  }
+  return restoreFiles({ target, runId, onConflict, onFile });
+};
+
+/**
+ * 按保留策略清理回收站
+ * @param {Object} options - 清理选项
+ * @param {number|null} [options.maxAgeDays] - 最长保留天数（默认读取 moveConfig.maxAgeDays）
+ * @param {number|string|null} [options.maxTotalSize] - 最大总大小（默认读取 moveConfig.maxTotalSize）
+ * @param {boolean} [options.dryRun] - 是否为预演（只统计不删除）
+ * @param {Function|null} [options.onFile] - 每删除一个文件时调用（见 purgeTrash）
+ * @returns {Promise<Object>} - purgeTrash 的返回结果
+ */
+const runPurgeTrash = async ({ maxAgeDays, maxTotalSize, dryRun = false, onFile = null } = {}) => {
+  if (maxAgeDays !== undefined && maxAgeDays !== null && !(Number.isInteger(maxAgeDays) && maxAgeDays >= 0)) {
+    throw createError('INVALID_ARGUMENT', `maxAgeDays 必须是一个非负整数: ${maxAgeDays}`);
+  }
+  return purgeTrash({
+    ...(maxAgeDays !== undefined && { maxAgeDays }),
+    ...(maxTotalSize !== undefined && { maxTotalSize: resolveSizeOption(maxTotalSize, 'maxTotalSize') }),
+    dryRun,
+    onFile
+  });
+};
+
+export { createError, runCleanup, runRestore, runPurgeTrash };
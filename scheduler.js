@@ -0,0 +1,164 @@
+/**
+ * 计划时间模块
+ * 解析 cron 表达式并计算下一次运行的时间（按本地时间）
+ * 支持标准的 5 个字段（分钟 小时 日 月 星期），字段中可使用 *、列表（1,15）、范围（1-5）、步长（*\/10、0-30/5）
+ * 以及月份和星期的英文缩写（jan、mon），还支持 @hourly、@daily、@weekly、@monthly、@yearly 等简写
+ */
+
+// cron 表达式的字段
+const CRON_FIELDS = [
+  { name: '分钟', min: 0, max: 59 },
+  { name: '小时', min: 0, max: 23 },
+  { name: '日', min: 1, max: 31 },
+  { name: '月', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  // 星期中 0 和 7 都表示星期日
+  { name: '星期', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// cron 表达式的简写
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// 查找下一次运行时间的最大范围，超出范围仍未找到时视为永远不会运行（如 2 月 30 日）
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * 解析字段中的单个值（数字或英文缩写）
+ * @param {string} text - 值
+ * @param {Object} field - 字段定义
+ * @returns {number} - 值
+ */
+const parseCronValue = (text, field) => {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (nameIndex !== -1) {
+    return nameIndex + field.min;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`${field.name}字段的值无效: ${text}`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name}字段的值超出范围: ${text}（${field.min}-${field.max}）`);
+  }
+  return value;
+};
+
+/**
+ * 解析 cron 表达式中的一个字段
+ * @param {string} text - 字段文本
+ * @param {Object} field - 字段定义
+ * @returns {Set<number>} - 字段匹配的值
+ */
+const parseCronField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i);
+    if (!match) {
+      throw new Error(`${field.name}字段格式无效: ${part}`);
+    }
+    const step = match[4] === undefined ? 1 : Number(match[4]);
+    if (step < 1) {
+      throw new Error(`${field.name}字段的步长必须大于 0: ${part}`);
+    }
+    let start = field.min;
+    let end = field.max;
+    if (!match[1]) {
+      start = parseCronValue(match[2], field);
+      // "5/15" 表示从 5 开始每 15 个单位一次
+      end = match[3] !== undefined ? parseCronValue(match[3], field) : (match[4] !== undefined ? field.max : start);
+    }
+    if (start > end) {
+      throw new Error(`${field.name}字段的范围无效: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+/**
+ * 解析 cron 表达式
+ * @param {string} expression - cron 表达式，如 "0 3 * * *"、"*\/30 * * * 1-5"、"@daily"
+ * @returns {Object} - 计划 { expression, minutes, hours, days, months, weekdays, dayRestricted, weekdayRestricted }
+ */
+const parseCronExpression = (expression) => {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('cron 表达式不能为空');
+  }
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] ?? expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`cron 表达式需要 5 个字段（分钟 小时 日 月 星期）: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+  return {
+    expression,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // 与标准 cron 相同：日和星期都有限制时满足其一即可
+    dayRestricted: !parts[2].startsWith('*'),
+    weekdayRestricted: !parts[4].startsWith('*')
+  };
+};
+
+/**
+ * 判断日期是否满足计划中的日和星期
+ * @param {Object} schedule - 计划（见 parseCronExpression）
+ * @param {Date} date - 日期
+ * @returns {boolean} - 是否满足
+ */
+const matchesDay = (schedule, date) => {
+  const dayMatched = schedule.days.has(date.getDate());
+  const weekdayMatched = schedule.weekdays.has(date.getDay());
+  if (schedule.dayRestricted && schedule.weekdayRestricted) {
+    return dayMatched || weekdayMatched;
+  }
+  return dayMatched && weekdayMatched;
+};
+
+/**
+ * 计算指定时间之后的下一次运行时间
+ * @param {Object} schedule - 计划（见 parseCronExpression）
+ * @param {Date} after - 起始时间（不含）
+ * @returns {Date|null} - 下一次运行时间（精确到分钟），永远不会运行时返回 null
+ */
+const getNextRunTime = (schedule, after) => {
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = new Date(after.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (time <= limit) {
+    if (!schedule.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  return null;
+};
+
+export { CRON_MACROS, parseCronExpression, getNextRunTime };
@@ -0,0 +1,186 @@
+/**
+ * 通用工具模块
+ * 提供文件大小格式化与解析、用户主目录展开、原子写入文件、限制异步任务并发数、检查进程是否运行等公共函数
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// 文件大小单位及其对应的字节倍数（以 1024 为进制）
+const SIZE_UNITS = {
+  B: 1,
+  KB: 1024,
+  MB: 1024 ** 2,
+  GB: 1024 ** 3,
+  TB: 1024 ** 4
+};
+
+/**
+ * 格式化文件大小为人类可读格式
+ * @param {number} bytes - 文件大小（字节）
+ * @returns {string} - 格式化后的文件大小字符串
+ */
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  
+  // 确保bytes大于0，避免Math.log(0)问题
+  const safeBytes = Math.max(bytes, 1);
+  const i = Math.min(Math.floor(Math.log(safeBytes) / Math.log(k)), sizes.length - 1);
+  
+  // 对于小于1KB的文件，直接显示字节数
+  if (i === 0) {
+    return `${bytes} B`;
+  }
+  
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+/**
+ * 解析带单位的文件大小
+ * 支持纯数字（字节）以及 B、KB、MB、GB、TB 单位（不区分大小写，可省略 B，如 500M）
+ * @param {number|string} value - 文件大小，如 1024、"500MB"、"1.5 GB"
+ * @returns {number|null} - 字节数，格式无效时返回 null
+ */
+const parseSize = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?B?)$/i);
+  if (!match) {
+    return null;
+  }
+  
+  let unit = match[2].toUpperCase();
+  if (unit && !unit.endsWith('B')) {
+    unit += 'B';
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[unit || 'B']);
+};
+
+/**
+ * 将 ~ 开头的路径展开为用户主目录
+ * @param {string} targetPath - 路径
+ * @returns {string} - 展开后的路径
+ */
+const expandHome = (targetPath) => (
+  targetPath === '~' || /^~[\\/]/.test(targetPath) ? path.join(os.homedir(), targetPath.slice(1)) : targetPath
+);
+
+/**
+ * 原子地写入文件：先写入同一目录下的临时文件，再重命名为目标文件，写入中断时原文件保持完整
+ * 目标文件是符号链接时写入链接指向的文件，并保留原文件的权限
+ * @param {string} filePath - 文件路径
+ * @param {string} content - 文件内容
+ * @param {Object} options - 选项
+ * @param {boolean} options.backup - 是否将修改前的文件保留为 <文件名>.bak
+ */
+const writeFileAtomic = (filePath, content, { backup = false } = {}) => {
+  const exists = fs.existsSync(filePath);
+  const targetPath = exists ? fs.realpathSync(filePath) : filePath;
+  const tempPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.tmp`);
+
+  fs.ensureDirSync(path.dirname(targetPath));
+  try {
+    fs.writeFileSync(tempPath, content, 'utf8');
+    if (exists) {
+      fs.chmodSync(tempPath, fs.statSync(targetPath).mode);
+      if (backup) {
+        fs.copyFileSync(targetPath, `${targetPath}.bak`);
+      }
+    }
+    fs.renameSync(tempPath, targetPath);
+  } catch (error) {
+    fs.removeSync(tempPath);
+    throw error;
+  }
+};
+
+/**
+ * 判断进程是否仍在运行
+ * @param {number} pid - 进程ID
+ * @returns {boolean} - 是否仍在运行
+ */
+const isProcessRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM 表示进程存在但属于其他用户
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * 创建并发限制器：同时执行的任务不超过 concurrency 个，其余任务按加入顺序排队
+ * 同一个限制器可以在多个调用方之间共享，以限制同类操作的总并发数
+ * @param {number} concurrency - 最大并发数
+ * @returns {Function} - limit(task)：排队执行 task（返回 Promise 的函数），返回 task 的结果
+ */
+const createLimiter = (concurrency) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+/**
+ * 创建任务组：通过限制器执行任务，尚未完成的任务达到 maxPending 个时 add 等待其中一个完成后才返回，
+ * 使产生任务的一方（如目录遍历）在任务积压时暂停，内存占用与任务总数无关
+ * @param {Function} limit - 限制器（见 createLimiter）
+ * @param {number} maxPending - 最多允许多少个尚未完成的任务
+ * @returns {Object} - { add(task): 加入任务, wait(): 等待已加入的任务全部完成，有任务失败时抛出第一个错误 }
+ */
+const createTaskGroup = (limit, maxPending) => {
+  const pending = new Set();
+  let failure = null;
+
+  const add = async (task) => {
+    const promise = limit(task)
+      .catch((error) => {
+        failure = failure ?? error;
+      })
+      .finally(() => pending.delete(promise));
+    pending.add(promise);
+    while (pending.size >= maxPending) {
+      await Promise.race(pending);
+    }
+  };
+
+  const wait = async () => {
+    while (pending.size > 0) {
+      await Promise.all(pending);
+    }
+    if (failure) {
+      throw failure;
+    }
+  };
+
+  return { add, wait };
+};
+
+export { formatFileSize, parseSize, expandHome, writeFileAtomic, isProcessRunning, createLimiter, createTaskGroup };
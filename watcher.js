@@ -0,0 +1,320 @@
+/**
+ * 监视模块
+ * --watch 模式：持续清理配置的文件夹，文件超过保留天数时立即处理，避免批量清理造成的集中删除
+ * - 启动时完整扫描一次（与 --clear 相同），已过期的文件立即清理，未过期的文件按到期时间加入内存索引
+ * - 通过 fs.watch 监视文件夹中新增和修改的文件，按 cleanFolder 的规则检查后加入索引
+ * - 文件到期时通过 cleanEntry 执行与 cleanFolder 相同的检查和清理
+ * - 定期完整扫描一次并重建索引，纠正重启或遗漏的文件系统事件造成的偏差
+ * - 配额模式（maxTotalSize）的文件夹不建立索引，只在完整扫描时清理
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import logger from './logger.js';
+import { cleanEntry, executeCleanup, resolveFolderRules } from './cleaner.js';
+import { generateRunId } from './recycleBin.js';
+import { formatFileSize } from './utils.js';
+
+// 一天的毫秒数
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 默认的完整扫描间隔（分钟）
+const DEFAULT_RESCAN_INTERVAL_MINUTES = 60;
+
+// 文件变化后等待的时间（毫秒），等待写入完成并合并同一文件的多次事件
+const EVENT_DELAY_MS = 1000;
+
+// setTimeout 支持的最长等待时间，到期时间更晚的文件到时重新计算
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * 启动监视模式，收到 SIGTERM / SIGINT 后返回
+ * 参数与 executeCleanup 相同，规则在启动时解析，修改配置后需要重启
+ * @param {Array<string|Object>} folders - 要清理的文件夹配置项数组
+ * @param {number|null} retentionDays - 命令行指定的保留天数
+ * @param {boolean} forceDelete - 是否直接删除文件
+ * @param {Object} options - 清理选项（dryRun、minSize、maxSize、maxTotalSize、pruneEmptyDirs、concurrency、parallelFolders，见 executeCleanup）
+ * @param {number} options.rescanIntervalMinutes - 完整扫描的间隔（分钟）
+ * @returns {Promise<Object>} - { runIds, rescans, movedFiles, deletedFiles, reclaimedSize, signal }
+ */
+const runWatch = async (folders, retentionDays = null, forceDelete = false, options = {}) => {
+  const {
+    dryRun = false,
+    minSize = null,
+    maxSize = null,
+    maxTotalSize = null,
+    pruneEmptyDirs = false,
+    concurrency = null,
+    parallelFolders = null,
+    rescanIntervalMinutes = DEFAULT_RESCAN_INTERVAL_MINUTES
+  } = options;
+  const folderRulesList = folders.map(entry => resolveFolderRules(entry, {
+    retentionDays,
+    forceDelete,
+    minSize,
+    maxSize,
+    maxTotalSize,
+    pruneEmptyDirs
+  }));
+  // 按保留天数清理的文件夹才需要索引和监视
+  const watchedRules = new Map(folderRulesList.filter(rules => rules.maxTotalSize === null).map(rules => [rules.path, rules]));
+
+  // 文件到期和文件变化时的清理共用一个运行ID，完整扫描各自生成运行ID
+  const runId = generateRunId();
+  const totals = { runIds: [], rescans: 0, movedFiles: 0, deletedFiles: 0, reclaimedSize: 0 };
+  // 待到期的文件：文件路径 -> { expiresAt, timer }
+  const index = new Map();
+  // 等待处理的文件变化：路径 -> { timer, renamed }
+  const pendingEvents = new Map();
+  const watchers = new Map();
+  const abortController = new AbortController();
+  let queue = Promise.resolve();
+  let rescanQueued = false;
+  let stopping = false;
+
+  /**
+   * 将任务加入处理队列，所有清理按顺序执行，避免同时处理同一个文件
+   * @param {Function} task - 任务 async () => void
+   */
+  const enqueue = (task) => {
+    queue = queue
+      .then(() => (stopping ? null : task()))
+      .catch(error => logger.error(`监视模式处理失败: ${error.message}`));
+  };
+
+  /**
+   * 从索引中移除文件
+   * @param {string} filePath - 文件路径
+   */
+  const unschedule = (filePath) => {
+    const entry = index.get(filePath);
+    if (entry) {
+      clearTimeout(entry.timer);
+      index.delete(filePath);
+    }
+  };
+
+  /**
+   * 按文件的到期时间加入索引，到期时重新检查并清理
+   * @param {string} filePath - 文件路径
+   * @param {Object} rules - 文件夹清理规则
+   */
+  const schedule = (filePath, rules) => {
+    unschedule(filePath);
+    if (stopping) {
+      return;
+    }
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      return;
+    }
+    const fileTimeMs = rules.getFileTime(filePath, stats);
+    if (fileTimeMs === null) {
+      return;
+    }
+    const expiresAt = fileTimeMs + rules.retentionDays * DAY_MS + 1;
+    const delay = Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    const timer = setTimeout(() => {
+      index.delete(filePath);
+      enqueue(() => processPath(filePath, rules));
+    }, delay);
+    index.set(filePath, { expiresAt, timer });
+  };
+
+  /**
+   * 统计 cleanEntry 处理的一个文件并更新索引：已处理和不再符合条件的文件移出索引，未过期的文件按到期时间加入索引
+   * @param {Object} file - cleanEntry 通过 onFile 传出的文件记录
+   * @param {Object} rules - 文件夹清理规则
+   */
+  const applyFile = (file, rules) => {
+    if (file.reason === 'not-expired') {
+      schedule(file.sourcePath, rules);
+      return;
+    }
+    unschedule(file.sourcePath);
+    if (file.reason !== undefined) {
+      return;
+    }
+    const actionLabel = file.action === 'delete' ? '[DELETE]' : '[MOVE]  ';
+    console.log(`${dryRun ? '[DRY-RUN] ' : ''}${actionLabel} ${file.sourcePath}  大小: ${file.fileSize}  年龄: ${file.ageDays}天  ${new Date().toLocaleString()}`);
+    totals[file.action === 'delete' ? 'deletedFiles' : 'movedFiles']++;
+    totals.reclaimedSize += file.size;
+    if (!dryRun && !totals.runIds.includes(runId)) {
+      totals.runIds.push(runId);
+    }
+  };
+
+  /**
+   * 处理到期或发生变化的路径：路径已不存在时移出索引，否则按 cleanFolder 的规则检查和清理
+   * @param {string} entryPath - 文件或目录路径
+   * @param {Object} rules - 文件夹清理规则
+   * @param {boolean} includeDirectory - 路径是目录时是否递归处理（目录被创建或移入时）
+   */
+  const processPath = async (entryPath, rules, includeDirectory = false) => {
+    let stats;
+    try {
+      stats = fs.lstatSync(entryPath);
+    } catch (error) {
+      // 文件或目录已被删除或移走
+      for (const filePath of index.keys()) {
+        if (filePath === entryPath || filePath.startsWith(`${entryPath}${path.sep}`)) {
+          unschedule(filePath);
+        }
+      }
+      return;
+    }
+    if (stats.isDirectory() && !includeDirectory) {
+      return;
+    }
+    await cleanEntry(entryPath, rules, {
+      runId,
+      dryRun,
+      concurrency,
+      signal: abortController.signal,
+      onFile: file => applyFile(file, rules)
+    });
+  };
+
+  /**
+   * 完整扫描所有文件夹：清理已过期的文件，并按扫描到的未过期文件重建索引
+   */
+  const rescan = async () => {
+    rescanQueued = false;
+    index.forEach(entry => clearTimeout(entry.timer));
+    index.clear();
+    const result = await executeCleanup(folders, retentionDays, forceDelete, {
+      dryRun,
+      minSize,
+      maxSize,
+      maxTotalSize,
+      pruneEmptyDirs,
+      concurrency,
+      parallelFolders,
+      signal: abortController.signal,
+      onFile: (file) => {
+        if (file.reason === 'not-expired' && watchedRules.has(file.folder)) {
+          schedule(file.sourcePath, watchedRules.get(file.folder));
+        }
+      }
+    });
+    totals.rescans++;
+    totals.movedFiles += result.movedFiles - result.deletedFiles;
+    totals.deletedFiles += result.deletedFiles;
+    totals.reclaimedSize += result.reclaimedSize;
+    if (result.movedFiles > 0 && !dryRun) {
+      totals.runIds.push(result.runId);
+    }
+
+    const nextRescan = new Date(Date.now() + rescanIntervalMinutes * 60 * 1000);
+    console.log(`[RESCAN] 完整扫描完成: 检查 ${result.totalFiles}个，${dryRun ? '将清理' : '清理'} ${result.movedFiles}个，释放 ${formatFileSize(result.reclaimedSize)}，待到期文件 ${index.size}个，下次扫描: ${nextRescan.toLocaleString()}`);
+    logger.info('监视模式完整扫描完成', { runId: result.runId, totalFiles: result.totalFiles, movedFiles: result.movedFiles, indexedFiles: index.size });
+    startWatchers();
+  };
+
+  /**
+   * 记录文件变化，等待一段时间后处理（合并同一路径的多次事件）
+   * @param {string} entryPath - 发生变化的路径
+   * @param {Object} rules - 文件夹清理规则
+   * @param {string} eventType - fs.watch 的事件类型（rename 表示创建、删除或移动）
+   */
+  const handleEvent = (entryPath, rules, eventType) => {
+    if (stopping) {
+      return;
+    }
+    const pending = pendingEvents.get(entryPath);
+    clearTimeout(pending?.timer);
+    const renamed = (pending?.renamed ?? false) || eventType === 'rename';
+    const timer = setTimeout(() => {
+      pendingEvents.delete(entryPath);
+      enqueue(() => processPath(entryPath, rules, renamed));
+    }, EVENT_DELAY_MS);
+    pendingEvents.set(entryPath, { timer, renamed });
+  };
+
+  /**
+   * 为尚未监视的文件夹启动 fs.watch（文件夹此前不存在或监视出错时，在完整扫描后重新启动）
+   */
+  const startWatchers = () => {
+    watchedRules.forEach((rules, folderPath) => {
+      if (stopping || watchers.has(folderPath) || !fs.existsSync(folderPath)) {
+        return;
+      }
+      try {
+        const watcher = fs.watch(folderPath, { recursive: true }, (eventType, fileName) => {
+          if (fileName) {
+            handleEvent(path.join(folderPath, fileName.toString()), rules, eventType);
+          }
+        });
+        watcher.on('error', (error) => {
+          logger.warn(`监视文件夹出错，将在下次完整扫描时重新监视: ${folderPath}`, { error: error.message });
+          watcher.close();
+          watchers.delete(folderPath);
+        });
+        watchers.set(folderPath, watcher);
+        logger.info(`开始监视文件夹: ${folderPath}`);
+      } catch (error) {
+        logger.warn(`无法监视文件夹，只在完整扫描时清理: ${folderPath}`, { error: error.message });
+      }
+    });
+  };
+
+  let resolveStopped;
+  const stopped = new Promise((resolve) => {
+    resolveStopped = resolve;
+  });
+
+  /**
+   * 处理停止信号：停止监视和计时，中止当前清理（处理完当前文件），再次收到信号时立即退出
+   * @param {string} signalName - 信号名称
+   */
+  const handleSignal = (signalName) => {
+    if (stopping) {
+      console.log(`[WATCH] 再次收到 ${signalName}，立即退出`);
+      logger.warn(`监视模式再次收到 ${signalName}，立即退出`);
+      process.exit(1);
+    }
+    stopping = true;
+    console.log(`\n[WATCH] 收到 ${signalName}，处理完当前文件后退出`);
+    logger.info(`监视模式收到 ${signalName}，正在停止`);
+    abortController.abort();
+    resolveStopped(signalName);
+  };
+
+  process.on('SIGTERM', handleSignal);
+  process.on('SIGINT', handleSignal);
+
+  // 首次完整扫描失败（如文件夹是受保护的路径）时直接抛出错误
+  try {
+    await rescan();
+  } catch (error) {
+    process.off('SIGTERM', handleSignal);
+    process.off('SIGINT', handleSignal);
+    throw error;
+  }
+
+  const rescanTimer = setInterval(() => {
+    if (!rescanQueued) {
+      rescanQueued = true;
+      enqueue(rescan);
+    }
+  }, rescanIntervalMinutes * 60 * 1000);
+  const signal = await stopped;
+
+  clearInterval(rescanTimer);
+  index.forEach(entry => clearTimeout(entry.timer));
+  index.clear();
+  pendingEvents.forEach(pending => clearTimeout(pending.timer));
+  pendingEvents.clear();
+  watchers.forEach(watcher => watcher.close());
+  watchers.clear();
+  await queue;
+  process.off('SIGTERM', handleSignal);
+  process.off('SIGINT', handleSignal);
+
+  logger.info('监视模式已停止', { ...totals });
+  return { ...totals, signal };
+};
+
+export { DEFAULT_RESCAN_INTERVAL_MINUTES, runWatch };
@@ -0,0 +1,587 @@
+/**
+ * YAML 文档编辑模块
+ * 在保留注释、空行和原有格式的前提下修改 YAML 文本中的指定配置项，只改动目标配置项所在的行
+ * - 按缩进识别块格式的映射和列表，注释中的键名、同名的嵌套键都不会被误认
+ * - 目标配置项或其上级使用行内格式（如 [a, b]、{ a: 1 }）时保持行内格式，只重写该配置项所在的行
+ * - 每次修改后重新解析并与预期的结果比较，无法安全修改时抛出错误且不改动文本
+ */
+
+import yaml from 'js-yaml';
+
+// 映射键：双引号键、单引号键或普通键，后跟冒号和空白（或行尾）
+const KEY_REGEX = /^(?:"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)'|([^\s#'"{}[\],&*!|>%@`-][^#]*?|-[^\s#][^#]*?))\s*:(?=\s|$)/;
+
+// 列表项：以 "-" 开头，后跟空白或行尾
+const ITEM_REGEX = /^-(\s|$)/;
+
+// 表示空值的行内文本
+const NULL_VALUES = ['', '~', 'null', 'Null', 'NULL'];
+
+// 可以不加引号输出的键
+const PLAIN_KEY_REGEX = /^[A-Za-z0-9_][A-Za-z0-9_.\/-]*$/;
+
+/**
+ * 判断一行是否为空行或注释行
+ * @param {string} line - 行内容
+ * @returns {boolean} - 是否为空行或注释行
+ */
+const isBlankOrCommentLine = (line) => /^\s*(#.*)?$/.test(line);
+
+/**
+ * 获取行首的缩进空格数
+ * @param {string} line - 行内容
+ * @returns {number} - 缩进空格数
+ */
+const getLineIndent = (line) => line.match(/^ */)[0].length;
+
+/**
+ * 将配置项路径格式化为字符串，如 profiles.nightly.folders[0]
+ * @param {Array<string|number>} keyPath - 配置项路径
+ * @returns {string} - 路径字符串
+ */
+const formatKeyPath = (keyPath) => keyPath.reduce((text, segment) => (
+  typeof segment === 'number' ? `${text}[${segment}]` : (text ? `${text}.${segment}` : segment)
+), '');
+
+/**
+ * 将行内的值与末尾的注释分开（引号中的 # 不是注释）
+ * @param {string} text - 冒号或 "-" 之后的文本
+ * @returns {Object} - { value: 去掉首尾空白的值, comment: 注释（包含前面的空白），没有注释时为空字符串 }
+ */
+const splitInlineComment = (text) => {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s,[{]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      const valueText = text.slice(0, i).trimEnd();
+      return { value: valueText.trim(), comment: text.slice(valueText.length) };
+    }
+  }
+  return { value: text.trim(), comment: '' };
+};
+
+/**
+ * 解析映射键的文本
+ * @param {Array} match - KEY_REGEX 的匹配结果
+ * @returns {string} - 键
+ */
+const decodeKey = (match) => {
+  if (match[1] !== undefined) {
+    try {
+      return JSON.parse(`"${match[1]}"`);
+    } catch (error) {
+      return match[1];
+    }
+  }
+  if (match[2] !== undefined) {
+    return match[2].replace(/''/g, "'");
+  }
+  return match[3].trim();
+};
+
+/**
+ * 解析块中同一层级的条目（映射的键或列表项）
+ * @param {Array<string>} lines - 所有行
+ * @param {number} start - 块的起始行
+ * @param {number} end - 块的结束行（不含）
+ * @param {number|null} firstColumn - 起始行的内容所在列（列表项中从 "- " 之后开始的映射），为 null 时按行首缩进计算
+ * @returns {Object} - { type: map | seq | empty, column, start, firstColumn, entries }
+ *   entries 中的条目: { line, column, end, key, keyEnd, value, comment, itemColumn }
+ *   end 为条目占用的最后一个有效行之后的行（不含条目之后的空行和注释）
+ */
+const parseBlock = (lines, start, end, firstColumn = null) => {
+  const columnOf = i => (i === start && firstColumn !== null ? firstColumn : getLineIndent(lines[i]));
+  const textOf = i => lines[i].slice(columnOf(i));
+  const contentLines = [];
+  for (let i = start; i < end; i++) {
+    if ((i === start && firstColumn !== null) || !isBlankOrCommentLine(lines[i])) {
+      contentLines.push(i);
+    }
+  }
+  if (contentLines.length === 0) {
+    return { type: 'empty', column: null, start, firstColumn, entries: [] };
+  }
+
+  const column = columnOf(contentLines[0]);
+  const type = ITEM_REGEX.test(textOf(contentLines[0])) ? 'seq' : 'map';
+  const entryRegex = type === 'seq' ? ITEM_REGEX : KEY_REGEX;
+  const starts = contentLines.filter(i => columnOf(i) === column && entryRegex.test(textOf(i)));
+
+  const entries = starts.map((line, index) => {
+    let entryEnd = index + 1 < starts.length ? starts[index + 1] : end;
+    while (entryEnd > line + 1 && isBlankOrCommentLine(lines[entryEnd - 1])) {
+      entryEnd--;
+    }
+    const text = textOf(line);
+
+    if (type === 'map') {
+      const match = text.match(KEY_REGEX);
+      const keyEnd = column + match[0].length;
+      return { line, column, end: entryEnd, key: decodeKey(match), keyEnd, ...splitInlineComment(lines[line].slice(keyEnd)), itemColumn: null };
+    }
+
+    // 列表项的内容是映射时，映射从 "- " 之后的列开始
+    const rest = text.slice(1);
+    const { value, comment } = splitInlineComment(rest);
+    const itemColumn = KEY_REGEX.test(value) ? column + 1 + (rest.length - rest.trimStart().length) : null;
+    return { line, column, end: entryEnd, key: null, keyEnd: null, value: itemColumn === null ? value : '', comment, itemColumn };
+  });
+
+  return { type, column, start, firstColumn, entries };
+};
+
+/**
+ * 获取条目的值所在的块
+ * @param {Array<string>} lines - 所有行
+ * @param {Object} entry - 条目
+ * @returns {Object|null} - 块，值为行内格式（标量、[a, b]、{ a: 1 }、块标量等）时返回 null
+ */
+const getChildBlock = (lines, entry) => {
+  if (entry.itemColumn !== null) {
+    return parseBlock(lines, entry.line, entry.end, entry.itemColumn);
+  }
+  return NULL_VALUES.includes(entry.value) ? parseBlock(lines, entry.line + 1, entry.end) : null;
+};
+
+/**
+ * 在块中查找条目
+ * @param {Object} block - 块
+ * @param {string|number} segment - 映射的键或列表项的序号
+ * @returns {Object|null} - 条目，未找到时返回 null
+ */
+const findEntry = (block, segment) => {
+  if (typeof segment === 'number') {
+    return block.type === 'seq' ? block.entries[segment] ?? null : null;
+  }
+  return block.type === 'map' ? block.entries.find(entry => entry.key === segment) ?? null : null;
+};
+
+/**
+ * 判断值能否写在同一行（标量、空列表、空对象）
+ * @param {*} value - 值
+ * @returns {boolean} - 是否为行内值
+ */
+const isInlineValue = (value) => (
+  value === null || typeof value !== 'object' || value instanceof Date || Object.keys(value).length === 0
+);
+
+/**
+ * 生成行内值的文本，字符串统一使用双引号
+ * @param {*} value - 行内值
+ * @returns {string} - YAML 文本，null 返回空字符串
+ */
+const renderInline = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return '[]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return '{}';
+  }
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * 判断行内值文本是否为非空的行内格式列表或映射（如 [a, b]、{ a: 1 }），空的 [] 和 {} 不视为用户选择的格式
+ * @param {string} text - 行内值文本
+ * @returns {boolean} - 是否为行内格式
+ */
+const isFlowCollectionText = (text) => /^[[{]/.test(text) && !/^[[{]\s*[\]}]$/.test(text);
+
+/**
+ * 判断字符串在行内格式中能否不加引号（重新解析后仍是同一个字符串）
+ * @param {string} text - 字符串
+ * @returns {boolean} - 能否不加引号
+ */
+const isPlainFlowScalar = (text) => {
+  if (text === '' || text !== text.trim() || /[\n,[\]{}#]/.test(text)) {
+    return false;
+  }
+  try {
+    const parsed = yaml.load(`[${text}]`);
+    return Array.isArray(parsed) && parsed.length === 1 && parsed[0] === text;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 生成行内格式的列表或映射文本，用于保留配置文件中原有的 [a, b]、{ a: 1 } 写法
+ * @param {*} value - 值
+ * @param {boolean} quoteStrings - 字符串是否统一使用双引号，否则只在需要时加引号
+ * @returns {string} - YAML 文本
+ */
+const renderFlow = (value, quoteStrings) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => renderFlow(item, quoteStrings)).join(', ')}]`;
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value).map(([key, item]) => `${renderKey(key)}: ${renderFlow(item, quoteStrings)}`);
+    return entries.length === 0 ? '{}' : `{ ${entries.join(', ')} }`;
+  }
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  return typeof value === 'string' && !quoteStrings && isPlainFlowScalar(value) ? value : renderInline(value);
+};
+
+/**
+ * 生成映射键的文本
+ * @param {string} key - 键
+ * @returns {string} - YAML 文本
+ */
+const renderKey = (key) => (PLAIN_KEY_REGEX.test(key) ? key : JSON.stringify(key));
+
+/**
+ * 生成映射条目的行
+ * @param {string} key - 键
+ * @param {*} value - 值
+ * @param {number} column - 缩进
+ * @returns {Array<string>} - 行
+ */
+const renderMapEntry = (key, value, column) => {
+  const padding = ' '.repeat(column);
+  if (isInlineValue(value)) {
+    return [`${padding}${renderKey(key)}:${value === null ? '' : ` ${renderInline(value)}`}`];
+  }
+  return [`${padding}${renderKey(key)}:`, ...renderBlock(value, column + 2)];
+};
+
+/**
+ * 生成列表项的行
+ * @param {*} value - 列表项的值
+ * @param {number} column - "-" 所在的列
+ * @returns {Array<string>} - 行
+ */
+const renderItem = (value, column) => {
+  const padding = ' '.repeat(column);
+  if (isInlineValue(value)) {
+    return [`${padding}-${value === null ? '' : ` ${renderInline(value)}`}`];
+  }
+  const innerLines = renderBlock(value, column + 2);
+  innerLines[0] = `${padding}- ${innerLines[0].slice(column + 2)}`;
+  return innerLines;
+};
+
+/**
+ * 生成块格式的列表或映射的行
+ * @param {Array|Object} value - 值
+ * @param {number} column - 缩进
+ * @returns {Array<string>} - 行
+ */
+const renderBlock = (value, column) => (Array.isArray(value)
+  ? value.flatMap(item => renderItem(item, column))
+  : Object.entries(value).flatMap(([key, item]) => renderMapEntry(key, item, column)));
+
+/**
+ * 按路径在数据中构建嵌套的值，如 (['a', 0], 1) => { a: [1] }
+ * @param {Array<string|number>} keyPath - 路径
+ * @param {*} value - 最内层的值
+ * @returns {*} - 嵌套的值
+ */
+const buildNestedValue = (keyPath, value) => keyPath.reduceRight((inner, segment) => {
+  if (typeof segment === 'number') {
+    if (segment !== 0) {
+      throw new Error(`列表序号超出范围: ${segment}`);
+    }
+    return [inner];
+  }
+  return { [segment]: inner };
+}, value);
+
+/**
+ * 按路径读取数据中的值
+ * @param {*} data - 数据
+ * @param {Array<string|number>} keyPath - 路径
+ * @returns {*} - 值，不存在时返回 undefined
+ */
+const getValueAt = (data, keyPath) => keyPath.reduce(
+  (current, segment) => (current !== null && typeof current === 'object' ? current[segment] : undefined),
+  data
+);
+
+/**
+ * 深度比较两个值（忽略映射键的顺序）
+ * @param {*} a - 值
+ * @param {*} b - 值
+ * @returns {boolean} - 是否相等
+ */
+const isDeepEqual = (a, b) => {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return Object.is(a, b);
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]));
+};
+
+/**
+ * 创建 YAML 文档编辑器
+ * @param {string} content - YAML 文本
+ * @returns {Object} - 文档 { get, set, delete, getLine, toString }
+ *   - get(keyPath): 读取配置项的值
+ *   - set(keyPath, value): 设置配置项，不存在时逐级创建；列表序号等于列表长度时追加列表项
+ *   - delete(keyPath): 删除配置项或列表项，不存在时不做任何修改
+ *   - getLine(keyPath): 配置项所在的行号（从 1 开始），找不到配置项本身时返回最近的上级配置项的行号
+ *   - toString(): 修改后的 YAML 文本
+ */
+const parseYamlDocument = (content) => {
+  let lines = content.replace(/\r\n/g, '\n').replace(/\s+$/, '').split('\n');
+
+  /**
+   * 解析当前文本
+   * @returns {Object} - 解析结果，空文档为空对象
+   */
+  const load = () => yaml.load(lines.join('\n')) ?? {};
+
+  /**
+   * 按路径查找条目
+   * @param {Array<string|number>} keyPath - 路径
+   * @returns {Object} - { entry, block, parentEntry, depth }：entry 为找到的最深条目，depth 为其在路径中的层级（未找到任何条目时为 -1）
+   */
+  const locate = (keyPath) => {
+    let block = parseBlock(lines, 0, lines.length);
+    let parentEntry = null;
+    for (let depth = 0; depth < keyPath.length; depth++) {
+      const entry = findEntry(block, keyPath[depth]);
+      if (!entry) {
+        return { entry: parentEntry, block, parentEntry, depth: depth - 1 };
+      }
+      if (depth === keyPath.length - 1) {
+        return { entry, block, parentEntry, depth };
+      }
+      const childBlock = getChildBlock(lines, entry);
+      if (childBlock === null) {
+        return { entry, block, parentEntry, depth, inline: true };
+      }
+      block = childBlock;
+      parentEntry = entry;
+    }
+    return { entry: null, block, parentEntry, depth: -1 };
+  };
+
+  /**
+   * 替换条目的行内值（保留键和注释）
+   * @param {Object} entry - 条目
+   * @param {string} text - 新的行内值文本
+   */
+  const setInlineText = (entry, text) => {
+    const prefixEnd = entry.keyEnd ?? entry.column + 1;
+    lines[entry.line] = `${lines[entry.line].slice(0, prefixEnd)}${text ? ` ${text}` : ''}${entry.comment}`;
+  };
+
+  /**
+   * 用新值替换条目（映射条目保留键和行尾注释，值为块格式时保留原有的子项缩进，原值为行内格式的列表或映射时保持行内格式）
+   * @param {Object} entry - 条目
+   * @param {*} value - 新值
+   */
+  const replaceEntry = (entry, value) => {
+    if (isFlowCollectionText(entry.value) && !isInlineValue(value)) {
+      const prefix = lines[entry.line].slice(0, entry.key === null ? entry.column + 1 : entry.keyEnd);
+      // 第一个值带引号时所有字符串都加引号，否则只在需要时加引号
+      const flowText = renderFlow(value, /^[[{]\s*(?:[^,:]*:\s*)?["']/.test(entry.value));
+      lines.splice(entry.line, entry.end - entry.line, `${prefix} ${flowText}${entry.comment}`);
+      return;
+    }
+    if (entry.key === null) {
+      const itemLines = renderItem(value, entry.column);
+      if (isInlineValue(value)) {
+        itemLines[0] += entry.comment;
+      }
+      lines.splice(entry.line, entry.end - entry.line, ...itemLines);
+      return;
+    }
+    const childBlock = getChildBlock(lines, entry);
+    const childColumn = childBlock?.column ?? entry.column + 2;
+    const prefix = lines[entry.line].slice(0, entry.keyEnd);
+    const newLines = isInlineValue(value)
+      ? [`${prefix}${value === null ? '' : ` ${renderInline(value)}`}${entry.comment}`]
+      : [`${prefix}${entry.comment}`, ...renderBlock(value, childColumn)];
+    lines.splice(entry.line, entry.end - entry.line, ...newLines);
+  };
+
+  /**
+   * 在块的末尾插入新的条目
+   * @param {Object} block - 块
+   * @param {Object|null} parentEntry - 块所属的条目，null 表示文档顶层
+   * @param {Array<string|number>} keyPath - 从该块开始的剩余路径
+   * @param {*} value - 值
+   */
+  const insertEntry = (block, parentEntry, keyPath, value) => {
+    const [segment, ...restPath] = keyPath;
+    const entryValue = buildNestedValue(restPath, value);
+    if (typeof segment === 'number' ? block.type === 'map' || segment !== block.entries.length : block.type === 'seq') {
+      throw new Error('配置项的类型与要修改的路径不匹配');
+    }
+
+    let insertAt = lines.length;
+    let column = 0;
+    if (block.entries.length > 0) {
+      insertAt = block.entries[block.entries.length - 1].end;
+      column = block.column;
+    } else if (parentEntry) {
+      insertAt = parentEntry.line + 1;
+      column = parentEntry.column + 2;
+      setInlineText(parentEntry, '');
+    }
+
+    const newLines = typeof segment === 'number' ? renderItem(entryValue, column) : renderMapEntry(segment, entryValue, column);
+    // 顶层的新配置项与前面的内容之间空一行
+    if (parentEntry === null && typeof segment === 'string' && insertAt > 0 && !isBlankOrCommentLine(lines[insertAt - 1])) {
+      newLines.unshift('');
+    }
+    lines.splice(insertAt, 0, ...newLines);
+  };
+
+  /**
+   * 删除条目
+   * @param {Object} entry - 条目
+   * @param {Object} block - 条目所在的块
+   * @param {Object|null} parentEntry - 块所属的条目
+   */
+  const removeEntry = (entry, block, parentEntry) => {
+    // 列表项中从 "- " 之后开始的映射：删除第一个键时把下一个键移到 "- " 所在行
+    if (block.firstColumn !== null && entry.line === block.start) {
+      const nextEntry = block.entries[1];
+      const dashPrefix = lines[entry.line].slice(0, block.firstColumn);
+      if (!nextEntry) {
+        lines.splice(entry.line, entry.end - entry.line, `${dashPrefix}{}`);
+        return;
+      }
+      lines[nextEntry.line] = `${dashPrefix}${lines[nextEntry.line].slice(block.column)}`;
+      lines.splice(entry.line, nextEntry.line - entry.line);
+      return;
+    }
+
+    lines.splice(entry.line, entry.end - entry.line);
+    // 删除最后一项后保留空列表或空对象，避免值变为 null
+    if (block.entries.length === 1 && parentEntry) {
+      setInlineText(parentEntry, block.type === 'seq' ? '[]' : '{}');
+    }
+  };
+
+  /**
+   * 执行修改并检查结果：重新解析后必须与预期的数据一致，否则撤销修改
+   * @param {Array<string|number>} keyPath - 修改的配置项路径
+   * @param {*} expected - 预期的数据
+   * @param {Function} modify - 修改文本行的函数
+   */
+  const applyChange = (keyPath, expected, modify) => {
+    const previousLines = [...lines];
+    let actual;
+    try {
+      modify();
+      actual = load();
+    } catch (error) {
+      lines = previousLines;
+      throw new Error(`无法修改配置项 ${formatKeyPath(keyPath)}: ${error.reason ?? error.message}`);
+    }
+    if (!isDeepEqual(actual, expected)) {
+      lines = previousLines;
+      throw new Error(`无法安全修改配置项 ${formatKeyPath(keyPath)}：该部分使用了不支持的 YAML 格式，请手动修改配置文件`);
+    }
+  };
+
+  /**
+   * 设置配置项
+   * @param {Array<string|number>} keyPath - 路径
+   * @param {*} value - 值
+   */
+  const set = (keyPath, value) => {
+    if (keyPath.length === 0) {
+      throw new Error('配置项路径不能为空');
+    }
+    const data = load();
+    const expected = structuredClone(data);
+    let container = expected;
+    keyPath.slice(0, -1).forEach((segment, index) => {
+      if (container[segment] === null || typeof container[segment] !== 'object') {
+        container[segment] = typeof keyPath[index + 1] === 'number' ? [] : {};
+      }
+      container = container[segment];
+    });
+    container[keyPath[keyPath.length - 1]] = structuredClone(value);
+
+    applyChange(keyPath, expected, () => {
+      const { entry, block, parentEntry, depth, inline } = locate(keyPath);
+      if (inline) {
+        // 上级配置项使用行内格式：整体重写该上级配置项
+        replaceEntry(entry, getValueAt(expected, keyPath.slice(0, depth + 1)));
+      } else if (depth === keyPath.length - 1) {
+        replaceEntry(entry, value);
+      } else {
+        insertEntry(block, parentEntry, keyPath.slice(depth + 1), value);
+      }
+    });
+  };
+
+  /**
+   * 删除配置项或列表项
+   * @param {Array<string|number>} keyPath - 路径
+   */
+  const remove = (keyPath) => {
+    const data = load();
+    const parentValue = getValueAt(data, keyPath.slice(0, -1));
+    const lastSegment = keyPath[keyPath.length - 1];
+    if (keyPath.length === 0 || parentValue === null || typeof parentValue !== 'object' || !Object.hasOwn(parentValue, lastSegment)) {
+      return;
+    }
+    const expected = structuredClone(data);
+    const expectedParent = getValueAt(expected, keyPath.slice(0, -1));
+    if (Array.isArray(expectedParent)) {
+      expectedParent.splice(lastSegment, 1);
+    } else {
+      delete expectedParent[lastSegment];
+    }
+
+    applyChange(keyPath, expected, () => {
+      const { entry, block, parentEntry, depth, inline } = locate(keyPath);
+      if (inline) {
+        replaceEntry(entry, getValueAt(expected, keyPath.slice(0, depth + 1)));
+      } else if (depth === keyPath.length - 1) {
+        removeEntry(entry, block, parentEntry);
+      } else {
+        throw new Error('未能在文本中定位该配置项');
+      }
+    });
+  };
+
+  /**
+   * 获取配置项所在的行号
+   * @param {Array<string|number>} keyPath - 路径
+   * @returns {number|null} - 行号（从 1 开始），无法确定时返回 null
+   */
+  const getLine = (keyPath) => {
+    const { entry } = locate(keyPath);
+    return entry ? entry.line + 1 : null;
+  };
+
+  return {
+    get: keyPath => getValueAt(load(), keyPath),
+    set,
+    delete: remove,
+    getLine,
+    toString: () => `${lines.join('\n').replace(/^\n+/, '')}\n`
+  };
+};
+
+export { formatKeyPath, parseYamlDocument };